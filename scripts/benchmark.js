@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+const { performance } = require('perf_hooks');
+const _ = require('lodash');
+const WorkerAssignmentML = require('../src/WorkerAssignmentML');
+
+// Parse --name value pairs from the command line
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            args[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return args;
+}
+
+// Deterministic pseudo-random numbers in [0, 1), so runs are comparable
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state * 1664525 + 1013904223) >>> 0;
+        return state / 4294967296;
+    };
+}
+
+// Synthetic MES records: the sample history resampled with jittered times and spread-out dates
+function generateRecords(sample, count, random) {
+    const start = new Date('2023-01-01').getTime();
+    const days = 730;
+
+    return Array.from({ length: count }, () => {
+        const base = sample[Math.floor(random() * sample.length)];
+        const date = new Date(start + Math.floor(random() * days) * 24 * 60 * 60 * 1000);
+        return {
+            ...base,
+            timeMinutes: Math.max(1, Math.round(base.timeMinutes * (0.8 + random() * 0.4))),
+            jobDate: date.toISOString().slice(0, 10)
+        };
+    });
+}
+
+// Milliseconds per call, averaged over several calls
+function time(fn, repeat = 1) {
+    const start = performance.now();
+    for (let i = 0; i < repeat; i++) fn(i);
+    return (performance.now() - start) / repeat;
+}
+
+// The per-worker full-array filter the aggregate index replaces, for comparison
+function scanWorkerStatistics(records, workers, machineId) {
+    return workers.map(workerId => {
+        const workerData = records.filter(d => d.workerId === workerId && d.machineId === machineId);
+        return { workerId, avgTime: _.mean(workerData.map(d => d.timeMinutes)) };
+    });
+}
+
+function runBenchmark() {
+    const args = parseArgs(process.argv.slice(2));
+    const sizes = (args.sizes || '10000,100000,1000000').split(',').map(Number);
+    const dataPath = path.join(__dirname, '..', 'data', 'historical_data.json');
+
+    if (!fs.existsSync(dataPath)) {
+        console.log('❌ No data found. Run: npm run generate-data');
+        process.exit(1);
+    }
+
+    const sample = JSON.parse(fs.readFileSync(dataPath, 'utf8')).historicalData;
+
+    console.log('⏱️  Aggregate Index Benchmark');
+    console.log('============================');
+    console.log('Latency in ms; statistics and predictions are averaged over 20 calls.');
+    console.log('Training fits every default strategy: knn, statistical and regression.\n');
+
+    const rows = sizes.map(size => {
+        const records = generateRecords(sample, size, createRandom(42));
+        const mlSystem = new WorkerAssignmentML({ verbose: false, autoSave: false });
+        const machines = _.uniq(records.map(r => r.machineId));
+        const machineAt = i => machines[i % machines.length];
+
+        const row = {
+            records: size,
+            addData: time(() => mlSystem.addHistoricalData(records)),
+            train: time(() => mlSystem.train()),
+            workerStats: time(i => mlSystem.getWorkerStatistics(machineAt(i)), 20),
+            contextStats: time(i => mlSystem.getWorkerStatistics(machineAt(i), { shift: 'night', jobType: 'setup' }), 20),
+            predictKNN: time(i => mlSystem.predictWorkerML(machineAt(i)), 20),
+            predictStatistical: time(i => mlSystem.predictWorker(machineAt(i)), 20),
+            predictRegression: time(i => mlSystem.predict({ machineId: machineAt(i), complexity: 3 }, 'regression'), 20),
+            summary: time(() => mlSystem.getWorkerSummary()),
+            analysis: time(() => mlSystem.analyzePerformance()),
+            fullScanStats: time(i => scanWorkerStatistics(records, mlSystem.workers, machineAt(i)), 3)
+        };
+
+        console.log(`✅ ${size} records (${mlSystem.aggregates.bucketCount} index buckets)`);
+        return row;
+    });
+
+    const columns = [
+        ['records', 'Records'],
+        ['addData', 'addHistoricalData'],
+        ['train', 'train'],
+        ['workerStats', 'getWorkerStatistics'],
+        ['contextStats', '  with shift/jobType'],
+        ['predictKNN', 'predictWorkerML'],
+        ['predictStatistical', 'predictWorker'],
+        ['predictRegression', 'predict (regression)'],
+        ['summary', 'getWorkerSummary'],
+        ['analysis', 'analyzePerformance'],
+        ['fullScanStats', 'full-scan statistics']
+    ];
+
+    console.log('');
+    columns.forEach(([key, label]) => {
+        const cells = rows.map(row => (key === 'records' ? String(row[key]) : row[key].toFixed(2)).padStart(12));
+        console.log(`${label.padEnd(22)}${cells.join('')}`);
+    });
+    console.log('\nfull-scan statistics: the previous per-worker trainingData.filter, for comparison');
+}
+
+if (require.main === module) {
+    runBenchmark();
+}
+
+module.exports = { generateRecords, runBenchmark };
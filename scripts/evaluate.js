@@ -0,0 +1,71 @@
+const fs = require('fs');
+const path = require('path');
+const { runEvaluation, reportToCSV } = require('../src/evaluate');
+
+// Parse --name value pairs from the command line
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            args[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return args;
+}
+
+function printSummary(title, summary) {
+    console.log(`\n${title}`);
+    console.log(''.padEnd(title.length, '-'));
+    Object.entries(summary).forEach(([method, m]) => {
+        console.log(`${method}:`);
+        console.log(`   Time MAE/RMSE:    ${m.time.mae} / ${m.time.rmse} min (${m.time.n} records)`);
+        console.log(`   Quality MAE/RMSE: ${m.quality.mae} / ${m.quality.rmse}`);
+        console.log(`   Top-1 / Top-3:    ${m.agreement.top1} / ${m.agreement.top3} (${m.agreement.cases} cases)`);
+        console.log(`   Calibration ECE:  ${m.calibration.ece}`);
+    });
+}
+
+function evaluateModels() {
+    const args = parseArgs(process.argv.slice(2));
+    const dataPath = path.join(__dirname, '..', 'data', 'historical_data.json');
+
+    if (!fs.existsSync(dataPath)) {
+        console.log('❌ No data found. Run: npm run generate-data');
+        process.exit(1);
+    }
+
+    const records = JSON.parse(fs.readFileSync(dataPath, 'utf8')).historicalData;
+    const options = {
+        folds: parseInt(args.folds || '5', 10),
+        seed: parseInt(args.seed || '42', 10),
+        windows: parseInt(args.windows || '4', 10)
+    };
+    const label = args.label || 'latest';
+    const outDir = args.out || path.join(__dirname, '..', 'data', 'evaluation');
+
+    console.log('📏 Evaluating Worker Assignment Methods');
+    console.log('======================================');
+    console.log(`Records: ${records.length}, folds: ${options.folds}, seed: ${options.seed}, backtest windows: ${options.windows}`);
+
+    const report = runEvaluation(records, options);
+
+    printSummary(`🔁 ${options.folds}-fold cross-validation`, report.crossValidation.summary);
+    printSummary('📅 Time-ordered backtest', report.backtest.summary);
+
+    fs.mkdirSync(outDir, { recursive: true });
+    const jsonPath = path.join(outDir, `evaluation_${label}.json`);
+    const csvPath = path.join(outDir, `evaluation_${label}.csv`);
+    fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2));
+    fs.writeFileSync(csvPath, reportToCSV(report));
+
+    console.log('\n💾 Reports saved:');
+    console.log(`   ${jsonPath}`);
+    console.log(`   ${csvPath}`);
+}
+
+if (require.main === module) {
+    evaluateModels();
+}
+
+module.exports = { evaluateModels };
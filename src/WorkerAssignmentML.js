@@ -1,19 +1,132 @@
-const { Matrix } = require('ml-matrix');
-const KNN = require('ml-knn');
 const _ = require('lodash');
 const fs = require('fs');
+const EventEmitter = require('events');
 const path = require('path');
-
-class WorkerAssignmentML {
-    constructor() {
-        this.model = null;
+const crypto = require('crypto');
+const { createDefaultRegistry } = require('./strategies/StrategyRegistry');
+const BatchScheduler = require('./scheduling/BatchScheduler');
+const WorkerRoster = require('./scheduling/WorkerRoster');
+const MachineRegistry = require('./scheduling/MachineRegistry');
+const ColdStartEstimator = require('./ml/ColdStartEstimator');
+const RecencyWeighting = require('./ml/RecencyWeighting');
+const AggregateIndex = require('./ml/AggregateIndex');
+const EmpiricalBayes = require('./ml/EmpiricalBayes');
+const ScoringPolicy = require('./strategies/ScoringPolicy');
+const RelaxationPolicy = require('./strategies/RelaxationPolicy');
+const PredictionLog = require('./ml/PredictionLog');
+const {
+    InvalidArgumentError,
+    InvalidRecordError,
+    UnknownWorkerError,
+    UnknownMachineError,
+    UnknownStrategyError,
+    NoEligibleWorkerError,
+    ModelNotTrainedError,
+    NoTrainingDataError
+} = require('./errors');
+
+// Emits 'change' with { type, ... } whenever the data or model changes:
+//   training-data { workerIds, machineIds, records }, trained { strategies },
+//   prediction { predictionId, machineId, workerId }, outcome { predictionId, machineId, workerId },
+//   override { predictionId, machineId, workerIds }, rejection-reset { machineId, workerId }, roster { workerIds }
+class WorkerAssignmentML extends EventEmitter {
+    // options.strategies: names of the strategies to fit (default: every registered strategy)
+    // options.defaultStrategy: strategy used when a call doesn't name one (default 'knn')
+    // options.strategyOptions: per-strategy options, e.g. { knn: { k: 5 }, regression: { minWorkerRecords: 20 } }
+    // options.registry: StrategyRegistry to resolve names against (default: built-in strategies)
+    // options.machines: machine list ({ id, name, type, complexity, maintenanceState } or IDs; default 1-5)
+    // options.preprocessing: { scaling: 'zscore'|'minmax'|'none', oneHotMachine, weights } for knn (see Preprocessor)
+    // options.recency: { halfLifeDays } or { windowDays }, plus optional referenceDate, to weight
+    //   worker statistics and knn features towards recent jobs (see RecencyWeighting; default: no weighting)
+    // options.scoring: default ScoringPolicy for the statistical and regression rankings,
+    //   as a preset name or policy options (default: 'efficiency', quality per minute)
+    // options.minProbability: how likely a worker must be to meet a job's time limit and quality
+    //   threshold to be eligible for the statistical ranking (default 0.5; see OutcomeProbability)
+    // options.relaxation: RelaxationPolicy options for when no worker meets the limits:
+    //   { steps, maxSteps, strict } (default: quality down 0.5, then time up 10%, up to 6 steps)
+    // options.retraining: when recorded outcomes trigger a retrain: { retrainEvery, maxTimeError,
+    //   maxQualityError, minOutcomes } (default: every 25 outcomes; see PredictionLog)
+    // options.overrideLearning: leave out workers supervisors consistently reject on a machine:
+    //   { minOverrides, minRate, windowDays } (e.g. {} for the defaults of 3 overrides at 60% of
+    //   their recommendations there, counting overrides from the last 90 days; windowDays null
+    //   counts them all; default: off, overrides are only recorded). resetRejection() lifts one
+    // options.audit: AuditService (or anything with recordPrediction()) that every prediction
+    //   is written to, with its inputs, model version and candidates (default: none)
+    // options.verbose: log progress messages (default true)
+    // options.autoSave: save the model to disk after training, the roster after edits and
+    //   the prediction log after predictions, outcomes and overrides (default true)
+    // options.predictionLogDelay: milliseconds to collect prediction log changes before
+    //   writing them in one save (default 1000; 0 saves after every change)
+    constructor(options = {}) {
+        super();
+        this.registry = options.registry || createDefaultRegistry();
+        // statistical is always fitted: the other strategies fall back to it
+        this.strategyNames = _.uniq([...(options.strategies || this.registry.names()), 'statistical']);
+        this.defaultStrategy = options.defaultStrategy || 'knn';
+        const strategyOptions = options.strategyOptions || {};
+        this.strategyOptions = {
+            ...strategyOptions,
+            knn: { ...strategyOptions.knn, ...(options.preprocessing ? { preprocessing: options.preprocessing } : {}) }
+        };
+        this.strategies = {};
+        this.coldStart = null; // Extrapolates workers onto machines they have not used
+        this.minContextJobs = 3; // Jobs needed before shift/jobType-specific stats are trusted
+        this.modelMetadata = null;
         this.workers = [];
-        this.machines = [1, 2, 3, 4, 5];
+        this.machineRegistry = options.machines ? new MachineRegistry(options.machines) : MachineRegistry.withDefaults();
         this.trainingData = [];
+        this.dataHash = WorkerAssignmentML.createDataHash(); // Fed as records are added; see computeDataHash()
+        this.recency = new RecencyWeighting(options.recency);
+        this.aggregates = new AggregateIndex(this.recency); // Per worker/machine/shift/jobType statistics
+        this.shrinkage = new EmpiricalBayes(); // Pools small-sample worker means toward the machine mean
+        this.scoringPolicy = ScoringPolicy.from(options.scoring);
+        this.minProbability = this.validateProbability(options.minProbability !== undefined ? options.minProbability : 0.5);
+        this.relaxationPolicy = RelaxationPolicy.from(options.relaxation);
         this.isModelTrained = false;
         this.debugMode = false; // Initialize debug mode
+        this.verbose = options.verbose !== false;
+        this.autoSave = options.autoSave !== false;
         this.modelPath = path.join(__dirname, '..', 'data', 'trained_model.json');
+        this.roster = new WorkerRoster(); // Availability, capacity and certifications per worker
+        this.rosterPath = path.join(__dirname, '..', 'data', 'worker_roster.json');
+        this.retraining = options.retraining || {};
+        this.predictionLog = new PredictionLog(this.retraining); // Predictions by ID, their outcomes and errors
+        this.predictionLogPath = path.join(__dirname, '..', 'data', 'prediction_log.json');
+        this.predictionLogDelay = options.predictionLogDelay !== undefined ? options.predictionLogDelay : 1000;
+        this.predictionLogTimer = null; // Pending batched save, see schedulePredictionLogSave()
+        this.audit = options.audit || null;
+        this.overrideLearning = options.overrideLearning
+            ? { minOverrides: 3, minRate: 0.6, windowDays: 90, ...options.overrideLearning }
+            : null;
+
+        this.strategyNames.forEach(name => {
+            if (!this.registry.has(name)) {
+                throw new UnknownStrategyError(`Unknown strategy "${name}". Available: ${this.registry.names().join(', ')}`, { strategy: name });
+            }
+        });
+        if (!this.strategyNames.includes(this.defaultStrategy)) {
+            throw new UnknownStrategyError(`Default strategy "${this.defaultStrategy}" is not enabled. Enabled: ${this.strategyNames.join(', ')}`);
+        }
+    }
+
+    // Valid machine IDs, from the machine registry
+    get machines() {
+        return this.machineRegistry.ids();
+    }
+
+    // Replace the machine registry, e.g. with the plant config or the machines
+    // stored with the historical data; machines already seen in records are kept
+    loadMachines(machines) {
+        this.machineRegistry = new MachineRegistry(machines);
+        this.aggregates.valuesOf('machineId').forEach(id => this.machineRegistry.ensure(id));
+        this.log(`🏭 Machine registry loaded (${this.machineRegistry.size} machines)`);
+    }
+
+    // Progress logging, silenced with verbose: false
+    log(...args) {
+        if (this.verbose) console.log(...args);
     }
+
      // Helper function to calculate standard deviation
     calculateStandardDeviation(values) {
         if (values.length === 0) return 0;
@@ -28,82 +141,124 @@ class WorkerAssignmentML {
     addHistoricalData(data) {
         // Validate data structure
         const requiredFields = ['workerId', 'machineId', 'timeMinutes', 'qualityScore'];
-        const isValid = data.every(record => 
-            requiredFields.every(field => record.hasOwnProperty(field))
+        const index = data.findIndex(record => 
+            !requiredFields.every(field => record.hasOwnProperty(field))
         );
 
-        if (!isValid) {
-            throw new Error('Invalid data format. Required fields: workerId, machineId, timeMinutes, qualityScore');
+        if (index !== -1) {
+            throw new InvalidRecordError('Invalid data format. Required fields: workerId, machineId, timeMinutes, qualityScore', {
+                index,
+                missing: requiredFields.filter(field => !data[index].hasOwnProperty(field))
+            });
         }
 
-        this.trainingData = [...this.trainingData, ...data];
+        // Register machines first seen in this data
+        const newMachines = _.uniq(data.map(d => d.machineId)).filter(id => this.machineRegistry.ensure(id));
+
+        // Appended in place: copying the training data on every call would make each
+        // recorded outcome cost as much as the whole history
+        WorkerAssignmentML.updateDataHash(this.dataHash, data, this.trainingData.length);
+        data.forEach(record => this.trainingData.push(record));
+        this.aggregates.add(data);
         
         // Extract unique workers
-        this.workers = [...new Set(this.trainingData.map(d => d.workerId))];
+        this.workers = this.aggregates.valuesOf('workerId');
         
-        console.log(`Added ${data.length} historical records`);
-        console.log(`Total workers: ${this.workers.length}`);
-        console.log(`Total training records: ${this.trainingData.length}`);
+        this.log(`Added ${data.length} historical records`);
+        this.log(`Total workers: ${this.workers.length}`);
+        this.log(`Total training records: ${this.trainingData.length}`);
+        if (newMachines.length > 0) {
+            this.log(`Registered new machines: ${newMachines.join(', ')}`);
+        }
+
+        this.emit('change', {
+            type: 'training-data',
+            workerIds: _.uniq(data.map(d => d.workerId)),
+            machineIds: _.uniq(data.map(d => d.machineId)),
+            records: data.length
+        });
     }
 
-    // Train the ML model
+    // Train every enabled strategy on the historical data
     train() {
         if (this.trainingData.length === 0) {
-            throw new Error('No training data available. Add historical data first.');
+            throw new NoTrainingDataError('No training data available. Add historical data first.');
         }
 
-        // Create feature matrix: [machineId, avgTime, avgQuality, jobCount]
-        const workerFeatures = [];
-        const workerLabels = [];
-
-        this.workers.forEach(workerId => {
-            const workerData = this.trainingData.filter(d => d.workerId === workerId);
-            
-            this.machines.forEach(machineId => {
-                const machineData = workerData.filter(d => d.machineId === machineId);
-                
-                if (machineData.length > 0) {
-                    const avgTime = _.mean(machineData.map(d => d.timeMinutes));
-                    const avgQuality = _.mean(machineData.map(d => d.qualityScore));
-                    const jobCount = machineData.length;
-                    
-                    // Features: [machineId, avgTime, avgQuality, jobCount]
-                    workerFeatures.push([machineId, avgTime, avgQuality, jobCount]);
-                    workerLabels.push(workerId);
-                }
-            });
+        this.strategies = {};
+        this.strategyNames.forEach(name => {
+            const strategy = this.registry.create(name, this.strategyOptions[name]);
+            strategy.fit(this);
+            this.strategies[name] = strategy;
         });
+        this.fitColdStart();
 
-        // Train KNN model - fix the constructor call
-        this.model = new KNN(workerFeatures, workerLabels, { k: 3 });
         this.isModelTrained = true;
-        
-        console.log(`Model trained with ${workerFeatures.length} feature vectors`);
-        console.log('Training completed successfully!');
+        this.modelMetadata = {
+            timestamp: new Date().toISOString(),
+            dataHash: this.computeDataHash()
+        };
+
+        this.log(`Strategies trained: ${this.strategyNames.join(', ')} (default: ${this.defaultStrategy})`);
+        this.emit('change', { type: 'trained', strategies: this.strategyNames });
+        this.log('Training completed successfully!');
 
         // Auto-save the trained model
-        this.saveModel();
+        if (this.autoSave) {
+            this.saveModel();
+        }
+    }
+
+    // Summarise the training data for cold-start estimates; cheap enough to redo on load
+    fitColdStart() {
+        this.coldStart = new ColdStartEstimator().fit(this.aggregates, this.machineRegistry);
+    }
+
+    // Fingerprint of the training data, used to reject stale saved models. The hash is
+    // fed as records are added, so reading it does not serialize the whole data set again
+    computeDataHash() {
+        return this.dataHash.copy().update(']').digest('hex');
+    }
+
+    // sha256 of JSON.stringify(records); the same value as hashing them batch by batch
+    static hashData(records) {
+        return WorkerAssignmentML.updateDataHash(WorkerAssignmentML.createDataHash(), records, 0)
+            .update(']')
+            .digest('hex');
+    }
+
+    // Hash of a JSON array under construction: the opening bracket, then the records
+    static createDataHash() {
+        return crypto.createHash('sha256').update('[');
+    }
+
+    // Feed records to the hash; offset is how many records it already holds
+    static updateDataHash(hash, records, offset) {
+        records.forEach((record, index) => hash.update((offset + index > 0 ? ',' : '') + JSON.stringify(record)));
+        return hash;
     }
 
     // Save trained model to disk
     saveModel() {
-        if (!this.isModelTrained || !this.model) {
-            console.log('⚠️  No trained model to save');
+        if (!this.isModelTrained) {
+            this.log('⚠️  No trained model to save');
             return false;
         }
 
         try {
             const modelData = {
-                timestamp: new Date().toISOString(),
+                timestamp: this.modelMetadata.timestamp,
+                dataHash: this.modelMetadata.dataHash,
                 trainingDataSize: this.trainingData.length,
                 workers: this.workers,
-                machines: this.machines,
-                // KNN model serialization (simplified)
-                modelConfig: {
-                    k: 3,
-                    featureCount: this.model.X ? this.model.X.length : 0,
-                    labelCount: this.model.y ? this.model.y.length : 0
-                },
+                machines: this.machineRegistry.toJSON(),
+                defaultStrategy: this.defaultStrategy,
+                recency: this.recency.describe(),
+                // Fitted state of every strategy, with the options it was fitted under
+                strategies: _.mapValues(this.strategies, strategy => ({
+                    options: strategy.options,
+                    state: strategy.serialize()
+                })),
                 // Save training metadata for validation
                 trainingMetadata: {
                     totalRecords: this.trainingData.length,
@@ -113,7 +268,7 @@ class WorkerAssignmentML {
             };
 
             fs.writeFileSync(this.modelPath, JSON.stringify(modelData, null, 2));
-            console.log(`💾 Model saved to: ${this.modelPath}`);
+            this.log(`💾 Model saved to: ${this.modelPath}`);
             return true;
         } catch (error) {
             console.error('❌ Failed to save model:', error.message);
@@ -121,31 +276,64 @@ class WorkerAssignmentML {
         }
     }
 
-    // Load trained model from disk
+    // Load trained model from disk and restore every strategy's fitted state
     loadModel() {
         if (!fs.existsSync(this.modelPath)) {
-            console.log('📂 No saved model found. Training required.');
+            this.log('📂 No saved model found. Training required.');
             return false;
         }
 
         try {
             const modelData = JSON.parse(fs.readFileSync(this.modelPath, 'utf8'));
-            
-            // Validate model compatibility
-            if (modelData.workers && modelData.machines) {
-                this.workers = modelData.workers;
-                this.machines = modelData.machines;
-                
-                console.log(`📂 Model metadata loaded from: ${modelData.timestamp}`);
-                console.log(`   Training data: ${modelData.trainingDataSize} records`);
-                console.log(`   Workers: ${modelData.workers.length}, Machines: ${modelData.machines.length}`);
-                
-                // Note: For full model loading, we'd need to reconstruct the KNN model
-                // This is a simplified version that loads metadata
-                return true;
+
+            if (!modelData.strategies) {
+                this.log('📂 Saved model has no fitted state. Training required.');
+                return false;
             }
-            
-            return false;
+
+            if (modelData.dataHash !== this.computeDataHash()) {
+                this.log('⚠️  Saved model was trained on different data. Training required.');
+                return false;
+            }
+
+            if (!_.isEqual(modelData.recency || { mode: 'none' }, this.recency.describe())) {
+                this.log('⚠️  Saved model uses different recency weighting. Training required.');
+                return false;
+            }
+
+            const strategies = {};
+            for (const name of this.strategyNames) {
+                const saved = modelData.strategies[name];
+                const strategy = this.registry.create(name, this.strategyOptions[name]);
+
+                if (!saved) {
+                    this.log(`⚠️  Saved model has no "${name}" strategy. Training required.`);
+                    return false;
+                }
+                if (!_.isEqual(saved.options, strategy.options)) {
+                    this.log(`⚠️  Saved "${name}" strategy uses different settings. Training required.`);
+                    return false;
+                }
+
+                strategy.deserialize(saved.state);
+                strategies[name] = strategy;
+            }
+
+            this.strategies = strategies;
+            this.workers = modelData.workers;
+            modelData.machines.forEach(machine => this.machineRegistry.ensure(machine.id));
+            this.fitColdStart();
+            this.isModelTrained = true;
+            this.modelMetadata = {
+                timestamp: modelData.timestamp,
+                dataHash: modelData.dataHash
+            };
+
+            this.log(`📂 Model loaded from: ${modelData.timestamp}`);
+            this.log(`   Training data: ${modelData.trainingDataSize} records`);
+            this.log(`   Workers: ${modelData.workers.length}, Machines: ${modelData.machines.length}`);
+            this.log(`   Strategies: ${this.strategyNames.join(', ')}`);
+            return true;
         } catch (error) {
             console.error('❌ Failed to load model:', error.message);
             return false;
@@ -171,460 +359,824 @@ class WorkerAssignmentML {
     }
 
     // Smart training: only train if needed
+    // Returns true when a new model was trained, false when an existing one was reused
     trainIfNeeded(forceRetrain = false) {
         if (forceRetrain) {
-            console.log('🔄 Force retraining requested...');
+            this.log('🔄 Force retraining requested...');
             this.train();
-            return;
+            return true;
         }
 
         if (this.isModelTrained) {
-            console.log('✅ Model already trained in this session');
-            return;
+            this.log('✅ Model already trained in this session');
+            return false;
         }
 
-        if (this.isModelCurrent()) {
-            console.log('✅ Recent trained model found, skipping training');
-            console.log('   Use forceRetrain=true to retrain anyway');
-            // For demo purposes, we'll still train to show the process
-            // In production, you'd load the saved model state
-            this.train();
-        } else {
-            console.log('🔄 Training model (no recent model found)...');
-            this.train();
+        if (this.isModelCurrent() && this.loadModel()) {
+            this.log('✅ Recent trained model found, skipping training');
+            this.log('   Use forceRetrain=true to retrain anyway');
+            return false;
         }
+
+        this.log('🔄 Training model (no usable saved model found)...');
+        this.train();
+        return true;
     }
 
-    // Predict best worker for a job
-    predictWorker(machineId, preferredMaxTime = null, minQualityThreshold = 7.0, enableDebug = false) {
+    // Look up a fitted strategy by name
+    getStrategy(strategyName) {
         if (!this.isModelTrained) {
-            throw new Error('Model not trained. Call train() method first.');
+            throw new ModelNotTrainedError();
         }
 
-        if (!this.machines.includes(machineId)) {
-            throw new Error(`Invalid machine ID. Available machines: ${this.machines.join(', ')}`);
+        const strategy = this.strategies[strategyName];
+        if (!strategy) {
+            throw new UnknownStrategyError(`Strategy "${strategyName}" is not enabled. Enabled: ${Object.keys(this.strategies).join(', ')}`);
         }
+        return strategy;
+    }
 
-        if (enableDebug) {
-            console.log('\n🔍 DEBUG: Worker Assignment Process');
-            console.log('=====================================');
-            console.log(`📝 Job Requirements:`);
-            console.log(`   - Machine ID: ${machineId}`);
-            console.log(`   - Max Time: ${preferredMaxTime ? preferredMaxTime + ' minutes' : 'No limit'}`);
-            console.log(`   - Min Quality: ${minQualityThreshold}/10`);
+    // Recommend a worker with the named strategy (default: this.defaultStrategy)
+    // query: { machineId, complexity, maxTime, minQuality, job, scoring, enableDebug } (see ModelStrategy)
+    // The result reports the recency weighting its statistics were computed under, and carries a
+    // predictionId for reporting the job's real result to recordOutcome()
+    // options.record: log the prediction, audit it and count it as a recommendation (default true);
+    // false for lookups that assign nobody, such as explanations and comparisons (no predictionId)
+    predict(query, strategyName = this.defaultStrategy, options = {}) {
+        const strategy = this.getStrategy(strategyName);
+
+        if (query.scoring && !strategy.supportsScoring()) {
+            throw new InvalidArgumentError(`Strategy "${strategyName}" does not rank by a scoring policy; use statistical or regression`, { strategy: strategyName });
         }
 
-        // Get worker statistics for this machine
-        const workerStats = this.getWorkerStatistics(machineId);
-        
-        if (enableDebug) {
-            console.log(`\n📊 Available Workers for Machine ${machineId}:`);
-            if (workerStats.length === 0) {
-                console.log('   ❌ No workers have experience on this machine!');
-            } else {
-                workerStats.forEach(worker => {
-                    console.log(`   ${worker.workerId}: ${worker.jobCount} jobs, avg ${worker.avgTime.toFixed(1)}min, quality ${worker.avgQuality.toFixed(1)}/10`);
-                });
-            }
+        if (!this.machines.includes(query.machineId)) {
+            throw new UnknownMachineError(`Invalid machine ID. Available machines: ${this.machines.join(', ')}`, { machineId: query.machineId, available: this.machines });
         }
 
-        // Filter workers based on criteria
-        let eligibleWorkers = workerStats.filter(worker => {
-            let isEligible = true;
-            let reasons = [];
-            
-            if (preferredMaxTime !== null) {
-                if (worker.avgTime <= preferredMaxTime) {
-                    reasons.push(`✅ Time OK (${worker.avgTime.toFixed(1)} ≤ ${preferredMaxTime})`);
-                } else {
-                    reasons.push(`❌ Too slow (${worker.avgTime.toFixed(1)} > ${preferredMaxTime})`);
-                    isEligible = false;
-                }
-            } else {
-                reasons.push('✅ No time limit');
+        const job = query.job || {};
+        if (this.getCandidateStatistics(query.machineId, job).length === 0) {
+            if (this.getWorkerStatistics(query.machineId, job).length > 0) {
+                throw new NoEligibleWorkerError(`No experienced worker is available for machine ${query.machineId} in the requested slot`, { machineId: query.machineId });
             }
-            
-            if (minQualityThreshold !== null) {
-                if (worker.avgQuality >= minQualityThreshold) {
-                    reasons.push(`✅ Quality OK (${worker.avgQuality.toFixed(1)} ≥ ${minQualityThreshold})`);
-                } else {
-                    reasons.push(`❌ Quality too low (${worker.avgQuality.toFixed(1)} < ${minQualityThreshold})`);
-                    isEligible = false;
-                }
-            } else {
-                reasons.push('✅ No quality requirement');
+            if (this.getColdStartCandidates(query.machineId, job).length === 0) {
+                throw new NoEligibleWorkerError(`No worker is available for machine ${query.machineId} in the requested slot`, { machineId: query.machineId });
             }
+        }
 
-            if (enableDebug) {
-                console.log(`\n🔍 Evaluating ${worker.workerId}:`);
-                reasons.forEach(reason => console.log(`   ${reason}`));
-                console.log(`   Result: ${isEligible ? '✅ ELIGIBLE' : '❌ NOT ELIGIBLE'}`);
-            }
-            
-            return isEligible;
+        const prediction = {
+            ...strategy.predict(this, query),
+            recency: this.recency.describe()
+        };
+        if (options.record === false) {
+            return prediction;
+        }
+        // Logged under the strategy that produced the result: knn and regression
+        // fall back to statistical when their pick cannot take the job
+        const producedBy = prediction.strategy || strategyName;
+        prediction.predictionId = this.predictionLog.record(producedBy, query, prediction);
+        if (this.autoSave) {
+            this.schedulePredictionLogSave();
+        }
+        if (this.audit) {
+            this.audit.recordPrediction(this.auditEntry(producedBy, query, prediction));
+        }
+        this.emit('change', {
+            type: 'prediction',
+            predictionId: prediction.predictionId,
+            machineId: query.machineId,
+            workerId: prediction.recommendedWorker || null
         });
+        return prediction;
+    }
 
-        if (enableDebug) {
-            console.log(`\n📋 Filtering Results:`);
-            console.log(`   Total workers checked: ${workerStats.length}`);
-            console.log(`   Eligible workers: ${eligibleWorkers.length}`);
+    // Audit log entry for a prediction: what was asked, by which model, and what it chose
+    auditEntry(strategyName, query, prediction) {
+        return {
+            predictionId: prediction.predictionId,
+            inputs: _.omit(query, ['enableDebug']),
+            model: {
+                strategy: strategyName,
+                trainedAt: this.modelMetadata.timestamp,
+                dataHash: this.modelMetadata.dataHash,
+                recency: prediction.recency
+            },
+            chosenWorker: prediction.recommendedWorker,
+            confidence: prediction.confidence,
+            method: prediction.method,
+            scoring: prediction.scoring || null,
+            relaxation: prediction.relaxation || null,
+            candidates: (prediction.candidates || []).map(candidate => _.pick(candidate, [
+                'workerId', 'estimatedTime', 'expectedQuality', 'timeInterval', 'qualityInterval',
+                'estimateModel', 'score', 'scoreBreakdown', 'probabilities'
+            ]))
+        };
+    }
+
+    // Report how a predicted job really went. The result becomes a training record
+    // linked to the prediction, its error counts towards the strategy's error
+    // statistics, and the model is retrained when the retraining policy says so
+    // outcome: { workerId, timeMinutes, qualityScore } plus optional jobDate, shift and jobType
+    // (default: the predicted job's). Without a date it gets the newest date in the data, not
+    // today: recency weighting counts ages from the newest date, and one undated outcome
+    // stamped today could push all history out of a recency window
+    recordOutcome(predictionId, outcome = {}) {
+        const prediction = this.predictionLog.get(predictionId);
+        const { workerId, timeMinutes, qualityScore } = outcome;
+
+        if (typeof workerId !== 'string' || workerId.length === 0) {
+            throw new InvalidArgumentError('An outcome needs the workerId of the worker who did the job');
+        }
+        if (typeof timeMinutes !== 'number' || !isFinite(timeMinutes) || timeMinutes <= 0) {
+            throw new InvalidArgumentError(`timeMinutes must be a positive number, got ${timeMinutes}`);
+        }
+        if (typeof qualityScore !== 'number' || !isFinite(qualityScore)) {
+            throw new InvalidArgumentError(`qualityScore must be a number, got ${qualityScore}`);
         }
 
-        if (eligibleWorkers.length === 0) {
-            if (enableDebug) {
-                console.log('\n⚠️  No workers meet the specified criteria. Relaxing constraints...');
-                console.log('   Using all available workers for this machine.');
-            } else {
-                console.log('No workers meet the specified criteria. Relaxing constraints...');
-            }
-            eligibleWorkers = workerStats;
+        const job = prediction.job;
+        const record = _.omitBy({
+            workerId,
+            machineId: prediction.machineId,
+            timeMinutes,
+            qualityScore,
+            jobDate: outcome.jobDate || job.date || this.aggregates.latestDate,
+            shift: outcome.shift || job.shift,
+            jobType: outcome.jobType || job.jobType,
+            predictionId
+        }, value => value === undefined || value === null);
+
+        const entry = this.predictionLog.recordOutcome(predictionId, record);
+        this.addHistoricalData([record]);
+
+        const retrainReason = this.predictionLog.retrainReason();
+        if (retrainReason) {
+            this.log(`🔄 Retraining: ${retrainReason}`);
+            this.train();
+            this.predictionLog.markRetrained();
+        }
+        if (this.autoSave) {
+            this.schedulePredictionLogSave();
         }
+        this.emit('change', { type: 'outcome', predictionId, machineId: record.machineId, workerId });
 
-        // Sort by efficiency score (quality/time ratio) and experience
-        eligibleWorkers.sort((a, b) => {
-            const efficiencyA = a.avgQuality / a.avgTime;
-            const efficiencyB = b.avgQuality / b.avgTime;
-            
-            if (Math.abs(efficiencyA - efficiencyB) < 0.01) {
-                return b.jobCount - a.jobCount; // More experience wins
-            }
-            
-            return efficiencyB - efficiencyA; // Higher efficiency wins
+        return {
+            ...entry,
+            retrained: retrainReason !== null,
+            retrainReason,
+            modelErrors: this.predictionLog.errorSummary()
+        };
+    }
+
+    // Record that a supervisor gave a predicted job to someone other than the recommended worker
+    // override: { workerId, reasonCode, supervisor, note }; reasonCode is one of
+    // PredictionLog.overrideReasons() (unavailable, skill-gap, quality-concern, ...)
+    recordOverride(predictionId, override = {}) {
+        const { workerId, reasonCode, supervisor, note } = override;
+        if (typeof workerId !== 'string' || workerId.length === 0) {
+            throw new InvalidArgumentError('An override needs the workerId of the worker the supervisor chose');
+        }
+
+        const entry = this.predictionLog.recordOverride(predictionId, { chosenWorker: workerId, reasonCode, supervisor, note });
+        if (this.autoSave) {
+            this.schedulePredictionLogSave();
+        }
+        if (this.audit) {
+            this.audit.recordOverride(predictionId, _.omit(entry, ['predictionId', 'timestamp']));
+        }
+        this.emit('change', {
+            type: 'override',
+            predictionId,
+            machineId: entry.machineId,
+            workerIds: [entry.recommendedWorker, entry.chosenWorker]
         });
 
-        if (enableDebug) {
-            console.log(`\n🏆 Ranking Workers by Efficiency (Quality/Time):`);
-            eligibleWorkers.forEach((worker, index) => {
-                const efficiency = (worker.avgQuality / worker.avgTime).toFixed(3);
-                const experienceBonus = worker.jobCount >= 10 ? ' (experienced)' : '';
-                console.log(`   ${index + 1}. ${worker.workerId}: efficiency ${efficiency}${experienceBonus}`);
-                console.log(`      - Avg time: ${worker.avgTime.toFixed(1)}min`);
-                console.log(`      - Avg quality: ${worker.avgQuality.toFixed(1)}/10`);
-                console.log(`      - Experience: ${worker.jobCount} jobs`);
-            });
+        const rejection = this.predictionLog.rejection(entry.recommendedWorker, entry.machineId, this.rejectionWindowStart());
+        return { ...entry, rejection: { ...rejection, learned: this.isRejected(entry.recommendedWorker, entry.machineId) } };
+    }
+
+    // Let a worker be recommended on a machine again: their overrides there so far no longer count
+    // Returns { workerId, machineId, timestamp, cleared }, cleared being the rejection set aside
+    resetRejection(workerId, machineId) {
+        if (!this.workers.includes(workerId)) {
+            throw new UnknownWorkerError(`Unknown worker "${workerId}"`, { workerId });
+        }
+        if (!this.machines.includes(machineId)) {
+            throw new UnknownMachineError(`Invalid machine ID. Available machines: ${this.machines.join(', ')}`, { machineId, available: this.machines });
         }
 
-        const bestWorker = eligibleWorkers[0];
-        
-        if (enableDebug) {
-            console.log(`\n🎯 FINAL DECISION:`);
-            console.log(`   Selected: ${bestWorker.workerId}`);
-            console.log(`   Reason: ${eligibleWorkers.length === 1 ? 'Only eligible worker' : 'Highest efficiency score'}`);
-            console.log(`   Confidence: ${Math.min(bestWorker.jobCount / 10, 1.0) * 100}% (based on ${bestWorker.jobCount} historical jobs)`);
-            console.log('=====================================\n');
+        const reset = this.predictionLog.resetRejection(workerId, machineId);
+        if (this.autoSave) {
+            this.schedulePredictionLogSave();
         }
-        
+        this.emit('change', { type: 'rejection-reset', machineId, workerId });
+        return reset;
+    }
+
+    // Override rates by machine and strategy, reasons, and the most rejected workers per machine
+    getOverrideReport() {
+        const report = this.predictionLog.overrideReport();
         return {
-            recommendedWorker: bestWorker.workerId,
-            estimatedTime: Math.round(bestWorker.avgTime),
-            expectedQuality: Math.round(bestWorker.avgQuality * 10) / 10,
-            confidence: Math.min(bestWorker.jobCount / 10, 1.0),
-            alternativeWorkers: eligibleWorkers.slice(1, 4).map(w => ({
-                workerId: w.workerId,
-                estimatedTime: Math.round(w.avgTime),
-                expectedQuality: Math.round(w.avgQuality * 10) / 10
-            })),
-            debugInfo: enableDebug ? {
-                totalWorkersChecked: workerStats.length,
-                eligibleWorkers: eligibleWorkers.length,
-                constraintsRelaxed: eligibleWorkers.length !== workerStats.length && eligibleWorkers.length === workerStats.length,
-                selectionReason: eligibleWorkers.length === 1 ? 'Only eligible worker' : 'Highest efficiency score'
-            } : null
+            ...report,
+            learning: this.overrideLearning,
+            rejections: report.rejections.map(r => ({ ...r, learned: this.isRejected(r.workerId, r.machineId) }))
         };
     }
 
-    // ML-based prediction using trained KNN model
-    predictWorkerML(machineId, expectedComplexity = 3, enableDebug = false) {
-        if (!this.isModelTrained) {
-            throw new Error('Model not trained. Call train() method first.');
-        }
+    // Whether override learning is on and supervisors consistently reject the worker on the machine.
+    // Only overrides inside the window count, so a rejection lapses windowDays after the last one
+    isRejected(workerId, machineId) {
+        if (!this.overrideLearning) return false;
+        const { overridden, rate } = this.predictionLog.rejection(workerId, machineId, this.rejectionWindowStart());
+        return overridden >= this.overrideLearning.minOverrides && rate >= this.overrideLearning.minRate;
+    }
 
-        if (enableDebug) {
-            console.log('\n🤖 MACHINE LEARNING PREDICTION');
-            console.log('===============================');
-            console.log(`Input: Machine ${machineId}, Complexity ${expectedComplexity}`);
-        }
+    // ISO timestamp of the oldest override that counts towards a rejection, or null for all of them
+    rejectionWindowStart() {
+        const windowDays = this.overrideLearning ? this.overrideLearning.windowDays : null;
+        return windowDays === null || windowDays === undefined
+            ? null
+            : new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000).toISOString();
+    }
 
-        // Create feature vector for the new job
-        // Features: [machineId, expectedTime, expectedQuality, experience]
-        // We'll use complexity to estimate expected time/quality
-        const expectedTime = 10 + (expectedComplexity * 5); // Base time + complexity factor
-        const expectedQuality = Math.max(5, 10 - expectedComplexity); // Higher complexity = potentially lower quality
-        const minExperience = 5; // Minimum experience threshold
+    // Realized-vs-predicted error per strategy, overall and since the last retrain
+    getOutcomeStatistics() {
+        return {
+            outcomes: this.predictionLog.outcomes.length,
+            sinceRetrain: this.predictionLog.sinceRetrain().length,
+            policy: this.predictionLog.policy(),
+            overall: this.predictionLog.errorSummary(),
+            recent: this.predictionLog.errorSummary(this.predictionLog.sinceRetrain())
+        };
+    }
 
-        const queryFeatures = [machineId, expectedTime, expectedQuality, minExperience];
-        
-        if (enableDebug) {
-            console.log(`Feature vector: [machine=${machineId}, time=${expectedTime}, quality=${expectedQuality}, exp=${minExperience}]`);
-        }
+    // How the named strategy reaches its recommendation for a query
+    explain(query, strategyName = this.defaultStrategy) {
+        return this.getStrategy(strategyName).explain(this, query);
+    }
 
-        // Use KNN to predict the best worker
-        const predictions = this.model.predict([queryFeatures]);
-        const predictedWorker = predictions[0];
+    // Why KNN picks a worker for a job: the k nearest training profiles (worker,
+    // machine, feature values, distance), the vote tally and each feature's share
+    // of the distance, plus the recommendation predictWorkerML() makes from the vote
+    // (which differs from the vote when the winner is unavailable)
+    explainPrediction(machineId, expectedComplexity = 3, job = {}) {
+        const query = { machineId, complexity: expectedComplexity, job };
+        const prediction = this.predict(query, 'knn', { record: false });
 
-        if (enableDebug) {
-            console.log(`🎯 KNN Model prediction: ${predictedWorker}`);
-            
-            // Show the k-nearest neighbors for debugging
-            const distances = this.model.distanceMatrix;
-            console.log(`📍 Using K=${this.model.k} nearest neighbors`);
+        return {
+            ...this.explain(query, 'knn'),
+            machineId,
+            complexity: expectedComplexity,
+            job,
+            recommendedWorker: prediction.recommendedWorker,
+            method: prediction.method,
+            confidence: prediction.confidence
+        };
+    }
+
+    // ML-based prediction, using the default strategy unless one is named
+    // job: optional descriptor { shift, jobType, date, start, end } for the job being assigned;
+    // candidates are limited to workers the roster has available in that slot
+    predictWorkerML(machineId, expectedComplexity = 3, enableDebug = false, job = {}, strategyName = this.defaultStrategy) {
+        return this.predict({ machineId, complexity: expectedComplexity, enableDebug, job }, strategyName);
+    }
+
+    // Conditional time/quality estimate for a worker on a job, from the regression models
+    // Returns { timeMinutes, qualityScore, model } with 95% prediction intervals
+    estimatePerformance(workerId, machineId, complexity = 3, job = {}) {
+        if (!this.strategies.regression) {
+            throw new UnknownStrategyError('Performance estimates need the "regression" strategy to be enabled.', { strategy: 'regression' });
         }
 
-        // Get statistics for the predicted worker on this machine
-        const workerStats = this.getWorkerStatistics(machineId);
-        const predictedWorkerStats = workerStats.find(w => w.workerId === predictedWorker);
+        return this.getStrategy('regression').estimate(workerId, machineId, complexity, job);
+    }
+
+    // Time/quality estimate for each worker in workerStats on a job: regression
+    // estimates with intervals when that strategy is enabled, empirical-Bayes estimates otherwise;
+    // cold-start entries keep their extrapolated estimate
+    estimateCandidates(workerStats, machineId, complexity = 3, job = {}) {
+        const regression = this.strategies.regression;
 
-        if (!predictedWorkerStats) {
-            if (enableDebug) {
-                console.log(`⚠️  Predicted worker ${predictedWorker} has no experience on machine ${machineId}`);
-                console.log('Falling back to statistical method...');
+        return workerStats.map(worker => {
+            if (worker.extrapolated) {
+                return this.formatColdStart(worker.coldStart);
             }
-            // Fall back to statistical method
-            return this.predictWorker(machineId, null, null, enableDebug);
-        }
+            if (regression) {
+                return regression.formatEstimate(
+                    worker.workerId,
+                    regression.estimate(worker.workerId, machineId, complexity, job)
+                );
+            }
+            return this.formatPosterior(worker);
+        });
+    }
 
-        // Calculate confidence based on worker's experience and model certainty
-        const confidence = Math.min(predictedWorkerStats.jobCount / 20, 0.95);
+    // Shape a worker's empirical-Bayes estimates like the prediction output fields
+    formatPosterior(worker) {
+        const round1 = value => Math.round(value * 10) / 10;
 
-        if (enableDebug) {
-            console.log(`✅ ML Prediction complete:`);
-            console.log(`   Worker: ${predictedWorker}`);
-            console.log(`   Confidence: ${(confidence * 100).toFixed(1)}%`);
-            console.log(`   Based on ${predictedWorkerStats.jobCount} historical jobs`);
-            console.log('===============================\n');
-        }
+        return {
+            workerId: worker.workerId,
+            estimatedTime: Math.round(worker.posteriorTime.mean),
+            expectedQuality: round1(worker.posteriorQuality.mean),
+            timeInterval: {
+                lower: round1(worker.posteriorTime.lower),
+                upper: round1(worker.posteriorTime.upper)
+            },
+            qualityInterval: {
+                lower: round1(worker.posteriorQuality.lower),
+                upper: round1(worker.posteriorQuality.upper)
+            },
+            estimateModel: 'empirical-bayes'
+        };
+    }
+
+    // Shape a cold-start estimate like the prediction output fields, labelled as an extrapolation
+    formatColdStart(estimate) {
+        const round1 = value => Math.round(value * 10) / 10;
 
         return {
-            recommendedWorker: predictedWorker,
-            estimatedTime: Math.round(predictedWorkerStats.avgTime),
-            expectedQuality: Math.round(predictedWorkerStats.avgQuality * 10) / 10,
-            confidence: confidence,
-            method: 'KNN Machine Learning',
-            alternativeWorkers: workerStats
-                .filter(w => w.workerId !== predictedWorker)
-                .sort((a, b) => (b.avgQuality / b.avgTime) - (a.avgQuality / a.avgTime))
-                .slice(0, 3)
-                .map(w => ({
-                    workerId: w.workerId,
-                    estimatedTime: Math.round(w.avgTime),
-                    expectedQuality: Math.round(w.avgQuality * 10) / 10
-                }))
+            workerId: estimate.workerId,
+            estimatedTime: Math.round(estimate.timeMinutes.estimate),
+            expectedQuality: round1(estimate.qualityScore.estimate),
+            timeInterval: {
+                lower: round1(estimate.timeMinutes.lower),
+                upper: round1(estimate.timeMinutes.upper)
+            },
+            qualityInterval: {
+                lower: round1(estimate.qualityScore.lower),
+                upper: round1(estimate.qualityScore.upper)
+            },
+            estimateModel: 'cold-start',
+            extrapolated: true,
+            extrapolation: {
+                method: estimate.method,
+                basis: estimate.basis
+            }
         };
     }
 
-    // Enhanced prediction method that compares ML vs Statistical approaches
-    predictWorkerComparison(machineId, expectedComplexity = 3, maxTime = null, minQuality = 7.0, enableDebug = false) {
+    // Run several strategies on the same job and compare their recommendations
+    // strategyNames: defaults to every enabled strategy
+    predictWorkerComparison(machineId, expectedComplexity = 3, maxTime = null, minQuality = 7.0, enableDebug = false, job = {}, strategyNames = Object.keys(this.strategies)) {
         if (enableDebug) {
-            console.log('\n📊 ML vs STATISTICAL COMPARISON');
+            console.log(`\n📊 STRATEGY COMPARISON (${strategyNames.join(' vs ')})`);
             console.log('================================');
         }
 
-        // Get ML prediction
-        const mlPrediction = this.predictWorkerML(machineId, expectedComplexity, enableDebug);
-        
-        // Get statistical prediction
-        const statPrediction = this.predictWorker(machineId, maxTime, minQuality, enableDebug);
+        const query = { machineId, complexity: expectedComplexity, maxTime, minQuality, enableDebug, job };
+        const predictions = {};
+        strategyNames.forEach(name => {
+            predictions[name] = this.predict(query, name, { record: false });
+        });
+
+        // A strict statistical ranking may find nobody eligible; it doesn't vote
+        const votes = _.countBy(Object.values(predictions).filter(p => p.recommendedWorker !== null), 'recommendedWorker');
+        const agreement = Object.keys(votes).length === 1;
+        const recommendation = _.maxBy(Object.values(predictions), 'confidence');
 
         if (enableDebug) {
             console.log('\n🔍 COMPARISON RESULTS:');
-            console.log(`ML Method:         ${mlPrediction.recommendedWorker} (${mlPrediction.estimatedTime}min, ${mlPrediction.expectedQuality}/10)`);
-            console.log(`Statistical Method: ${statPrediction.recommendedWorker} (${statPrediction.estimatedTime}min, ${statPrediction.expectedQuality}/10)`);
-            console.log(`Agreement: ${mlPrediction.recommendedWorker === statPrediction.recommendedWorker ? '✅ YES' : '❌ NO'}`);
+            _.forEach(predictions, (prediction, name) => {
+                console.log(`${name.padEnd(12)} ${prediction.recommendedWorker} (${prediction.estimatedTime}min, ${prediction.expectedQuality}/10, confidence ${(prediction.confidence * 100).toFixed(1)}%)`);
+            });
+            console.log(`Agreement: ${agreement ? '✅ YES' : '❌ NO'}`);
             console.log('================================\n');
         }
 
         return {
-            mlPrediction,
-            statisticalPrediction: statPrediction,
-            agreement: mlPrediction.recommendedWorker === statPrediction.recommendedWorker,
-            recommendation: mlPrediction.confidence > statPrediction.confidence ? mlPrediction : statPrediction
+            predictions,
+            votes,
+            agreement,
+            recommendation
         };
     }
 
-    // Predict best worker for a job
-    predictWorker(machineId, preferredMaxTime = null, minQualityThreshold = 7.0, enableDebug = false) {
-        if (!this.isModelTrained) {
-            throw new Error('Model not trained. Call train() method first.');
-        }
+    // Predict best worker for a job with the statistical strategy
+    // job: optional descriptor { shift, jobType, date, start, end } for the job being assigned;
+    // candidates are limited to workers the roster has available in that slot
+    // scoring: ScoringPolicy, preset name or policy options for the ranking (default: this.scoringPolicy)
+    // minProbability: how likely a worker must be to meet the time and quality limits (default: this.minProbability)
+    // relaxation: RelaxationPolicy or its options, e.g. { strict: true } (default: this.relaxationPolicy);
+    // in strict mode a job nobody qualifies for gets recommendedWorker null and noEligibleWorker true
+    predictWorker(machineId, preferredMaxTime = null, minQualityThreshold = 7.0, enableDebug = false, job = {},
+        scoring = null, minProbability = null, relaxation = null) {
+        return this.predict({
+            machineId,
+            maxTime: preferredMaxTime,
+            minQuality: minQualityThreshold,
+            enableDebug,
+            job,
+            scoring,
+            minProbability,
+            relaxation
+        }, 'statistical');
+    }
 
-        if (!this.machines.includes(machineId)) {
-            throw new Error(`Invalid machine ID. Available machines: ${this.machines.join(', ')}`);
-        }
+    // The relaxation policy for a query: its own, or the system default
+    resolveRelaxation(relaxation) {
+        return relaxation ? RelaxationPolicy.from(relaxation) : this.relaxationPolicy;
+    }
 
-        if (enableDebug) {
-            console.log('\n🔍 DEBUG: Worker Assignment Process');
-            console.log('=====================================');
-            console.log(`📝 Job Requirements:`);
-            console.log(`   - Machine ID: ${machineId}`);
-            console.log(`   - Max Time: ${preferredMaxTime ? preferredMaxTime + ' minutes' : 'No limit'}`);
-            console.log(`   - Min Quality: ${minQualityThreshold}/10`);
-        }
+    // The probability a worker must reach on a query's limits: its own, or the system default
+    resolveMinProbability(minProbability) {
+        return minProbability !== null && minProbability !== undefined
+            ? this.validateProbability(minProbability)
+            : this.minProbability;
+    }
 
-        // Get worker statistics for this machine
-        const workerStats = this.getWorkerStatistics(machineId);
-        
-        if (enableDebug) {
-            console.log(`\n📊 Available Workers for Machine ${machineId}:`);
-            if (workerStats.length === 0) {
-                console.log('   ❌ No workers have experience on this machine!');
-            } else {
-                workerStats.forEach(worker => {
-                    console.log(`   ${worker.workerId}: ${worker.jobCount} jobs, avg ${worker.avgTime.toFixed(1)}min, quality ${worker.avgQuality.toFixed(1)}/10`);
-                });
-            }
+    validateProbability(probability) {
+        if (typeof probability !== 'number' || !(probability > 0 && probability < 1)) {
+            throw new InvalidArgumentError(`minProbability must be a number between 0 and 1 (exclusive), got ${probability}`);
         }
+        return probability;
+    }
 
-        // Filter workers based on criteria
-        let eligibleWorkers = workerStats.filter(worker => {
-            let isEligible = true;
-            let reasons = [];
-            
-            if (preferredMaxTime !== null) {
-                if (worker.avgTime <= preferredMaxTime) {
-                    reasons.push(`✅ Time OK (${worker.avgTime.toFixed(1)} ≤ ${preferredMaxTime})`);
-                } else {
-                    reasons.push(`❌ Too slow (${worker.avgTime.toFixed(1)} > ${preferredMaxTime})`);
-                    isEligible = false;
-                }
-            } else {
-                reasons.push('✅ No time limit');
-            }
-            
-            if (minQualityThreshold !== null) {
-                if (worker.avgQuality >= minQualityThreshold) {
-                    reasons.push(`✅ Quality OK (${worker.avgQuality.toFixed(1)} ≥ ${minQualityThreshold})`);
-                } else {
-                    reasons.push(`❌ Quality too low (${worker.avgQuality.toFixed(1)} < ${minQualityThreshold})`);
-                    isEligible = false;
-                }
-            } else {
-                reasons.push('✅ No quality requirement');
-            }
+    // The scoring policy for a query: its own, or the system default
+    resolveScoring(scoring) {
+        return scoring ? ScoringPolicy.from(scoring) : this.scoringPolicy;
+    }
 
-            if (enableDebug) {
-                console.log(`\n🔍 Evaluating ${worker.workerId}:`);
-                reasons.forEach(reason => console.log(`   ${reason}`));
-                console.log(`   Result: ${isEligible ? '✅ ELIGIBLE' : '❌ NOT ELIGIBLE'}`);
-            }
-            
-            return isEligible;
+    // Score and order candidates with a policy; estimates: [{ worker, time, quality }]
+    // where worker is a getWorkerStatistics()/getColdStartCandidates() entry
+    rankByScore(estimates, policy) {
+        return policy.rank(estimates.map(e => ({
+            workerId: e.worker.workerId,
+            time: e.time,
+            quality: e.quality,
+            timeStd: e.worker.timeStd,
+            jobs: e.worker.jobCount
+        }))).map(entry => {
+            const estimate = estimates.find(e => e.worker.workerId === entry.workerId);
+            return { ...estimate, score: entry.score, scoreBreakdown: entry.breakdown };
         });
+    }
 
-        if (enableDebug) {
-            console.log(`\n📋 Filtering Results:`);
-            console.log(`   Total workers checked: ${workerStats.length}`);
-            console.log(`   Eligible workers: ${eligibleWorkers.length}`);
+    // Normalise a job descriptor; machineType/estimatedComplexity are accepted
+    // as aliases, as used by generateTestScenarios()
+    normalizeJob(job, index = 0) {
+        const machineId = job.machineId !== undefined ? job.machineId : job.machineType;
+        const complexity = job.complexity !== undefined ? job.complexity : job.estimatedComplexity;
+        const jobId = job.jobId || `JOB_${index + 1}`;
+
+        if (!this.machines.includes(machineId)) {
+            throw new UnknownMachineError(`Invalid machine ID for job ${jobId}. Available machines: ${this.machines.join(', ')}`, { jobId, machineId, available: this.machines });
         }
 
-        if (eligibleWorkers.length === 0) {
-            if (enableDebug) {
-                console.log('\n⚠️  No workers meet the specified criteria. Relaxing constraints...');
-                console.log('   Using all available workers for this machine.');
-            } else {
-                console.log('No workers meet the specified criteria. Relaxing constraints...');
-            }
-            eligibleWorkers = workerStats;
+        return {
+            ...job,
+            jobId,
+            machineId,
+            complexity: complexity !== undefined ? complexity : 3,
+            dueMinutes: job.dueMinutes !== undefined ? job.dueMinutes : null
+        };
+    }
+
+    // Assign a single job with the default strategy
+    // job: { jobId, machineId, complexity, shift, jobType, date }
+    assignWorker(job) {
+        const normalized = this.normalizeJob(job);
+        const prediction = this.predictWorkerML(normalized.machineId, normalized.complexity, false, normalized);
+
+        return {
+            jobId: normalized.jobId,
+            workerId: prediction.recommendedWorker,
+            predictedTime: prediction.estimatedTime,
+            expectedQuality: prediction.expectedQuality,
+            confidence: prediction.confidence,
+            method: prediction.method,
+            alternatives: prediction.alternativeWorkers.map(alt => ({
+                workerId: alt.workerId,
+                predictedTime: alt.estimatedTime,
+                expectedQuality: alt.expectedQuality
+            }))
+        };
+    }
+
+    // Jointly assign a shift's job list, using each available worker's pooled
+    // time/quality estimates on the job's machine (see getCandidateStatistics)
+    // jobs: [{ jobId, machineId, complexity, dueMinutes, shift, jobType }], dueMinutes from shift start
+    // workers: worker IDs available for the shift (default: all known workers)
+    // options: { shiftMinutes = 480, objective = 'time' | 'quality' } (see BatchScheduler)
+    assignBatch(jobs, workers = this.workers, options = {}) {
+        if (!this.isModelTrained) {
+            throw new ModelNotTrainedError();
         }
 
-        // Sort by efficiency score (quality/time ratio) and experience
-        eligibleWorkers.sort((a, b) => {
-            const efficiencyA = a.avgQuality / a.avgTime;
-            const efficiencyB = b.avgQuality / b.avgTime;
-            
-            if (Math.abs(efficiencyA - efficiencyB) < 0.01) {
-                return b.jobCount - a.jobCount; // More experience wins
-            }
-            
-            return efficiencyB - efficiencyA; // Higher efficiency wins
+        const scheduler = new BatchScheduler(options);
+        const round1 = value => Math.round(value * 10) / 10;
+
+        const batchJobs = jobs.map((job, index) => {
+            const normalized = this.normalizeJob(job, index);
+            return {
+                ...normalized,
+                estimates: this.getCandidateStatistics(normalized.machineId, normalized).map(w => ({
+                    workerId: w.workerId,
+                    time: w.posteriorTime.mean,
+                    quality: w.posteriorQuality.mean
+                }))
+            };
         });
 
-        if (enableDebug) {
-            console.log(`\n🏆 Ranking Workers by Efficiency (Quality/Time):`);
-            eligibleWorkers.forEach((worker, index) => {
-                const efficiency = (worker.avgQuality / worker.avgTime).toFixed(3);
-                const experienceBonus = worker.jobCount >= 10 ? ' (experienced)' : '';
-                console.log(`   ${index + 1}. ${worker.workerId}: efficiency ${efficiency}${experienceBonus}`);
-                console.log(`      - Avg time: ${worker.avgTime.toFixed(1)}min`);
-                console.log(`      - Avg quality: ${worker.avgQuality.toFixed(1)}/10`);
-                console.log(`      - Experience: ${worker.jobCount} jobs`);
-            });
-        }
+        const { byWorker, unassigned } = scheduler.schedule(batchJobs, workers);
+
+        const timelines = {};
+        const slotsByJob = {};
+        _.forEach(byWorker, (workerJobs, workerId) => {
+            const slots = scheduler.timeline(workerJobs).map(slot => ({
+                jobId: slot.job.jobId,
+                machineId: slot.job.machineId,
+                workerId,
+                start: round1(slot.start),
+                end: round1(slot.end),
+                estimatedTime: round1(slot.job.estimate.time),
+                expectedQuality: round1(slot.job.estimate.quality),
+                dueMinutes: slot.job.dueMinutes,
+                onTime: slot.onTime
+            }));
+            const totalMinutes = _.sumBy(workerJobs, j => j.estimate.time);
+
+            slots.forEach(slot => { slotsByJob[slot.jobId] = slot; });
+            timelines[workerId] = {
+                jobs: slots,
+                totalMinutes: round1(totalMinutes),
+                utilization: Math.round((totalMinutes / scheduler.shiftMinutes) * 1000) / 1000
+            };
+        });
+
+        const assignments = batchJobs.filter(job => slotsByJob[job.jobId]).map(job => slotsByJob[job.jobId]);
+
+        this.log(`📋 Batch assigned ${assignments.length}/${jobs.length} jobs across ${workers.length} workers (objective: ${scheduler.objective})`);
 
-        const bestWorker = eligibleWorkers[0];
-        
-        if (enableDebug) {
-            console.log(`\n🎯 FINAL DECISION:`);
-            console.log(`   Selected: ${bestWorker.workerId}`);
-            console.log(`   Reason: ${eligibleWorkers.length === 1 ? 'Only eligible worker' : 'Highest efficiency score'}`);
-            console.log(`   Confidence: ${Math.min(bestWorker.jobCount / 10, 1.0) * 100}% (based on ${bestWorker.jobCount} historical jobs)`);
-            console.log('=====================================\n');
-        }
-        
         return {
-            recommendedWorker: bestWorker.workerId,
-            estimatedTime: Math.round(bestWorker.avgTime),
-            expectedQuality: Math.round(bestWorker.avgQuality * 10) / 10,
-            confidence: Math.min(bestWorker.jobCount / 10, 1.0),
-            alternativeWorkers: eligibleWorkers.slice(1, 4).map(w => ({
-                workerId: w.workerId,
-                estimatedTime: Math.round(w.avgTime),
-                expectedQuality: Math.round(w.avgQuality * 10) / 10
+            objective: scheduler.objective,
+            shiftMinutes: scheduler.shiftMinutes,
+            assignments,
+            timelines,
+            unassigned: unassigned.map(({ job, reason }) => ({
+                jobId: job.jobId,
+                machineId: job.machineId,
+                reason
             })),
-            debugInfo: enableDebug ? {
-                totalWorkersChecked: workerStats.length,
-                eligibleWorkers: eligibleWorkers.length,
-                constraintsRelaxed: eligibleWorkers.length !== workerStats.length && eligibleWorkers.length === workerStats.length,
-                selectionReason: eligibleWorkers.length === 1 ? 'Only eligible worker' : 'Highest efficiency score'
-            } : null
+            summary: {
+                totalJobs: jobs.length,
+                assignedJobs: assignments.length,
+                totalTime: round1(_.sumBy(assignments, 'estimatedTime')),
+                totalQuality: round1(_.sumBy(assignments, 'expectedQuality')),
+                lateJobs: assignments.filter(a => !a.onTime).length
+            }
         };
     }
 
     // Get statistics for workers on a specific machine
-    getWorkerStatistics(machineId) {
+    // When the job descriptor names a shift and/or job type, a worker's stats are
+    // restricted to matching jobs once they have at least minContextJobs of them.
+    // Averages are recency-weighted; effectiveJobs is the sum of the weights.
+    // posteriorTime/posteriorQuality are empirical-Bayes estimates pooled toward the
+    // machine-wide mean, with 95% credible intervals (see EmpiricalBayes)
+    getWorkerStatistics(machineId, job = {}) {
         const stats = [];
+        const summaries = [];
         
         this.workers.forEach(workerId => {
-            const workerData = this.trainingData.filter(d => 
-                d.workerId === workerId && d.machineId === machineId
-            );
+            const machineStats = this.aggregates.aggregate({ workerId, machineId });
+            const contextStats = (job.shift || job.jobType)
+                ? this.aggregates.aggregate({ workerId, machineId, shift: job.shift, jobType: job.jobType })
+                : null;
+            const contextMatched = contextStats ? contextStats.count >= this.minContextJobs : false;
+            const workerStats = contextMatched ? contextStats : machineStats;
             
-            if (workerData.length > 0) {
+            if (workerStats.count > 0) {
                 stats.push({
                     workerId,
-                    avgTime: _.mean(workerData.map(d => d.timeMinutes)),
-                    avgQuality: _.mean(workerData.map(d => d.qualityScore)),
-                    jobCount: workerData.length,
-                    minTime: _.min(workerData.map(d => d.timeMinutes)),
-                    maxTime: _.max(workerData.map(d => d.timeMinutes))
+                    contextMatched,
+                    avgTime: workerStats.timeMinutes.mean,
+                    avgQuality: workerStats.qualityScore.mean,
+                    jobCount: workerStats.count,
+                    effectiveJobs: Math.round(workerStats.weight * 10) / 10,
+                    minTime: workerStats.timeMinutes.min,
+                    maxTime: workerStats.timeMinutes.max,
+                    timeStd: workerStats.timeMinutes.std
                 });
+                summaries.push(workerStats);
             }
         });
+
+        if (stats.length === 0) return stats;
+
+        const machineStats = this.aggregates.aggregate({ machineId });
+        const pool = field => this.shrinkage.estimate(
+            summaries.map(s => ({ n: s.weight, count: s.count, mean: s[field].mean, std: s[field].std })),
+            { mean: machineStats[field].mean, variance: Math.pow(machineStats[field].std, 2) }
+        ).posteriors;
+        const time = pool('timeMinutes');
+        const quality = pool('qualityScore');
+
+        stats.forEach((worker, index) => {
+            const { shrinkage: timeShrinkage, ...posteriorTime } = time[index];
+            const { shrinkage: qualityShrinkage, ...posteriorQuality } = quality[index];
+            worker.posteriorTime = posteriorTime;
+            worker.posteriorQuality = posteriorQuality;
+            worker.shrinkage = { time: timeShrinkage, quality: qualityShrinkage };
+        });
         
         return stats;
     }
 
+    // Confidence in a worker's statistics, from the width of their credible intervals
+    posteriorConfidence(worker) {
+        return Math.min(
+            EmpiricalBayes.intervalConfidence(worker.posteriorTime),
+            EmpiricalBayes.intervalConfidence(worker.posteriorQuality)
+        );
+    }
+
+    // Worker statistics for a job, limited to workers the roster has available
+    // for the job's machine and time slot (job: { shift, date, start, end })
+    getCandidateStatistics(machineId, job = {}) {
+        return this.getWorkerStatistics(machineId, job).filter(worker =>
+            this.checkCandidate(worker.workerId, machineId, job).available
+        );
+    }
+
+    // Whether a worker can be recommended for a job: the roster check, plus supervisors'
+    // overrides when override learning is on
+    checkCandidate(workerId, machineId, job = {}) {
+        const { available, reasons } = this.roster.checkAvailability(workerId, { ...job, machineId });
+        if (!this.isRejected(workerId, machineId)) {
+            return { available, reasons };
+        }
+
+        const { recommended, overridden } = this.predictionLog.rejection(workerId, machineId, this.rejectionWindowStart());
+        return {
+            available: false,
+            reasons: [...reasons, `Overridden by supervisors on machine ${machineId} (${overridden} of ${recommended} recommendations)`]
+        };
+    }
+
+    // Extrapolated statistics for the available workers with no history on the
+    // machine (see ColdStartEstimator), shaped like getWorkerStatistics entries
+    getColdStartCandidates(machineId, job = {}) {
+        if (!this.coldStart) {
+            throw new ModelNotTrainedError();
+        }
+
+        return this.workers
+            .filter(workerId => !this.coldStart.hasHistory(workerId, machineId))
+            .filter(workerId => this.checkCandidate(workerId, machineId, job).available)
+            .map(workerId => {
+                const estimate = this.coldStart.estimate(workerId, machineId);
+                const history = this.aggregates.aggregate({ workerId });
+                return {
+                    workerId,
+                    contextMatched: false,
+                    extrapolated: true,
+                    avgTime: estimate.timeMinutes.estimate,
+                    avgQuality: estimate.qualityScore.estimate,
+                    jobCount: 0,
+                    minTime: estimate.timeMinutes.lower,
+                    maxTime: estimate.timeMinutes.upper,
+                    timeStd: estimate.timeMinutes.stdError,
+                    posteriorTime: this.coldStartInterval(estimate.timeMinutes, history.timeMinutes.std),
+                    posteriorQuality: this.coldStartInterval(estimate.qualityScore, history.qualityScore.std),
+                    coldStart: estimate
+                };
+            });
+    }
+
+    // A cold-start estimate in the { mean, sd, lower, upper, predictiveSd } shape of the
+    // posterior estimates; jobSd is the worker's job-to-job spread on their other machines
+    coldStartInterval(estimate, jobSd) {
+        return {
+            mean: estimate.estimate,
+            sd: estimate.stdError,
+            lower: estimate.lower,
+            upper: estimate.upper,
+            predictiveSd: Math.sqrt(estimate.stdError * estimate.stdError + jobSd * jobSd)
+        };
+    }
+
+    // Candidate check (roster and learned overrides) for every worker with history on the machine
+    getWorkerAvailability(machineId, job = {}) {
+        return this.getWorkerStatistics(machineId, job).map(worker => ({
+            workerId: worker.workerId,
+            ...this.checkCandidate(worker.workerId, machineId, job)
+        }));
+    }
+
+    // Load the worker roster from disk; workers stay always-available when there is none
+    loadRoster() {
+        if (!fs.existsSync(this.rosterPath)) {
+            return false;
+        }
+
+        try {
+            this.roster = WorkerRoster.load(this.rosterPath);
+            this.log(`📋 Worker roster loaded (${this.roster.list().length} workers)`);
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to load worker roster:', error.message);
+            return false;
+        }
+    }
+
+    // Save the worker roster to disk
+    saveRoster() {
+        try {
+            this.roster.save(this.rosterPath);
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to save worker roster:', error.message);
+            return false;
+        }
+    }
+
+    // Load the prediction log from disk and add its outcomes to the training data
+    loadPredictionLog() {
+        if (!fs.existsSync(this.predictionLogPath)) {
+            return false;
+        }
+
+        try {
+            this.predictionLog = PredictionLog.load(this.predictionLogPath, this.retraining);
+            const records = this.predictionLog.trainingRecords();
+            if (records.length > 0) {
+                this.addHistoricalData(records);
+            }
+            this.log(`🧾 Prediction log loaded (${records.length} recorded outcomes)`);
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to load prediction log:', error.message);
+            return false;
+        }
+    }
+
+    // Save the prediction log to disk
+    savePredictionLog() {
+        clearTimeout(this.predictionLogTimer);
+        this.predictionLogTimer = null;
+        try {
+            this.predictionLog.save(this.predictionLogPath);
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to save prediction log:', error.message);
+            return false;
+        }
+    }
+
+    // Save the prediction log predictionLogDelay ms from now, along with every change
+    // made until then, so a burst of predictions is one write instead of one per call
+    schedulePredictionLogSave() {
+        if (this.predictionLogDelay === 0) {
+            this.savePredictionLog();
+        } else if (!this.predictionLogTimer) {
+            this.predictionLogTimer = setTimeout(() => this.savePredictionLog(), this.predictionLogDelay);
+        }
+    }
+
+    // Write a pending batched save now, e.g. before the process exits
+    flushPredictionLog() {
+        return this.predictionLogTimer ? this.savePredictionLog() : false;
+    }
+
+    // Apply a roster edit and persist it when autoSave is on
+    // edit: function receiving the roster; its return value is passed through
+    updateRoster(edit) {
+        const before = _.cloneDeep(this.roster.entries);
+        const result = edit(this.roster);
+        if (this.autoSave) {
+            this.saveRoster();
+        }
+        const workerIds = _.union(Object.keys(before), Object.keys(this.roster.entries))
+            .filter(workerId => !_.isEqual(before[workerId], this.roster.entries[workerId]));
+        this.emit('change', { type: 'roster', workerIds });
+        return result;
+    }
+
     // Get overall worker performance summary
+    // Averages are recency-weighted like getWorkerStatistics; job counts cover all history
     getWorkerSummary() {
         const summary = {};
         
         this.workers.forEach(workerId => {
-            const workerData = this.trainingData.filter(d => d.workerId === workerId);
+            const recent = this.aggregates.aggregate({ workerId });
+            const machineTotals = this.aggregates.groupBy(['machineId'], { filter: { workerId }, weighted: false });
+            const byMachine = _.keyBy(machineTotals, 'machineId');
             
             summary[workerId] = {
-                totalJobs: workerData.length,
-                avgTime: _.mean(workerData.map(d => d.timeMinutes)),
-                avgQuality: _.mean(workerData.map(d => d.qualityScore)),
-                machinesWorked: [...new Set(workerData.map(d => d.machineId))],
+                totalJobs: this.aggregates.aggregate({ workerId }, { weighted: false }).count,
+                avgTime: recent.timeMinutes.mean,
+                avgQuality: recent.qualityScore.mean,
+                machinesWorked: machineTotals.map(m => m.machineId),
                 performanceByMachine: {}
             };
             
             this.machines.forEach(machineId => {
-                const machineData = workerData.filter(d => d.machineId === machineId);
-                if (machineData.length > 0) {
+                const machineStats = this.aggregates.aggregate({ workerId, machineId });
+                if (machineStats.count > 0) {
                     summary[workerId].performanceByMachine[machineId] = {
-                        jobs: machineData.length,
-                        avgTime: _.mean(machineData.map(d => d.timeMinutes)),
-                        avgQuality: _.mean(machineData.map(d => d.qualityScore))
+                        jobs: byMachine[machineId].count,
+                        avgTime: machineStats.timeMinutes.mean,
+                        avgQuality: machineStats.qualityScore.mean
                     };
                 }
             });
@@ -633,10 +1185,141 @@ class WorkerAssignmentML {
         return summary;
     }
 
+    // Full performance profile of a worker from the training data: overall statistics,
+    // a breakdown per machine (with the pooled estimates used for ranking), per shift
+    // and per job type, their roster entry and their most recent jobs
+    // options.recentJobs: how many recent jobs to include (default 10)
+    getWorkerProfile(workerId, options = {}) {
+        if (!this.workers.includes(workerId)) {
+            throw new UnknownWorkerError(`Unknown worker "${workerId}"`, { workerId });
+        }
+        const recentJobs = options.recentJobs !== undefined ? options.recentJobs : 10;
+
+        const byMachine = this.aggregates.groupBy(['machineId'], { filter: { workerId }, weighted: false })
+            .sort((a, b) => a.machineId - b.machineId)
+            .map(group => {
+                // Workers with no jobs inside a recency window have no pooled estimate
+                const pooled = this.getWorkerStatistics(group.machineId).find(w => w.workerId === workerId);
+                return {
+                    machineId: group.machineId,
+                    machineName: this.machineRegistry.get(group.machineId).name,
+                    ...this.describePerformance(group),
+                    pooledTime: pooled ? pooled.posteriorTime : null,
+                    pooledQuality: pooled ? pooled.posteriorQuality : null
+                };
+            });
+
+        return {
+            workerId,
+            overall: this.describePerformance(this.aggregates.aggregate({ workerId }, { weighted: false })),
+            byMachine,
+            byShift: this.describeGroups('shift', { workerId }),
+            byJobType: this.describeGroups('jobType', { workerId }),
+            roster: this.roster.get(workerId),
+            recentJobs: this.getJobHistory({ workerId }).slice(0, recentJobs)
+        };
+    }
+
+    // Performance profile of a machine: its registry entry, overall statistics, a
+    // breakdown per worker (with pooled estimates), per shift and per job type,
+    // and its most recent jobs
+    // options.recentJobs: how many recent jobs to include (default 10)
+    getMachineProfile(machineId, options = {}) {
+        if (!this.machines.includes(machineId)) {
+            throw new UnknownMachineError(`Invalid machine ID. Available machines: ${this.machines.join(', ')}`, { machineId, available: this.machines });
+        }
+        const recentJobs = options.recentJobs !== undefined ? options.recentJobs : 10;
+
+        const pooled = _.keyBy(this.getWorkerStatistics(machineId), 'workerId');
+        const byWorker = this.aggregates.groupBy(['workerId'], { filter: { machineId }, weighted: false })
+            .map(group => ({
+                workerId: group.workerId,
+                ...this.describePerformance(group),
+                pooledTime: pooled[group.workerId] ? pooled[group.workerId].posteriorTime : null,
+                pooledQuality: pooled[group.workerId] ? pooled[group.workerId].posteriorQuality : null
+            }))
+            .sort((a, b) => a.time.mean - b.time.mean);
+
+        return {
+            machine: this.machineRegistry.get(machineId),
+            overall: this.describePerformance(this.aggregates.aggregate({ machineId }, { weighted: false })),
+            byWorker,
+            byShift: this.describeGroups('shift', { machineId }),
+            byJobType: this.describeGroups('jobType', { machineId }),
+            recentJobs: this.getJobHistory({ machineId }).slice(0, recentJobs)
+        };
+    }
+
+    // A worker's jobs between two dates (YYYY-MM-DD, both inclusive), newest first,
+    // with statistics over the whole range. Undated jobs are only included without a range
+    // options: { from, to, limit } (limit defaults to 100)
+    getWorkerHistory(workerId, options = {}) {
+        if (!this.workers.includes(workerId)) {
+            throw new UnknownWorkerError(`Unknown worker "${workerId}"`, { workerId });
+        }
+        const { from, to } = options;
+        const limit = options.limit !== undefined ? options.limit : 100;
+        [['from', from], ['to', to]].forEach(([name, value]) => {
+            if (value !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+                throw new InvalidArgumentError(`${name} must be a date (YYYY-MM-DD), got "${value}"`, { [name]: value });
+            }
+        });
+
+        const jobs = this.getJobHistory({ workerId }).filter(job => {
+            if (from === undefined && to === undefined) return true;
+            const date = job.jobDate ? job.jobDate.slice(0, 10) : null;
+            if (!date) return false;
+            return (from === undefined || date >= from) && (to === undefined || date <= to);
+        });
+
+        return {
+            workerId,
+            from: from !== undefined ? from : null,
+            to: to !== undefined ? to : null,
+            total: jobs.length,
+            summary: jobs.length > 0 ? {
+                avgTime: _.meanBy(jobs, 'timeMinutes'),
+                avgQuality: _.meanBy(jobs, 'qualityScore'),
+                machines: _.uniq(jobs.map(job => job.machineId)).sort((a, b) => a - b)
+            } : null,
+            jobs: jobs.slice(0, limit)
+        };
+    }
+
+    // Training records matching a filter ({ workerId, machineId }), newest first;
+    // undated records come last
+    getJobHistory(filter = {}) {
+        return _.orderBy(
+            this.trainingData.filter(record =>
+                (filter.workerId === undefined || record.workerId === filter.workerId) &&
+                (filter.machineId === undefined || record.machineId === filter.machineId)),
+            [record => (record.jobDate ? 1 : 0), record => record.jobDate || ''],
+            ['desc', 'desc']
+        );
+    }
+
+    // Plain statistics from an aggregate summary (see AggregateIndex.summarize)
+    describePerformance(summary) {
+        const describe = field => ({
+            mean: summary[field].mean,
+            std: summary[field].std,
+            min: summary[field].min,
+            max: summary[field].max
+        });
+        return { jobs: summary.count, time: describe('timeMinutes'), quality: describe('qualityScore') };
+    }
+
+    // Statistics per value of a field (shift or jobType) among the records matching a filter
+    describeGroups(field, filter) {
+        return this.aggregates.groupBy([field], { filter, weighted: false })
+            .filter(group => group[field] !== undefined && group[field] !== null)
+            .map(group => ({ [field]: group[field], ...this.describePerformance(group) }));
+    }
+
     // Analyze model performance
     analyzePerformance() {
         if (!this.isModelTrained) {
-            throw new Error('Model not trained. Call train() method first.');
+            throw new ModelNotTrainedError();
         }
 
         const analysis = {
@@ -649,27 +1332,29 @@ class WorkerAssignmentML {
 
         // Analyze data distribution by machine
         this.machines.forEach(machineId => {
-            const machineData = this.trainingData.filter(d => d.machineId === machineId);
+            const machineStats = this.aggregates.aggregate({ machineId }, { weighted: false });
+            const machine = this.machineRegistry.get(machineId);
             analysis.dataDistribution[machineId] = {
-                totalJobs: machineData.length,
-                avgTime: _.mean(machineData.map(d => d.timeMinutes)),
-                avgQuality: _.mean(machineData.map(d => d.qualityScore)),
-                workersUsed: [...new Set(machineData.map(d => d.workerId))].length
+                name: machine.name,
+                type: machine.type,
+                maintenanceState: machine.maintenanceState,
+                totalJobs: machineStats.count,
+                avgTime: machineStats.timeMinutes.mean,
+                avgQuality: machineStats.qualityScore.mean,
+                workersUsed: this.aggregates.groupBy(['workerId'], { filter: { machineId }, weighted: false }).length
             };
         });
 
         // Analyze worker expertise
         this.workers.forEach(workerId => {
-            const workerData = this.trainingData.filter(d => d.workerId === workerId);
             const machinePerformance = {};
             
             this.machines.forEach(machineId => {
-                const machineData = workerData.filter(d => d.machineId === machineId);
-                if (machineData.length > 0) {
-                    const timeValues = machineData.map(d => d.timeMinutes);
+                const machineStats = this.aggregates.aggregate({ workerId, machineId }, { weighted: false });
+                if (machineStats.count > 0) {
                     machinePerformance[machineId] = {
-                        efficiency: _.mean(machineData.map(d => d.qualityScore / d.timeMinutes)),
-                        consistency: 1 / (this.calculateStandardDeviation(timeValues) + 1)
+                        efficiency: machineStats.efficiency.mean,
+                        consistency: 1 / (machineStats.timeMinutes.std + 1)
                     };
                 }
             });
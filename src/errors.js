@@ -0,0 +1,192 @@
+/**
+ * Errors
+ *
+ * Typed errors thrown by the library, the services and the MCP server. Each
+ * carries a stable code that client code can branch on, the HTTP status the
+ * REST routes answer with, and the JSON-RPC error code used on the WebSocket
+ * and MCP transports:
+ *
+ * | Code                    | HTTP | JSON-RPC | Thrown when                                   |
+ * |-------------------------|------|----------|-----------------------------------------------|
+ * | INVALID_ARGUMENT        | 400  | -32602   | An option or parameter is out of range        |
+ * | INVALID_RECORD          | 400  | -32602   | A historical record is missing fields         |
+ * | INVALID_TOOL_ARGUMENTS  | 400  | -32602   | Tool arguments do not match the tool's schema |
+ * | UNKNOWN_WORKER          | 404  | -32002   | A worker has no history                       |
+ * | UNKNOWN_MACHINE         | 404  | -32002   | A machine ID is not in the registry           |
+ * | UNKNOWN_STRATEGY        | 404  | -32002   | A strategy is not registered or not enabled   |
+ * | UNKNOWN_PREDICTION      | 404  | -32002   | A prediction ID was never issued              |
+ * | UNKNOWN_TIME_OFF        | 404  | -32002   | A time-off record does not exist              |
+ * | UNKNOWN_RESOURCE        | 404  | -32002   | An MCP resource URI is not served             |
+ * | UNKNOWN_TOOL            | 404  | -32601   | An MCP tool name is not served                |
+ * | CONFLICT                | 409  | -32001   | The request clashes with recorded state       |
+ * | NO_ELIGIBLE_WORKER      | 409  | -32001   | Nobody can take the job                       |
+ * | MODEL_NOT_TRAINED       | 503  | -32000   | A prediction is asked of an untrained model   |
+ * | NO_TRAINING_DATA        | 503  | -32000   | Training is asked for with no data            |
+ * | SERVICE_NOT_INITIALIZED | 503  | -32000   | A service is used before initialize()         |
+ * | INTERNAL_ERROR          | 500  | -32603   | Anything else                                 |
+ *
+ * Plain Errors that reach a transport are reported as INTERNAL_ERROR; see
+ * WorkerAssignmentError.from().
+ */
+class WorkerAssignmentError extends Error {
+    /**
+     * @param {string} message
+     * @param {Object} [details] - Machine-readable context, e.g. { machineId, available }
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.details = details;
+    }
+
+    static get code() { return 'INTERNAL_ERROR'; }
+    static get status() { return 500; }
+    static get rpcCode() { return -32603; }
+
+    get code() { return this.constructor.code; }
+    get status() { return this.constructor.status; }
+    get rpcCode() { return this.constructor.rpcCode; }
+
+    /**
+     * A typed error for anything thrown: typed errors as they are, anything
+     * else wrapped as an internal error with the same message
+     * @param {*} error
+     * @returns {WorkerAssignmentError}
+     */
+    static from(error) {
+        if (error instanceof WorkerAssignmentError) return error;
+        const wrapped = new InternalError(error && error.message ? error.message : String(error));
+        wrapped.cause = error;
+        return wrapped;
+    }
+
+    // Body of an HTTP error response
+    toJSON() {
+        return { error: this.message, code: this.code, details: this.details };
+    }
+
+    // JSON-RPC error object: the numeric code, with the stable code and status in data
+    toRpcError() {
+        return {
+            code: this.rpcCode,
+            message: this.message,
+            data: { code: this.code, status: this.status, ...this.details }
+        };
+    }
+}
+
+class InternalError extends WorkerAssignmentError {}
+
+class InvalidArgumentError extends WorkerAssignmentError {
+    static get code() { return 'INVALID_ARGUMENT'; }
+    static get status() { return 400; }
+    static get rpcCode() { return -32602; }
+}
+
+class InvalidRecordError extends InvalidArgumentError {
+    static get code() { return 'INVALID_RECORD'; }
+}
+
+/**
+ * Tool arguments that do not match the tool's schema
+ * violations: [{ field, message, value }] from SchemaValidator.validate()
+ */
+class ToolArgumentsError extends InvalidArgumentError {
+    constructor(toolName, violations) {
+        super(`Invalid arguments for ${toolName}: ${violations.map(v => `${v.field || 'arguments'} ${v.message}`).join('; ')}`,
+            { tool: toolName, violations });
+        this.toolName = toolName;
+        this.violations = violations;
+    }
+
+    static get code() { return 'INVALID_TOOL_ARGUMENTS'; }
+}
+
+class NotFoundError extends WorkerAssignmentError {
+    static get code() { return 'NOT_FOUND'; }
+    static get status() { return 404; }
+    static get rpcCode() { return -32002; }
+}
+
+class UnknownWorkerError extends NotFoundError {
+    static get code() { return 'UNKNOWN_WORKER'; }
+}
+
+class UnknownMachineError extends NotFoundError {
+    static get code() { return 'UNKNOWN_MACHINE'; }
+}
+
+class UnknownStrategyError extends NotFoundError {
+    static get code() { return 'UNKNOWN_STRATEGY'; }
+}
+
+class UnknownPredictionError extends NotFoundError {
+    static get code() { return 'UNKNOWN_PREDICTION'; }
+}
+
+class UnknownTimeOffError extends NotFoundError {
+    static get code() { return 'UNKNOWN_TIME_OFF'; }
+}
+
+class UnknownResourceError extends NotFoundError {
+    static get code() { return 'UNKNOWN_RESOURCE'; }
+}
+
+class UnknownToolError extends NotFoundError {
+    static get code() { return 'UNKNOWN_TOOL'; }
+    static get rpcCode() { return -32601; }
+}
+
+class ConflictError extends WorkerAssignmentError {
+    static get code() { return 'CONFLICT'; }
+    static get status() { return 409; }
+    static get rpcCode() { return -32001; }
+}
+
+class NoEligibleWorkerError extends ConflictError {
+    static get code() { return 'NO_ELIGIBLE_WORKER'; }
+}
+
+class UnavailableError extends WorkerAssignmentError {
+    static get code() { return 'UNAVAILABLE'; }
+    static get status() { return 503; }
+    static get rpcCode() { return -32000; }
+}
+
+class ModelNotTrainedError extends UnavailableError {
+    constructor(message = 'Model not trained. Call train() method first.', details) {
+        super(message, details);
+    }
+
+    static get code() { return 'MODEL_NOT_TRAINED'; }
+}
+
+class NoTrainingDataError extends UnavailableError {
+    static get code() { return 'NO_TRAINING_DATA'; }
+}
+
+class ServiceNotInitializedError extends UnavailableError {
+    static get code() { return 'SERVICE_NOT_INITIALIZED'; }
+}
+
+module.exports = {
+    WorkerAssignmentError,
+    InternalError,
+    InvalidArgumentError,
+    InvalidRecordError,
+    ToolArgumentsError,
+    NotFoundError,
+    UnknownWorkerError,
+    UnknownMachineError,
+    UnknownStrategyError,
+    UnknownPredictionError,
+    UnknownTimeOffError,
+    UnknownResourceError,
+    UnknownToolError,
+    ConflictError,
+    NoEligibleWorkerError,
+    UnavailableError,
+    ModelNotTrainedError,
+    NoTrainingDataError,
+    ServiceNotInitializedError
+};
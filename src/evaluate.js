@@ -0,0 +1,339 @@
+const _ = require('lodash');
+const WorkerAssignmentML = require('./WorkerAssignmentML');
+
+/**
+ * Offline evaluation of the worker assignment methods, one per model strategy
+ * (knn, statistical, regression, ...).
+ *
+ * Each split trains a fresh WorkerAssignmentML on its training records and
+ * scores it on the held-out records:
+ * - estimate error: MAE/RMSE of each method's time and quality estimate for
+ *   the worker who actually did the job
+ * - agreement: held-out records are grouped into cases (machine + shift + job
+ *   type with at least two workers); a hit is when the method recommends the
+ *   worker with the best actual quality/time in the case (top-1), or ranks them
+ *   in its first three candidates (top-3)
+ * - calibration: top-1 hit rate per confidence bin, and the expected
+ *   calibration error (ECE) across bins
+ *
+ * Splits come from seeded k-fold cross-validation and from an expanding-window
+ * backtest ordered by jobDate, so repeated runs on the same data are comparable.
+ */
+
+const DEFAULT_COMPLEXITY = 3;
+const CALIBRATION_BINS = 5;
+
+// Every strategy is evaluated the same way: its recommendation for a case, and
+// its candidate estimate for the worker who actually did a held-out job
+function recommend(mlSystem, strategyName, testCase) {
+    return mlSystem.predict({ machineId: testCase.machineId, complexity: DEFAULT_COMPLEXITY, job: testCase.job }, strategyName, { record: false });
+}
+
+function estimate(mlSystem, strategyName, record) {
+    const prediction = mlSystem.predict({
+        machineId: record.machineId,
+        complexity: record.complexity || DEFAULT_COMPLEXITY,
+        job: jobContext(record)
+    }, strategyName, { record: false });
+    const candidate = prediction.candidates.find(c => c.workerId === record.workerId);
+    return candidate ? { time: candidate.estimatedTime, quality: candidate.expectedQuality } : null;
+}
+
+// Names of the strategies a model configuration fits
+function strategyNames(modelOptions = {}) {
+    return new WorkerAssignmentML({ ...modelOptions, verbose: false, autoSave: false }).strategyNames;
+}
+
+function jobContext(record) {
+    return { shift: record.shift, jobType: record.jobType, date: record.jobDate };
+}
+
+// Small seeded PRNG (mulberry32) so folds are reproducible
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function seededShuffle(records, seed) {
+    const random = seededRandom(seed);
+    const shuffled = [...records];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+function round(value, digits = 4) {
+    if (value === null || !Number.isFinite(value)) return null;
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}
+
+function errorMetrics(errors) {
+    if (errors.length === 0) return { mae: null, rmse: null, n: 0 };
+    return {
+        mae: round(_.mean(errors.map(Math.abs))),
+        rmse: round(Math.sqrt(_.mean(errors.map(e => e * e)))),
+        n: errors.length
+    };
+}
+
+/**
+ * Group held-out records into assignment cases with a known best performer
+ * @param {Array} records - Held-out records
+ * @returns {Array} { machineId, job, bestWorker, workers }
+ */
+function buildCases(records) {
+    const groups = _.groupBy(records, r => [r.machineId, r.shift || '', r.jobType || ''].join('|'));
+
+    return Object.values(groups)
+        .map(group => {
+            const byWorker = _.groupBy(group, 'workerId');
+            const workers = Object.keys(byWorker);
+            if (workers.length < 2) return null;
+
+            const bestWorker = _.maxBy(workers, workerId =>
+                _.mean(byWorker[workerId].map(r => r.qualityScore / r.timeMinutes))
+            );
+            const { machineId, shift, jobType } = group[0];
+
+            return { machineId, job: { shift, jobType }, bestWorker, workers };
+        })
+        .filter(Boolean);
+}
+
+function calibration(outcomes) {
+    const bins = _.range(CALIBRATION_BINS).map(i => {
+        const lower = i / CALIBRATION_BINS;
+        const upper = (i + 1) / CALIBRATION_BINS;
+        const inBin = outcomes.filter(o =>
+            o.confidence >= lower && (o.confidence < upper || (i === CALIBRATION_BINS - 1 && o.confidence <= upper))
+        );
+
+        return {
+            range: `${lower.toFixed(1)}-${upper.toFixed(1)}`,
+            count: inBin.length,
+            meanConfidence: inBin.length ? round(_.meanBy(inBin, 'confidence')) : null,
+            accuracy: inBin.length ? round(_.meanBy(inBin, o => (o.top1 ? 1 : 0))) : null
+        };
+    });
+
+    const total = outcomes.length;
+    const ece = total === 0 ? null : round(_.sum(bins
+        .filter(b => b.count > 0)
+        .map(b => (b.count / total) * Math.abs(b.accuracy - b.meanConfidence))));
+
+    return { ece, bins };
+}
+
+/**
+ * Metrics for one method from its raw per-record and per-case results
+ */
+function summarize(raw) {
+    const outcomes = raw.outcomes;
+    return {
+        time: errorMetrics(raw.timeErrors),
+        quality: errorMetrics(raw.qualityErrors),
+        coverage: raw.estimatesAttempted ? round(raw.timeErrors.length / raw.estimatesAttempted) : null,
+        agreement: {
+            top1: outcomes.length ? round(_.meanBy(outcomes, o => (o.top1 ? 1 : 0))) : null,
+            top3: outcomes.length ? round(_.meanBy(outcomes, o => (o.top3 ? 1 : 0))) : null,
+            cases: outcomes.length
+        },
+        calibration: calibration(outcomes)
+    };
+}
+
+function emptyRaw() {
+    return { timeErrors: [], qualityErrors: [], estimatesAttempted: 0, outcomes: [] };
+}
+
+/**
+ * Train on one split and collect raw results for every method
+ * @param {Array} trainRecords
+ * @param {Array} testRecords
+ * @param {Object} options - { methods, modelOptions }; methods are strategy names
+ *   (default: every strategy the model fits)
+ * @returns {Object} raw results keyed by strategy name
+ */
+function evaluateSplit(trainRecords, testRecords, options = {}) {
+    const mlSystem = new WorkerAssignmentML({ ...options.modelOptions, verbose: false, autoSave: false });
+    mlSystem.addHistoricalData(trainRecords);
+    mlSystem.train();
+
+    const known = testRecords.filter(r =>
+        mlSystem.workers.includes(r.workerId) && mlSystem.machines.includes(r.machineId)
+    );
+    const cases = buildCases(known);
+    const methodNames = options.methods || mlSystem.strategyNames;
+    const results = {};
+
+    methodNames.forEach(name => {
+        const raw = emptyRaw();
+
+        known.forEach(record => {
+            raw.estimatesAttempted++;
+            const result = estimate(mlSystem, name, record);
+            if (!result) return;
+            raw.timeErrors.push(result.time - record.timeMinutes);
+            raw.qualityErrors.push(result.quality - record.qualityScore);
+        });
+
+        cases.forEach(testCase => {
+            const prediction = recommend(mlSystem, name, testCase);
+            const ranked = [
+                prediction.recommendedWorker,
+                ...prediction.alternativeWorkers.map(w => w.workerId)
+            ];
+
+            raw.outcomes.push({
+                confidence: prediction.confidence,
+                top1: ranked[0] === testCase.bestWorker,
+                top3: ranked.slice(0, 3).includes(testCase.bestWorker)
+            });
+        });
+
+        results[name] = raw;
+    });
+
+    return results;
+}
+
+function mergeRaw(rawList) {
+    return rawList.reduce((merged, raw) => ({
+        timeErrors: merged.timeErrors.concat(raw.timeErrors),
+        qualityErrors: merged.qualityErrors.concat(raw.qualityErrors),
+        estimatesAttempted: merged.estimatesAttempted + raw.estimatesAttempted,
+        outcomes: merged.outcomes.concat(raw.outcomes)
+    }), emptyRaw());
+}
+
+// Per-split metrics plus a summary pooled over all splits
+function runSplits(splits, options) {
+    const rawBySplit = splits.map(split => ({
+        label: split.label,
+        trainSize: split.train.length,
+        testSize: split.test.length,
+        raw: evaluateSplit(split.train, split.test, options)
+    }));
+    const methodNames = Object.keys(rawBySplit[0] ? rawBySplit[0].raw : {});
+
+    return {
+        splits: rawBySplit.map(split => ({
+            label: split.label,
+            trainSize: split.trainSize,
+            testSize: split.testSize,
+            methods: _.mapValues(split.raw, summarize)
+        })),
+        summary: _.fromPairs(methodNames.map(name => [
+            name,
+            summarize(mergeRaw(rawBySplit.map(split => split.raw[name])))
+        ]))
+    };
+}
+
+/**
+ * Seeded k-fold cross-validation
+ * @param {Array} records
+ * @param {Object} options - { folds = 5, seed = 42, methods, modelOptions }
+ */
+function crossValidate(records, options = {}) {
+    const { folds = 5, seed = 42 } = options;
+    const shuffled = seededShuffle(records, seed);
+
+    const splits = _.range(folds).map(fold => ({
+        label: `fold-${fold + 1}`,
+        train: shuffled.filter((_record, index) => index % folds !== fold),
+        test: shuffled.filter((_record, index) => index % folds === fold)
+    }));
+
+    return runSplits(splits, options);
+}
+
+/**
+ * Expanding-window backtest ordered by jobDate: each window is tested on
+ * jobs that happened after everything it was trained on
+ * @param {Array} records
+ * @param {Object} options - { windows = 4, methods, modelOptions }
+ */
+function backtest(records, options = {}) {
+    const { windows = 4 } = options;
+    const dated = _.sortBy(records.filter(r => r.jobDate), 'jobDate');
+    const chunks = _.chunk(dated, Math.ceil(dated.length / (windows + 1)));
+
+    const splits = _.range(1, chunks.length).map(i => {
+        const test = chunks[i];
+        return {
+            label: `${test[0].jobDate}..${test[test.length - 1].jobDate}`,
+            train: _.flatten(chunks.slice(0, i)),
+            test
+        };
+    });
+
+    return runSplits(splits, options);
+}
+
+/**
+ * Run cross-validation and backtest over a dataset
+ * @param {Array} records - Historical job records
+ * @param {Object} options - { folds, seed, windows, methods, modelOptions }
+ * @returns {Object} Evaluation report
+ */
+function runEvaluation(records, options = {}) {
+    const { folds = 5, seed = 42, windows = 4 } = options;
+
+    return {
+        generatedAt: new Date().toISOString(),
+        dataset: {
+            records: records.length,
+            dataHash: WorkerAssignmentML.hashData(records)
+        },
+        config: { folds, seed, windows, methods: options.methods || strategyNames(options.modelOptions) },
+        crossValidation: crossValidate(records, { ...options, folds, seed }),
+        backtest: backtest(records, { ...options, windows })
+    };
+}
+
+/**
+ * Flatten a report into CSV rows: one per evaluation, split and method
+ * @param {Object} report - Output of runEvaluation()
+ * @returns {string}
+ */
+function reportToCSV(report) {
+    const header = 'evaluation,split,method,timeMAE,timeRMSE,qualityMAE,qualityRMSE,coverage,top1,top3,cases,ece';
+    const rows = [];
+    const value = v => (v === null || v === undefined ? '' : v);
+
+    const addRow = (evaluation, split, method, m) => {
+        rows.push([
+            evaluation, split, method,
+            m.time.mae, m.time.rmse, m.quality.mae, m.quality.rmse, m.coverage,
+            m.agreement.top1, m.agreement.top3, m.agreement.cases, m.calibration.ece
+        ].map(value).join(','));
+    };
+
+    [['crossValidation', report.crossValidation], ['backtest', report.backtest]].forEach(([evaluation, result]) => {
+        result.splits.forEach(split => {
+            _.forEach(split.methods, (metrics, method) => addRow(evaluation, split.label, method, metrics));
+        });
+        _.forEach(result.summary, (metrics, method) => addRow(evaluation, 'all', method, metrics));
+    });
+
+    return [header, ...rows].join('\n') + '\n';
+}
+
+module.exports = {
+    buildCases,
+    evaluateSplit,
+    crossValidate,
+    backtest,
+    runEvaluation,
+    reportToCSV
+};
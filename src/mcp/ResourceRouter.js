@@ -0,0 +1,74 @@
+/**
+ * Resource Router
+ *
+ * Resolves MCP resource URIs against URI templates, a subset of RFC 6570:
+ * - {name} in the path matches one path segment, e.g.
+ *   worker-assignment://workers/{workerId}
+ * - a trailing {?a,b} lists the query parameters the resource accepts, e.g.
+ *   worker-assignment://workers/{workerId}/history{?from,to}. They may come in
+ *   any order or be left out; parameters not listed are ignored.
+ *
+ * A URI without variables is a template that matches only itself. Routes are
+ * tried in the order they were added.
+ */
+class ResourceRouter {
+    constructor() {
+        this.routes = [];
+    }
+
+    /**
+     * @param {string} uriTemplate
+     * @param {Function} handler - Called with (params, uri); params holds the
+     *   path variables and the query parameters that were given, as strings
+     * @returns {ResourceRouter} this, for chaining
+     */
+    add(uriTemplate, handler) {
+        const queryStart = uriTemplate.indexOf('{?');
+        const pathTemplate = queryStart === -1 ? uriTemplate : uriTemplate.slice(0, queryStart);
+        const query = queryStart === -1 ? [] : uriTemplate.slice(queryStart + 2, -1).split(',').map(name => name.trim());
+
+        const variables = [];
+        const pattern = pathTemplate.split(/(\{[^}]+\})/).map(part => {
+            if (part.startsWith('{')) {
+                variables.push(part.slice(1, -1));
+                return '([^/]+)';
+            }
+            return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }).join('');
+
+        this.routes.push({ uriTemplate, pattern: new RegExp(`^${pattern}$`), variables, query, handler });
+        return this;
+    }
+
+    /**
+     * Find the route for a URI
+     * @param {string} uri
+     * @returns {Object|null} { route, params }, or null when no template matches
+     */
+    resolve(uri) {
+        const queryStart = uri.indexOf('?');
+        const pathPart = queryStart === -1 ? uri : uri.slice(0, queryStart);
+        const search = new URLSearchParams(queryStart === -1 ? '' : uri.slice(queryStart + 1));
+
+        for (const route of this.routes) {
+            const match = route.pattern.exec(pathPart);
+            if (!match) continue;
+
+            const params = {};
+            try {
+                route.variables.forEach((name, index) => {
+                    params[name] = decodeURIComponent(match[index + 1]);
+                });
+            } catch (error) {
+                continue; // Malformed percent-encoding
+            }
+            route.query.forEach(name => {
+                if (search.has(name)) params[name] = search.get(name);
+            });
+            return { route, params };
+        }
+        return null;
+    }
+}
+
+module.exports = ResourceRouter;
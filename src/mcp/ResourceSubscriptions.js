@@ -0,0 +1,120 @@
+const { InvalidArgumentError, UnknownResourceError } = require('../errors');
+
+/**
+ * Resource Subscriptions
+ *
+ * Which clients watch which resource URIs, and who to tell when they change.
+ * A subscriber is a callback, (uri, reasons) => void, that delivers the
+ * notification over the client's own connection.
+ *
+ * Changes are published as the resources they affect: { uriTemplate, params }
+ * pairs, where params only needs the variables that narrow the change down. A
+ * subscription to worker-assignment://workers/raj is affected by
+ * { uriTemplate: 'worker-assignment://workers/{workerId}', params: { workerId: 'raj' } }
+ * and by the same template with no params (every worker), but not by
+ * { workerId: 'john' }. Query parameters of a subscribed URI are ignored when
+ * matching, so every filtered view of a resource is notified.
+ *
+ * Changes published in the same tick are delivered together, once per
+ * subscribed URI, with every reason: adding training data and retraining in one
+ * tool call is one notification, not two.
+ */
+class ResourceSubscriptions {
+    /**
+     * @param {ResourceRouter} router - Resolves subscribed URIs to their templates
+     */
+    constructor(router) {
+        this.router = router;
+        this.subscribers = new Map(); // subscriber -> Map(uri -> { uriTemplate, params })
+        this.pending = null;          // subscriber -> Map(uri -> Set(reasons)), until the next flush
+    }
+
+    /**
+     * @param {Function} subscriber
+     * @param {string} uri - A static resource URI or a filled-in template
+     * @throws {UnknownResourceError} When no resource matches the URI
+     */
+    subscribe(subscriber, uri) {
+        if (typeof uri !== 'string' || uri.length === 0) {
+            throw new InvalidArgumentError('A subscription needs the uri of a resource');
+        }
+        const resolved = this.router.resolve(uri);
+        if (!resolved) {
+            throw new UnknownResourceError(`Unknown resource: ${uri}`, { uri });
+        }
+
+        if (!this.subscribers.has(subscriber)) this.subscribers.set(subscriber, new Map());
+        this.subscribers.get(subscriber).set(uri, { uriTemplate: resolved.route.uriTemplate, params: resolved.params });
+    }
+
+    // Returns whether the subscriber was subscribed to the URI
+    unsubscribe(subscriber, uri) {
+        const uris = this.subscribers.get(subscriber);
+        if (!uris || !uris.delete(uri)) return false;
+        if (uris.size === 0) this.subscribers.delete(subscriber);
+        return true;
+    }
+
+    // Drop every subscription of a subscriber, e.g. when its connection closes
+    remove(subscriber) {
+        this.subscribers.delete(subscriber);
+        if (this.pending) this.pending.delete(subscriber);
+    }
+
+    // URIs a subscriber is subscribed to
+    list(subscriber) {
+        const uris = this.subscribers.get(subscriber);
+        return uris ? Array.from(uris.keys()) : [];
+    }
+
+    get size() {
+        let count = 0;
+        this.subscribers.forEach(uris => { count += uris.size; });
+        return count;
+    }
+
+    /**
+     * Queue notifications for the subscriptions a change affects
+     * @param {string} reason - What changed, e.g. 'training-data'
+     * @param {Array} affected - [{ uriTemplate, params }]
+     */
+    publish(reason, affected) {
+        this.subscribers.forEach((uris, subscriber) => {
+            uris.forEach((subscription, uri) => {
+                if (!affected.some(resource => ResourceSubscriptions.matches(subscription, resource))) return;
+
+                if (!this.pending) {
+                    this.pending = new Map();
+                    setImmediate(() => this.flush());
+                }
+                if (!this.pending.has(subscriber)) this.pending.set(subscriber, new Map());
+                const reasons = this.pending.get(subscriber);
+                if (!reasons.has(uri)) reasons.set(uri, new Set());
+                reasons.get(uri).add(reason);
+            });
+        });
+    }
+
+    flush() {
+        const pending = this.pending;
+        this.pending = null;
+        if (!pending) return;
+
+        pending.forEach((uris, subscriber) => {
+            uris.forEach((reasons, uri) => {
+                // Subscribers may be async; a failed delivery must not stop the others
+                Promise.resolve()
+                    .then(() => subscriber(uri, Array.from(reasons)))
+                    .catch(error => console.error(`❌ Failed to notify a subscriber of ${uri}:`, error.message));
+            });
+        });
+    }
+
+    static matches(subscription, resource) {
+        if (subscription.uriTemplate !== resource.uriTemplate) return false;
+        const params = resource.params || {};
+        return Object.keys(params).every(name => String(params[name]) === subscription.params[name]);
+    }
+}
+
+module.exports = ResourceSubscriptions;
@@ -0,0 +1,105 @@
+/**
+ * Schema Validator
+ *
+ * Checks tool arguments against the JSON Schemas declared in defineTools().
+ * Covers the keywords those schemas use: type (a name or a list of names,
+ * including "integer" and "null"), enum, minimum, exclusiveMinimum, maximum,
+ * minLength, minItems, required, properties, items and additionalProperties.
+ * Annotations such as description and default are ignored.
+ *
+ * validate() returns every violation rather than stopping at the first, each
+ * as { field, message, value }. field is a path into the arguments, such as
+ * "machineId" or "data[2].qualityScore". The root is an empty string.
+ */
+class SchemaValidator {
+    /**
+     * @param {Object} schema - JSON Schema
+     * @param {*} value - Value to check
+     * @param {string} [field=''] - Path of the value, for messages
+     * @returns {Array} [{ field, message, value }], empty when the value is valid
+     */
+    static validate(schema, value, field = '') {
+        const violations = [];
+        const fail = message => violations.push({ field, message, value });
+
+        if (schema.type !== undefined) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some(type => SchemaValidator.isType(value, type))) {
+                fail(`must be ${types.join(' or ')}, got ${SchemaValidator.typeOf(value)}`);
+                return violations; // Further checks would only repeat the type error
+            }
+        }
+
+        if (schema.enum && !schema.enum.some(option => option === value)) {
+            fail(`must be one of: ${schema.enum.join(', ')}`);
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) fail(`must be at least ${schema.minimum}`);
+            if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) fail(`must be greater than ${schema.exclusiveMinimum}`);
+            if (schema.maximum !== undefined && value > schema.maximum) fail(`must be at most ${schema.maximum}`);
+        }
+
+        if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+            fail(`must be at least ${schema.minLength} characters long`);
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                fail(`must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+            }
+            if (schema.items) {
+                value.forEach((item, index) => {
+                    violations.push(...SchemaValidator.validate(schema.items, item, `${field}[${index}]`));
+                });
+            }
+        }
+
+        if (SchemaValidator.isType(value, 'object')) {
+            const properties = schema.properties || {};
+            const child = key => (field ? `${field}.${key}` : key);
+
+            (schema.required || []).forEach(key => {
+                if (value[key] === undefined) {
+                    violations.push({ field: child(key), message: 'is required', value: undefined });
+                }
+            });
+
+            Object.keys(value).forEach(key => {
+                if (value[key] === undefined) return;
+                if (properties[key]) {
+                    violations.push(...SchemaValidator.validate(properties[key], value[key], child(key)));
+                } else if (schema.additionalProperties === false) {
+                    violations.push({ field: child(key), message: 'is not an allowed property', value: value[key] });
+                } else if (typeof schema.additionalProperties === 'object') {
+                    violations.push(...SchemaValidator.validate(schema.additionalProperties, value[key], child(key)));
+                }
+            });
+        }
+
+        return violations;
+    }
+
+    static isType(value, type) {
+        switch (type) {
+            case 'null': return value === null;
+            case 'boolean': return typeof value === 'boolean';
+            case 'string': return typeof value === 'string';
+            case 'number': return typeof value === 'number' && isFinite(value);
+            case 'integer': return Number.isInteger(value);
+            case 'array': return Array.isArray(value);
+            case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+            default: throw new Error(`Unsupported schema type "${type}"`);
+        }
+    }
+
+    // Type name of a value as JSON Schema would call it
+    static typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : (isFinite(value) ? 'number' : String(value));
+        return typeof value;
+    }
+}
+
+module.exports = SchemaValidator;
@@ -25,7 +25,7 @@ class WorkerAssignmentMCPDemo {
         try {
             // Start the MCP server process
             console.log('Starting MCP server...');
-            this.serverProcess = spawn('node', ['src/mcp/server.js'], {
+            this.serverProcess = spawn('node', ['src/mcp/server.js', '--http'], {
                 stdio: ['pipe', 'pipe', 'inherit']
             });
 
@@ -4,31 +4,76 @@
  * Worker Assignment ML MCP Server
  * 
  * This MCP server exposes the Worker Assignment ML system's capabilities
- * through a Model Context Protocol-inspired interface, allowing external clients to:
+ * through the Model Context Protocol, allowing external clients to:
  * - Predict optimal worker assignments
  * - Manage training data
  * - Get system analytics and insights
  * - Monitor model performance
  * 
- * Note: This is a simplified implementation that demonstrates MCP concepts
- * while being compatible with standard Node.js without external MCP dependencies.
+ * Tools and resources are served with @modelcontextprotocol/sdk (tools/list,
+ * tools/call, resources/list, resources/read) over:
+ * - stdio, for clients that launch the server (see mcp-config.json)
+ * - Streamable HTTP, at POST /mcp on the HTTP port (stateless: no sessions)
+ *
+ * The HTTP port also keeps the dashboard, the REST routes under /mcp/* and
+ * the WebSocket messages used by the demos.
+ *
+ * stdio starts by default. HTTP only starts with --http (npm run mcp-http), so a
+ * client launching the server over stdio does not open a port; pass --stdio
+ * as well to serve both.
  */
 
 const http = require('http');
 const path = require('path');
 const WebSocket = require('ws');
+const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
+const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
+const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
+const {
+    CallToolRequestSchema,
+    ListToolsRequestSchema,
+    ListResourcesRequestSchema,
+    ListResourceTemplatesRequestSchema,
+    ReadResourceRequestSchema,
+    SubscribeRequestSchema,
+    UnsubscribeRequestSchema,
+    ErrorCode
+} = require('@modelcontextprotocol/sdk/types.js');
+const { version } = require('../../package.json');
 
 // Import our ML services
 const AppService = require('../services/AppService');
+const { createDefaultRegistry } = require('../strategies/StrategyRegistry');
+const MachineRegistry = require('../scheduling/MachineRegistry');
+const ScoringPolicy = require('../strategies/ScoringPolicy');
+const PredictionLog = require('../ml/PredictionLog');
+const SchemaValidator = require('./SchemaValidator');
+const ResourceRouter = require('./ResourceRouter');
+const ResourceSubscriptions = require('./ResourceSubscriptions');
+const {
+    WorkerAssignmentError,
+    InvalidArgumentError,
+    ToolArgumentsError,
+    NotFoundError,
+    UnknownToolError,
+    UnknownResourceError,
+    UnknownMachineError
+} = require('../errors');
 
 class WorkerAssignmentMCPServer {
     constructor() {
         this.appService = null;
         this.server = null;
         this.wss = null;
+        this.stdioServer = null;
         this.port = process.env.MCP_PORT || 3001;
         this.tools = this.defineTools();
         this.resources = this.defineResources();
+        this.resourceTemplates = this.defineResourceTemplates();
+        this.resourceRouter = this.defineResourceRoutes();
+        this.subscriptions = new ResourceSubscriptions(this.resourceRouter);
+        this.watchedSystem = null;
+        this.changeListener = null;
     }
 
     defineTools() {
@@ -39,18 +84,59 @@ class WorkerAssignmentMCPServer {
                 parameters: {
                     type: "object",
                     properties: {
-                        machineId: {
-                            type: "integer",
-                            description: "Machine type ID (1-5)",
-                            minimum: 1,
-                            maximum: 5
-                        },
+                        machineId: this.machineIdSchema("Machine ID"),
                         complexity: {
                             type: "integer",
                             description: "Job complexity level (1-5)",
                             minimum: 1,
                             maximum: 5
                         },
+                        shift: {
+                            type: "string",
+                            description: "Optional: shift the job runs in (e.g. morning, afternoon, night)"
+                        },
+                        jobType: {
+                            type: "string",
+                            description: "Optional: job type (e.g. setup, production, calibration)"
+                        },
+                        date: {
+                            type: "string",
+                            description: "Optional: scheduled job date (YYYY-MM-DD)"
+                        },
+                        start: {
+                            type: "string",
+                            description: "Optional: slot start (ISO datetime); only workers available in the slot are considered"
+                        },
+                        end: {
+                            type: "string",
+                            description: "Optional: slot end (ISO datetime)"
+                        },
+                        strategy: {
+                            type: "string",
+                            description: "Optional: model strategy to predict with (defaults to the configured strategy, or statistical when a scoring policy is given)",
+                            enum: createDefaultRegistry().names()
+                        },
+                        scoring: {
+                            type: "string",
+                            description: "Optional: scoring preset for ranking candidates (statistical and regression strategies)",
+                            enum: Object.keys(ScoringPolicy.presets())
+                        },
+                        scoringWeights: {
+                            type: "object",
+                            description: "Optional: weights overriding the preset's, e.g. {\"time\": 2, \"quality\": 1}",
+                            properties: {
+                                time: { type: "number", minimum: 0 },
+                                quality: { type: "number", minimum: 0 },
+                                consistency: { type: "number", minimum: 0 },
+                                experience: { type: "number", minimum: 0 },
+                                cost: { type: "number", minimum: 0 }
+                            }
+                        },
+                        hourlyRates: {
+                            type: "object",
+                            description: "Optional: hourly rate per worker ID, needed for a cost weight",
+                            additionalProperties: { type: "number" }
+                        },
                         includeAnalysis: {
                             type: "boolean",
                             description: "Include detailed prediction analysis",
@@ -60,6 +146,35 @@ class WorkerAssignmentMCPServer {
                     required: ["machineId", "complexity"]
                 }
             },
+            {
+                name: "explain_prediction",
+                description: "Explain a KNN worker prediction: the nearest historical profiles, their votes and which features drove the distances",
+                parameters: {
+                    type: "object",
+                    properties: {
+                        machineId: this.machineIdSchema("Machine ID"),
+                        complexity: {
+                            type: "integer",
+                            description: "Job complexity level (1-5)",
+                            minimum: 1,
+                            maximum: 5
+                        },
+                        shift: {
+                            type: "string",
+                            description: "Optional: shift the job runs in (e.g. morning, afternoon, night)"
+                        },
+                        jobType: {
+                            type: "string",
+                            description: "Optional: job type (e.g. setup, production, calibration)"
+                        },
+                        date: {
+                            type: "string",
+                            description: "Optional: scheduled job date (YYYY-MM-DD)"
+                        }
+                    },
+                    required: ["machineId", "complexity"]
+                }
+            },
             {
                 name: "get_worker_performance",
                 description: "Get performance statistics for a specific worker",
@@ -70,12 +185,7 @@ class WorkerAssignmentMCPServer {
                             type: "string",
                             description: "Worker ID to analyze"
                         },
-                        machineId: {
-                            type: "integer",
-                            description: "Optional: Filter by specific machine type",
-                            minimum: 1,
-                            maximum: 5
-                        }
+                        machineId: this.machineIdSchema("Optional: Filter by specific machine")
                     },
                     required: ["workerId"]
                 }
@@ -103,13 +213,17 @@ class WorkerAssignmentMCPServer {
                         data: {
                             type: "array",
                             description: "Array of historical performance records",
+                            minItems: 1,
                             items: {
                                 type: "object",
                                 properties: {
-                                    workerId: { type: "string" },
-                                    machineId: { type: "integer", minimum: 1, maximum: 5 },
-                                    timeMinutes: { type: "number", minimum: 0 },
-                                    qualityScore: { type: "number", minimum: 0, maximum: 100 }
+                                    workerId: { type: "string", minLength: 1 },
+                                    machineId: { type: "integer", minimum: 1, description: "New machine IDs are added to the machine registry" },
+                                    timeMinutes: { type: "number", exclusiveMinimum: 0 },
+                                    qualityScore: { type: "number", minimum: 0, maximum: 100 },
+                                    jobDate: { type: "string", description: "Optional: job date (YYYY-MM-DD)" },
+                                    shift: { type: "string" },
+                                    jobType: { type: "string" }
                                 },
                                 required: ["workerId", "machineId", "timeMinutes", "qualityScore"]
                             }
@@ -123,6 +237,93 @@ class WorkerAssignmentMCPServer {
                     required: ["data"]
                 }
             },
+            {
+                name: "record_assignment_outcome",
+                description: "Report how a predicted assignment really went; the result is added as training data and the model is retrained by policy",
+                parameters: {
+                    type: "object",
+                    properties: {
+                        predictionId: {
+                            type: "string",
+                            description: "ID returned with the prediction, e.g. pred-9b2c4e1a-5f3d-4c8e-a1b7-2d6f0e8c3a94"
+                        },
+                        workerId: {
+                            type: "string",
+                            description: "Worker who actually did the job"
+                        },
+                        timeMinutes: {
+                            type: "number",
+                            description: "Actual completion time in minutes",
+                            exclusiveMinimum: 0
+                        },
+                        qualityScore: {
+                            type: "number",
+                            description: "Actual quality score",
+                            minimum: 0,
+                            maximum: 100
+                        },
+                        jobDate: {
+                            type: "string",
+                            description: "Optional: date the job was done (YYYY-MM-DD); defaults to the predicted job's date, or the newest date in the training data"
+                        }
+                    },
+                    required: ["predictionId", "workerId", "timeMinutes", "qualityScore"]
+                }
+            },
+            {
+                name: "record_supervisor_override",
+                description: "Record that a supervisor gave a predicted job to someone other than the recommended worker, and why",
+                parameters: {
+                    type: "object",
+                    properties: {
+                        predictionId: {
+                            type: "string",
+                            description: "ID returned with the prediction, e.g. pred-9b2c4e1a-5f3d-4c8e-a1b7-2d6f0e8c3a94"
+                        },
+                        workerId: {
+                            type: "string",
+                            description: "Worker the supervisor chose instead"
+                        },
+                        reasonCode: {
+                            type: "string",
+                            description: "Why the recommendation was overruled",
+                            enum: PredictionLog.overrideReasons()
+                        },
+                        supervisor: {
+                            type: "string",
+                            description: "Optional: who made the decision"
+                        },
+                        note: {
+                            type: "string",
+                            description: "Optional: free-text explanation"
+                        }
+                    },
+                    required: ["predictionId", "workerId", "reasonCode"]
+                }
+            },
+            {
+                name: "reset_worker_rejection",
+                description: "Let a worker that supervisors kept overriding on a machine be recommended there again",
+                parameters: {
+                    type: "object",
+                    properties: {
+                        workerId: {
+                            type: "string",
+                            description: "Worker to recommend again"
+                        },
+                        machineId: this.machineIdSchema("Machine ID")
+                    },
+                    required: ["workerId", "machineId"]
+                }
+            },
+            {
+                name: "get_override_report",
+                description: "Show how often supervisors overrule recommendations, by machine, model and reason, and which workers they reject",
+                parameters: {
+                    type: "object",
+                    properties: {}
+                }
+            },
             {
                 name: "retrain_model",
                 description: "Retrain the ML model with current data",
@@ -136,10 +337,121 @@ class WorkerAssignmentMCPServer {
                         }
                     }
                 }
+            },
+            {
+                name: "get_worker_roster",
+                description: "Get worker shifts, time off, load, capacity and machine certifications",
+                parameters: {
+                    type: "object",
+                    properties: {
+                        workerId: {
+                            type: "string",
+                            description: "Optional: a single worker to show"
+                        }
+                    }
+                }
+            },
+            {
+                name: "update_worker_roster",
+                description: "Set a worker's shifts, current load, max concurrent jobs or certified machines",
+                parameters: {
+                    type: "object",
+                    properties: {
+                        workerId: {
+                            type: "string",
+                            description: "Worker ID to update"
+                        },
+                        shifts: {
+                            type: ["array", "null"],
+                            description: "Shifts the worker works (null = any shift)",
+                            items: { type: "string" }
+                        },
+                        currentLoad: {
+                            type: "integer",
+                            description: "Jobs the worker is running right now",
+                            minimum: 0
+                        },
+                        maxConcurrentJobs: {
+                            type: "integer",
+                            description: "Jobs the worker can run at once",
+                            minimum: 1
+                        },
+                        certifiedMachines: {
+                            type: ["array", "null"],
+                            description: "Machine IDs the worker may operate (null = any machine)",
+                            items: this.machineIdSchema("Machine ID")
+                        }
+                    },
+                    required: ["workerId"]
+                }
+            },
+            {
+                name: "add_worker_time_off",
+                description: "Record a period a worker is away",
+                parameters: {
+                    type: "object",
+                    properties: {
+                        workerId: {
+                            type: "string",
+                            description: "Worker ID"
+                        },
+                        start: {
+                            type: "string",
+                            description: "Start date (YYYY-MM-DD) or ISO datetime"
+                        },
+                        end: {
+                            type: "string",
+                            description: "Optional: end date (inclusive) or ISO datetime; defaults to start"
+                        },
+                        reason: {
+                            type: "string",
+                            description: "Optional: reason for the time off"
+                        }
+                    },
+                    required: ["workerId", "start"]
+                }
+            },
+            {
+                name: "remove_worker_time_off",
+                description: "Remove a recorded time-off period",
+                parameters: {
+                    type: "object",
+                    properties: {
+                        workerId: {
+                            type: "string",
+                            description: "Worker ID"
+                        },
+                        timeOffId: {
+                            type: "integer",
+                            description: "ID of the time-off record (see get_worker_roster)"
+                        }
+                    },
+                    required: ["workerId", "timeOffId"]
+                }
             }
         ];
     }
 
+    // machineId schema bounded by the machine registry (machines 1-5 until the ML system is initialized)
+    machineIdSchema(description) {
+        const registry = this.appService && this.appService.mlService.isInitialized
+            ? this.appService.mlService.getMLSystem().machineRegistry
+            : MachineRegistry.withDefaults();
+        const ids = registry.ids();
+        const schema = {
+            type: "integer",
+            description: `${description} (${registry.describeIds()})`,
+            minimum: ids[0],
+            maximum: ids[ids.length - 1]
+        };
+
+        // List the IDs when there are gaps in the range
+        if (ids[ids.length - 1] - ids[0] !== ids.length - 1) {
+            schema.enum = ids;
+        }
+        return schema;
+    }
+
     defineResources() {
         return [
             {
@@ -159,10 +471,204 @@ class WorkerAssignmentMCPServer {
                 name: "Model Status",
                 description: "Current model training status and metadata",
                 mimeType: "application/json"
+            },
+            {
+                uri: "worker-assignment://audit/predictions",
+                name: "Prediction Audit Log",
+                description: "Logged recommendations, newest first; filter with ?from=&to=&workerId=&machineId=&predictionId=&limit=",
+                mimeType: "application/json"
             }
         ];
     }
 
+    // Parameterized resources, read by filling in the URI template
+    defineResourceTemplates() {
+        return [
+            {
+                uriTemplate: "worker-assignment://workers/{workerId}",
+                name: "Worker Profile",
+                description: "A worker's performance overall and per machine, shift and job type, with pooled estimates, roster entry and recent jobs",
+                mimeType: "application/json"
+            },
+            {
+                uriTemplate: "worker-assignment://workers/{workerId}/history{?from,to,limit}",
+                name: "Worker Job History",
+                description: "A worker's jobs newest first, optionally between two dates (YYYY-MM-DD, inclusive); limit defaults to 100",
+                mimeType: "application/json"
+            },
+            {
+                uriTemplate: "worker-assignment://machines/{machineId}",
+                name: "Machine Profile",
+                description: "A machine's registry entry, performance per worker, shift and job type, and recent jobs",
+                mimeType: "application/json"
+            }
+        ];
+    }
+
+    // Handlers for every readable URI, static resources and templates alike
+    defineResourceRoutes() {
+        return new ResourceRouter()
+            .add("worker-assignment://analytics/dashboard", () => this.getAnalyticsDashboard())
+            .add("worker-assignment://data/training-summary", () => this.getTrainingDataSummary())
+            .add("worker-assignment://model/status", () => this.getModelStatus())
+            .add("worker-assignment://audit/predictions{?from,to,workerId,machineId,predictionId,limit}",
+                (params, uri) => this.getPredictionAudit(params, uri))
+            .add("worker-assignment://workers/{workerId}/history{?from,to,limit}",
+                (params, uri) => this.getWorkerHistory(params, uri))
+            .add("worker-assignment://workers/{workerId}", (params, uri) => this.getWorkerProfile(params, uri))
+            .add("worker-assignment://machines/{machineId}", (params, uri) => this.getMachineProfile(params, uri));
+    }
+
+    // An MCP protocol server answering from this server's tools and resources.
+    // Tool failures come back as isError results; unknown tools and resources as
+    // protocol errors carrying the error's code (see src/errors.js)
+    // options.subscribe: accept resources/subscribe and send notifications/resources/updated
+    // and notifications/tools/list_changed; only for connections that stay open (stdio),
+    // not the stateless HTTP endpoint
+    createProtocolServer(options = {}) {
+        const capabilities = options.subscribe
+            ? { tools: { listChanged: true }, resources: { subscribe: true } }
+            : { tools: {}, resources: {} };
+        const server = new Server({ name: 'worker-assignment-ml', version }, { capabilities });
+
+        server.setRequestHandler(ListToolsRequestSchema, async () => ({
+            tools: this.tools.map(tool => ({
+                name: tool.name,
+                description: tool.description,
+                inputSchema: tool.parameters
+            }))
+        }));
+
+        server.setRequestHandler(CallToolRequestSchema, async (request) => {
+            const { name, arguments: args = {} } = request.params;
+            if (!this.tools.some(tool => tool.name === name)) {
+                throw this.toMcpError(new UnknownToolError(`Unknown tool: ${name}`, { tool: name }));
+            }
+
+            try {
+                const result = await this.callTool(name, args);
+                return { content: [{ type: 'text', text: result.text }] };
+            } catch (error) {
+                const typed = WorkerAssignmentError.from(error);
+                const text = typed.violations
+                    ? `❌ ${typed.code}: Invalid arguments for ${name}:\n${typed.violations.map(v => `- ${v.field || 'arguments'}: ${v.message}`).join('\n')}`
+                    : `❌ ${typed.code}: ${typed.message}`;
+                return { content: [{ type: 'text', text }], isError: true };
+            }
+        });
+
+        server.setRequestHandler(ListResourcesRequestSchema, async () => ({
+            resources: this.resources
+        }));
+
+        server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+            resourceTemplates: this.resourceTemplates
+        }));
+
+        if (options.subscribe) {
+            const notify = uri => server.sendResourceUpdated({ uri });
+            server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+                try {
+                    this.subscriptions.subscribe(notify, request.params.uri);
+                } catch (error) {
+                    throw this.toMcpError(error);
+                }
+                return {};
+            });
+            server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+                this.subscriptions.unsubscribe(notify, request.params.uri);
+                return {};
+            });
+            server.onclose = () => this.subscriptions.remove(notify);
+        }
+
+        server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+            const { uri } = request.params;
+            let resource;
+            try {
+                resource = await this.getResource(uri);
+            } catch (error) {
+                throw this.toMcpError(error);
+            }
+            return {
+                contents: [{
+                    uri,
+                    mimeType: resource.mimeType,
+                    text: JSON.stringify(resource.content, null, 2)
+                }]
+            };
+        });
+
+        return server;
+    }
+
+    // Protocol error for a failure, with the JSON-RPC code and data of its typed error.
+    // Not an McpError: that prefixes its message with "MCP error <code>: ", which the
+    // protocol sends on and the client's McpError then prefixes a second time
+    toMcpError(error) {
+        const { code, message, data } = WorkerAssignmentError.from(error).toRpcError();
+        return Object.assign(new Error(message), { code, data });
+    }
+
+    // Send a failure as an HTTP error response: the typed error's status and
+    // { error, code, details }
+    sendHttpError(res, error) {
+        const typed = WorkerAssignmentError.from(error);
+        res.writeHead(typed.status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(typed.toJSON()));
+    }
+
+    // Serve MCP over stdin/stdout. stdout then carries only protocol messages,
+    // so the caller must send console.log output elsewhere first (see the entry point below)
+    async startStdio() {
+        this.watchModelChanges();
+        this.stdioServer = this.createProtocolServer({ subscribe: true });
+        await this.stdioServer.connect(new StdioServerTransport());
+        console.error('🔌 MCP stdio transport connected');
+    }
+
+    // Streamable HTTP endpoint (POST /mcp). Each request gets its own protocol
+    // server and transport, so no session state is kept between requests
+    async handleMcpHttpRequest(req, res) {
+        if (req.method !== 'POST') {
+            res.writeHead(405, { 'Content-Type': 'application/json', 'Allow': 'POST' });
+            res.end(JSON.stringify({
+                jsonrpc: '2.0',
+                error: { code: ErrorCode.ConnectionClosed, message: 'Method not allowed: this server is stateless, use POST' },
+                id: null
+            }));
+            return;
+        }
+
+        let body;
+        try {
+            body = JSON.parse(await this.readBody(req));
+        } catch (error) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ jsonrpc: '2.0', error: { code: ErrorCode.ParseError, message: 'Parse error' }, id: null }));
+            return;
+        }
+
+        const server = this.createProtocolServer();
+        const transport = new StreamableHTTPServerTransport({ sessionIdGenerator: undefined });
+        res.on('close', () => {
+            transport.close();
+            server.close();
+        });
+
+        await server.connect(transport);
+        await transport.handleRequest(req, res, body);
+    }
+
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            let body = '';
+            req.on('data', chunk => body += chunk);
+            req.on('end', () => resolve(body));
+            req.on('error', reject);
+        });
+    }
+
     async initialize() {
         console.log('🚀 Initializing Worker Assignment ML MCP Server...');
         
@@ -170,6 +676,9 @@ class WorkerAssignmentMCPServer {
             // Initialize our ML system
             this.appService = new AppService();
             await this.appService.initialize();
+
+            // Machine ID bounds come from the loaded machine registry
+            this.tools = this.defineTools();
             
             console.log('✅ ML System initialized successfully');
         } catch (error) {
@@ -179,6 +688,8 @@ class WorkerAssignmentMCPServer {
     }
 
     async startServer() {
+        this.watchModelChanges();
+
         // Create HTTP server for REST API
         this.server = http.createServer((req, res) => {
             this.handleHttpRequest(req, res);
@@ -191,12 +702,14 @@ class WorkerAssignmentMCPServer {
         });
 
         return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
             this.server.listen(this.port, (err) => {
                 if (err) {
                     reject(err);
                 } else {
                     console.log(`🌟 Worker Assignment ML MCP Server running on port ${this.port}`);
                     console.log(`📡 HTTP endpoint: http://localhost:${this.port}`);
+                    console.log(`🧩 MCP Streamable HTTP endpoint: http://localhost:${this.port}/mcp`);
                     console.log(`🔌 WebSocket endpoint: ws://localhost:${this.port}`);
                     console.log(`📊 Available tools: ${this.tools.map(t => t.name).join(', ')}`);
                     resolve();
@@ -209,7 +722,8 @@ class WorkerAssignmentMCPServer {
         // Set CORS headers
         res.setHeader('Access-Control-Allow-Origin', '*');
         res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Mcp-Session-Id, Mcp-Protocol-Version');
+        res.setHeader('Access-Control-Expose-Headers', 'Mcp-Session-Id');
 
         if (req.method === 'OPTIONS') {
             res.writeHead(200);
@@ -221,26 +735,28 @@ class WorkerAssignmentMCPServer {
         const pathname = url.pathname;
 
         try {
-            if (pathname === '/mcp/tools' && req.method === 'GET') {
+            if (pathname === '/mcp') {
+                await this.handleMcpHttpRequest(req, res);
+
+            } else if (pathname === '/mcp/tools' && req.method === 'GET') {
                 res.writeHead(200, { 'Content-Type': 'application/json' });
                 res.end(JSON.stringify({ tools: this.tools }));
                 
             } else if (pathname === '/mcp/resources' && req.method === 'GET') {
                 res.writeHead(200, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ resources: this.resources }));
+                res.end(JSON.stringify({ resources: this.resources, resourceTemplates: this.resourceTemplates }));
                 
             } else if (pathname === '/mcp/tools/call' && req.method === 'POST') {
                 let body = '';
                 req.on('data', chunk => body += chunk);
                 req.on('end', async () => {
                     try {
-                        const { name, arguments: args } = JSON.parse(body);
+                        const { name, arguments: args } = this.parseJson(body);
                         const result = await this.callTool(name, args);
                         res.writeHead(200, { 'Content-Type': 'application/json' });
                         res.end(JSON.stringify({ result }));
                     } catch (error) {
-                        res.writeHead(500, { 'Content-Type': 'application/json' });
-                        res.end(JSON.stringify({ error: error.message }));
+                        this.sendHttpError(res, error);
                     }
                 });
                 
@@ -262,21 +778,30 @@ class WorkerAssignmentMCPServer {
                 res.end(html);
                 
             } else {
-                res.writeHead(404, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ error: 'Not found' }));
+                this.sendHttpError(res, new NotFoundError('Not found', { path: pathname }));
             }
         } catch (error) {
-            res.writeHead(500, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: error.message }));
+            if (res.headersSent) {
+                res.end();
+                return;
+            }
+            this.sendHttpError(res, error);
         }
     }
 
+    // WebSocket messages are { type, id?, ... }. Replies echo the id; failures are
+    // { type: 'error', id, error: { code, message, data: { code, status, ... } } }
+    // with the JSON-RPC code of the typed error (see src/errors.js).
+    // { type: 'subscribe', uri } makes the server push { type: 'resource_updated', uri,
+    // reasons, data } whenever that resource changes, until 'unsubscribe' or the socket closes
     handleWebSocketConnection(ws) {
         console.log('📱 New WebSocket connection established');
+        const notify = (uri, reasons) => this.sendResourceUpdate(ws, uri, reasons);
 
         ws.on('message', async (message) => {
+            let data = {};
             try {
-                const data = JSON.parse(message.toString());
+                data = this.parseJson(message.toString());
                 let response;
 
                 switch (data.type) {
@@ -284,7 +809,7 @@ class WorkerAssignmentMCPServer {
                         response = { type: 'tools', data: this.tools };
                         break;
                     case 'list_resources':
-                        response = { type: 'resources', data: this.resources };
+                        response = { type: 'resources', data: this.resources, templates: this.resourceTemplates };
                         break;
                     case 'call_tool':
                         const result = await this.callTool(data.name, data.arguments);
@@ -294,20 +819,33 @@ class WorkerAssignmentMCPServer {
                         const resource = await this.getResource(data.uri);
                         response = { type: 'resource', data: resource };
                         break;
+                    case 'subscribe':
+                        this.subscriptions.subscribe(notify, data.uri);
+                        response = { type: 'subscribed', uri: data.uri, subscriptions: this.subscriptions.list(notify) };
+                        break;
+                    case 'unsubscribe':
+                        this.subscriptions.unsubscribe(notify, data.uri);
+                        response = { type: 'unsubscribed', uri: data.uri, subscriptions: this.subscriptions.list(notify) };
+                        break;
                     case 'ping':
                         response = { type: 'pong', timestamp: Date.now() };
                         break;
                     default:
-                        response = { type: 'error', message: 'Unknown message type' };
+                        throw new InvalidArgumentError(`Unknown message type "${data.type}"`, { type: data.type });
                 }
 
-                ws.send(JSON.stringify(response));
+                ws.send(JSON.stringify(data.id !== undefined ? { ...response, id: data.id } : response));
             } catch (error) {
-                ws.send(JSON.stringify({ type: 'error', message: error.message }));
+                ws.send(JSON.stringify({
+                    type: 'error',
+                    id: data.id !== undefined ? data.id : null,
+                    error: WorkerAssignmentError.from(error).toRpcError()
+                }));
             }
         });
 
         ws.on('close', () => {
+            this.subscriptions.remove(notify);
             console.log('📱 WebSocket connection closed');
         });
 
@@ -320,16 +858,126 @@ class WorkerAssignmentMCPServer {
         }));
     }
 
-    async callTool(name, args) {
+    // Rebuild the tool schemas when new training data registers machines, so the
+    // machineId bounds follow the live machine registry
+    refreshTools() {
+        const before = JSON.stringify(this.tools);
+        this.tools = this.defineTools();
+        if (JSON.stringify(this.tools) === before || !this.stdioServer) return;
+
+        this.stdioServer.sendToolListChanged()
+            .catch(error => console.error('❌ Failed to send tools/list_changed:', error.message));
+    }
+
+    // Push a changed resource, read afresh, to a subscribed socket
+    async sendResourceUpdate(ws, uri, reasons) {
+        if (ws.readyState !== WebSocket.OPEN) return;
+
+        const update = { type: 'resource_updated', uri, reasons, timestamp: new Date().toISOString() };
+        try {
+            update.data = await this.getResource(uri);
+        } catch (error) {
+            update.error = WorkerAssignmentError.from(error).toRpcError();
+        }
+        ws.send(JSON.stringify(update));
+    }
+
+    // Forward the ML system's change events to resource subscribers
+    watchModelChanges() {
+        if (this.watchedSystem) return;
+
+        this.watchedSystem = this.appService.mlService.getMLSystem();
+        this.changeListener = change => this.subscriptions.publish(change.type, this.affectedResources(change));
+        this.watchedSystem.on('change', this.changeListener);
+    }
+
+    unwatchModelChanges() {
+        if (!this.watchedSystem) return;
+
+        this.watchedSystem.removeListener('change', this.changeListener);
+        this.watchedSystem = null;
+        this.changeListener = null;
+    }
+
+    // Resources a change to the ML system affects, as { uriTemplate, params }
+    // (see ResourceSubscriptions). The analytics dashboard reflects every change
+    affectedResources(change) {
+        const resource = (path, params) => ({ uriTemplate: `worker-assignment://${path}`, params });
+        const worker = workerId => [
+            resource('workers/{workerId}', { workerId }),
+            resource('workers/{workerId}/history{?from,to,limit}', { workerId })
+        ];
+        const audit = resource('audit/predictions{?from,to,workerId,machineId,predictionId,limit}');
+        const affected = [resource('analytics/dashboard')];
+
+        switch (change.type) {
+            case 'training-data':
+                affected.push(resource('model/status'));
+                change.workerIds.forEach(workerId => affected.push(...worker(workerId)));
+                change.machineIds.forEach(machineId => affected.push(resource('machines/{machineId}', { machineId })));
+                break;
+            case 'trained':
+                affected.push(resource('model/status'));
+                break;
+            case 'prediction':
+            case 'override':
+                affected.push(audit);
+                break;
+            case 'outcome':
+                affected.push(...worker(change.workerId), resource('machines/{machineId}', { machineId: change.machineId }));
+                break;
+            case 'rejection-reset':
+                affected.push(resource('workers/{workerId}', { workerId: change.workerId }));
+                break;
+            case 'roster':
+                change.workerIds.forEach(workerId => affected.push(resource('workers/{workerId}', { workerId })));
+                break;
+        }
+        return affected;
+    }
+
+    // Parse a request body or message, reporting malformed JSON as a bad argument
+    parseJson(text) {
+        try {
+            const data = JSON.parse(text);
+            if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+                throw new Error('expected an object');
+            }
+            return data;
+        } catch (error) {
+            throw new InvalidArgumentError(`Request is not a JSON object: ${error.message}`);
+        }
+    }
+
+    // Check a tool call's arguments against the tool's declared schema
+    // Throws ToolArgumentsError listing every violating field
+    validateToolArguments(name, args) {
+        const tool = this.tools.find(t => t.name === name);
+        if (!tool) return; // Reported as an unknown tool by callTool()
+
+        const violations = SchemaValidator.validate(tool.parameters, args);
+        if (violations.length > 0) {
+            throw new ToolArgumentsError(name, violations);
+        }
+    }
+
+    // Run a tool; its arguments are validated against the tool's schema first,
+    // whichever transport the call came from
+    async callTool(name, args = {}) {
         const startTime = Date.now();
         
         try {
+            this.validateToolArguments(name, args);
+
             let result;
 
             switch (name) {
                 case "predict_worker_assignment":
                     result = await this.handlePredictWorkerAssignment(args);
                     break;
+                case "explain_prediction":
+                    result = await this.handleExplainPrediction(args);
+                    break;
                 case "get_worker_performance":
                     result = await this.handleGetWorkerPerformance(args);
                     break;
@@ -339,11 +987,35 @@ class WorkerAssignmentMCPServer {
                 case "add_training_data":
                     result = await this.handleAddTrainingData(args);
                     break;
+                case "record_assignment_outcome":
+                    result = await this.handleRecordAssignmentOutcome(args);
+                    break;
+                case "record_supervisor_override":
+                    result = await this.handleRecordSupervisorOverride(args);
+                    break;
+                case "reset_worker_rejection":
+                    result = await this.handleResetWorkerRejection(args);
+                    break;
+                case "get_override_report":
+                    result = await this.handleGetOverrideReport(args);
+                    break;
                 case "retrain_model":
                     result = await this.handleRetrainModel(args);
                     break;
+                case "get_worker_roster":
+                    result = await this.handleGetWorkerRoster(args);
+                    break;
+                case "update_worker_roster":
+                    result = await this.handleUpdateWorkerRoster(args);
+                    break;
+                case "add_worker_time_off":
+                    result = await this.handleAddWorkerTimeOff(args);
+                    break;
+                case "remove_worker_time_off":
+                    result = await this.handleRemoveWorkerTimeOff(args);
+                    break;
                 default:
-                    throw new Error(`Unknown tool: ${name}`);
+                    throw new UnknownToolError(`Unknown tool: ${name}`, { tool: name });
             }
 
             const duration = Date.now() - startTime;
@@ -359,27 +1031,129 @@ class WorkerAssignmentMCPServer {
 
     // Tool implementations (same as before)
     async handlePredictWorkerAssignment(args) {
-        const { machineId, complexity, includeAnalysis = false } = args;
+        const { machineId, complexity, shift, jobType, date, start, end, strategy, scoring, scoringWeights, hourlyRates, includeAnalysis = false } = args;
         
         const mlSystem = this.appService.mlService.getMLSystem();
-        const prediction = mlSystem.predictWorkerML(machineId, complexity, false);
+        const job = { shift, jobType, date, start, end };
+        const policy = scoring || scoringWeights || hourlyRates
+            ? new ScoringPolicy({ preset: scoring, weights: scoringWeights, hourlyRates })
+            : null;
+        const strategyName = strategy || (policy ? 'statistical' : mlSystem.defaultStrategy);
+        const prediction = mlSystem.predict({ machineId, complexity, job, scoring: policy }, strategyName);
+        const unavailable = mlSystem.getWorkerAvailability(machineId, job).filter(w => !w.available);
         
         let response = `🎯 **Worker Assignment Prediction**\n\n`;
         response += `**Job Details:**\n`;
-        response += `- Machine Type: ${machineId}\n`;
-        response += `- Complexity Level: ${complexity}\n\n`;
+        const machine = mlSystem.machineRegistry.get(machineId);
+        response += `- Machine: ${machine.name} (ID ${machineId}, ${machine.type})\n`;
+        if (machine.maintenanceState !== 'good') response += `- Maintenance State: ${machine.maintenanceState}\n`;
+        response += `- Complexity Level: ${complexity}\n`;
+        if (shift) response += `- Shift: ${shift}\n`;
+        if (jobType) response += `- Job Type: ${jobType}\n`;
+        if (date) response += `- Date: ${date}\n`;
+        if (start) response += `- Slot: ${start}${end ? ` to ${end}` : ''}\n`;
+        response += `\n`;
+        if (prediction.noEligibleWorker) {
+            response += `**No Eligible Worker:** ${prediction.reason}\n`;
+            return { text: response, prediction, unavailable };
+        }
         response += `**Recommended Worker:** ${prediction.recommendedWorker}\n`;
-        response += `**Predicted Completion Time:** ${prediction.estimatedTime.toFixed(1)} minutes\n`;
+        if (prediction.relaxation && prediction.relaxation.outcome !== 'none') {
+            response += `**⚠️ Limits Relaxed:** ${Object.keys(prediction.relaxation.changes).map(c => {
+                const { from, to } = prediction.relaxation.changes[c];
+                return to === null ? `${c} ${from} dropped` : `${c} ${from} → ${to}`;
+            }).join(', ')}\n`;
+        }
+        response += `**Predicted Completion Time:** ${prediction.estimatedTime.toFixed(1)} minutes`;
+        response += prediction.timeInterval
+            ? ` (95% range ${prediction.timeInterval.lower}-${prediction.timeInterval.upper})\n`
+            : `\n`;
         response += `**Confidence Score:** ${(prediction.confidence * 100).toFixed(1)}%\n`;
+        response += `**Method:** ${prediction.method} (${prediction.strategy})\n`;
+        response += `**Prediction ID:** ${prediction.predictionId} (report the result with record_assignment_outcome)\n`;
+        if (prediction.scoring) {
+            const weights = Object.keys(prediction.scoring.weights)
+                .filter(c => prediction.scoring.weights[c] > 0)
+                .map(c => `${c} ×${prediction.scoring.weights[c]}`);
+            response += `**Scoring:** ${prediction.scoring.name} (${weights.join(', ')})\n`;
+        }
+        if (prediction.recency.mode === 'half-life') {
+            response += `**Recency Weighting:** half-life ${prediction.recency.halfLifeDays} days (as of ${prediction.recency.referenceDate})\n`;
+        } else if (prediction.recency.mode === 'window') {
+            response += `**Recency Weighting:** last ${prediction.recency.windowDays} days (${prediction.recency.since} to ${prediction.recency.referenceDate})\n`;
+        }
+        if (prediction.extrapolated) {
+            const sources = prediction.extrapolation.basis.sourceMachines.map(s => s.machineId);
+            response += `**⚠️ Extrapolated:** ${prediction.recommendedWorker} has no history on this machine; ` +
+                `estimated by ${prediction.extrapolation.method}` +
+                `${sources.length > 0 ? ` from machines ${sources.join(', ')}` : ''}, with widened uncertainty\n`;
+        }
+
+        if (unavailable.length > 0) {
+            response += `\n**Unavailable Workers:**\n`;
+            unavailable.forEach(w => {
+                response += `- ${w.workerId}: ${w.reasons.join('; ')}\n`;
+            });
+        }
 
         if (includeAnalysis) {
             response += `\n**Detailed Analysis:**\n`;
             response += `- Machine Experience: ${prediction.jobCount || 0} jobs completed\n`;
             response += `- Average Quality Score: ${prediction.avgQuality ? prediction.avgQuality.toFixed(1) : 'N/A'}%\n`;
             response += `- Performance Rank: ${prediction.rank || 'N/A'}\n`;
+            if (prediction.scoring) {
+                response += `\n**Score Breakdown** (relative to the best candidate, 1 = best):\n`;
+                prediction.candidates.forEach((candidate, index) => {
+                    const parts = Object.keys(candidate.scoreBreakdown)
+                        .map(c => `${c} ${candidate.scoreBreakdown[c].relative.toFixed(2)}`);
+                    response += `${index + 1}. ${candidate.workerId}: ${candidate.score.toFixed(3)} (${parts.join(', ')})\n`;
+                });
+            }
         }
 
-        return { text: response, prediction };
+        return { text: response, prediction, unavailable };
+    }
+
+    async handleExplainPrediction(args) {
+        const { machineId, complexity, shift, jobType, date } = args;
+
+        const mlSystem = this.appService.mlService.getMLSystem();
+        const explanation = mlSystem.explainPrediction(machineId, complexity, { shift, jobType, date });
+
+        let response = `🔎 **Prediction Explanation**\n\n`;
+        response += `**Job:** Machine ${machineId}, complexity ${complexity}`;
+        if (shift) response += `, ${shift} shift`;
+        if (jobType) response += `, ${jobType}`;
+        response += `\n`;
+        response += `**Recommended Worker:** ${explanation.recommendedWorker} (${explanation.method})\n`;
+        if (explanation.recommendedWorker !== explanation.predictedWorker) {
+            response += `- The KNN vote chose ${explanation.predictedWorker}, who is unavailable or has no history on this machine\n`;
+        }
+        response += `\n`;
+
+        response += `**Votes (k=${explanation.k}):**\n`;
+        explanation.votes.forEach(vote => {
+            response += `- ${vote.workerId}: ${vote.votes} vote${vote.votes === 1 ? '' : 's'}, mean distance ${vote.meanDistance.toFixed(3)}${vote.chosen ? ' ← chosen' : ''}\n`;
+        });
+        response += `\n`;
+
+        response += `**Nearest Historical Profiles:**\n`;
+        explanation.neighbours.forEach(neighbour => {
+            const { features } = neighbour;
+            const top = neighbour.contributions.slice(0, 3)
+                .map(c => `${c.feature} ${(c.share * 100).toFixed(0)}%`).join(', ');
+            response += `${neighbour.rank}. ${neighbour.workerId} on machine ${neighbour.machineId} - distance ${neighbour.distance.toFixed(3)}\n`;
+            response += `   avg ${features.avgTime.toFixed(1)} min, quality ${features.avgQuality.toFixed(1)}, ${features.jobCount.toFixed(1)} jobs\n`;
+            response += `   Distance from: ${top}\n`;
+        });
+        response += `\n`;
+
+        response += `**Features Driving the Distance:**\n`;
+        explanation.featureContributions.filter(c => c.share > 0).slice(0, 5).forEach(contribution => {
+            response += `- ${contribution.feature}: ${(contribution.share * 100).toFixed(1)}%\n`;
+        });
+
+        return { text: response, explanation };
     }
 
     async handleGetWorkerPerformance(args) {
@@ -391,38 +1165,47 @@ class WorkerAssignmentMCPServer {
             return { text: `👤 **Worker Performance Analysis: ${workerId}**\n\nWorker ${workerId} not found in the system.`, workerId };
         }
 
+        // Available today: the roster's time off and capacity, plus certification and
+        // learned overrides when a machine is given
+        const today = { date: new Date().toISOString().slice(0, 10) };
+        const availability = machineId
+            ? mlSystem.checkCandidate(workerId, parseInt(machineId), today)
+            : mlSystem.roster.checkAvailability(workerId, today);
+
         let response = `👤 **Worker Performance Analysis: ${workerId}**\n\n`;
         response += `**Overall Statistics:**\n`;
         response += `- Status: Active Worker\n`;
         response += `- System Recognition: Trained\n`;
-        response += `- Available for Assignment: Yes\n\n`;
+        response += `- Available for Assignment: ${availability.available ? 'Yes' : `No (${availability.reasons.join('; ')})`}\n\n`;
 
         // Get worker's historical data
-        const workerData = mlSystem.trainingData.filter(d => d.workerId === workerId);
-        if (workerData.length > 0) {
-            const avgTime = workerData.reduce((sum, d) => sum + d.timeMinutes, 0) / workerData.length;
-            const avgQuality = workerData.reduce((sum, d) => sum + d.qualityScore, 0) / workerData.length;
-            
+        const workerStats = mlSystem.aggregates.aggregate({ workerId }, { weighted: false });
+        if (workerStats.count > 0) {
             response += `**Performance Metrics:**\n`;
-            response += `- Total Jobs Completed: ${workerData.length}\n`;
-            response += `- Average Completion Time: ${avgTime.toFixed(1)} minutes\n`;
-            response += `- Average Quality Score: ${avgQuality.toFixed(1)}%\n`;
+            response += `- Total Jobs Completed: ${workerStats.count}\n`;
+            response += `- Average Completion Time: ${workerStats.timeMinutes.mean.toFixed(1)} minutes\n`;
+            response += `- Average Quality Score: ${workerStats.qualityScore.mean.toFixed(1)}%\n`;
 
             if (machineId) {
-                const machineData = workerData.filter(d => d.machineId === parseInt(machineId));
-                if (machineData.length > 0) {
-                    const machineAvgTime = machineData.reduce((sum, d) => sum + d.timeMinutes, 0) / machineData.length;
-                    const machineAvgQuality = machineData.reduce((sum, d) => sum + d.qualityScore, 0) / machineData.length;
-                    
+                const machineStats = mlSystem.aggregates.aggregate({ workerId, machineId: parseInt(machineId) }, { weighted: false });
+                if (machineStats.count > 0) {
                     response += `\n**Machine ${machineId} Specialization:**\n`;
-                    response += `- Jobs on Machine ${machineId}: ${machineData.length}\n`;
-                    response += `- Average Time: ${machineAvgTime.toFixed(1)} minutes\n`;
-                    response += `- Average Quality: ${machineAvgQuality.toFixed(1)}%\n`;
+                    response += `- Jobs on Machine ${machineId}: ${machineStats.count}\n`;
+                    response += `- Average Time: ${machineStats.timeMinutes.mean.toFixed(1)} minutes\n`;
+                    response += `- Average Quality: ${machineStats.qualityScore.mean.toFixed(1)}%\n`;
+
+                    const pooled = mlSystem.getWorkerStatistics(parseInt(machineId)).find(w => w.workerId === workerId);
+                    if (pooled) {
+                        const { posteriorTime, posteriorQuality, shrinkage } = pooled;
+                        response += `- Pooled Time Estimate: ${posteriorTime.mean.toFixed(1)} minutes (95% credible ${posteriorTime.lower.toFixed(1)}-${posteriorTime.upper.toFixed(1)})\n`;
+                        response += `- Pooled Quality Estimate: ${posteriorQuality.mean.toFixed(1)}% (95% credible ${posteriorQuality.lower.toFixed(1)}-${posteriorQuality.upper.toFixed(1)})\n`;
+                        response += `- Shrinkage Toward Machine Average: ${(shrinkage.time * 100).toFixed(0)}% time, ${(shrinkage.quality * 100).toFixed(0)}% quality\n`;
+                    }
                 }
             }
         }
 
-        return { text: response, workerId };
+        return { text: response, workerId, available: availability.available };
     }
 
     async handleGetSystemAnalytics(args) {
@@ -440,6 +1223,13 @@ class WorkerAssignmentMCPServer {
         response += `- Algorithm: ${analytics.model.algorithm}\n`;
         response += `- Is Ready: ${analytics.ready ? 'Yes' : 'No'}\n\n`;
 
+        const machines = this.appService.mlService.getMLSystem().machineRegistry;
+        response += `**Machines:** ${machines.size} (IDs ${machines.describeIds()})\n`;
+        machines.list().forEach(machine => {
+            response += `- ${machine.name}: ${machine.type}, ${machine.maintenanceState}\n`;
+        });
+        response += `\n`;
+
         if (analytics.mcp) {
             response += `**MCP Integration:**\n`;
             response += `- MCP Server Running: ${analytics.mcp.isServerRunning ? 'Yes' : 'No'}\n`;
@@ -456,6 +1246,7 @@ class WorkerAssignmentMCPServer {
         
         const mlSystem = this.appService.mlService.getMLSystem();
         mlSystem.addHistoricalData(data);
+        this.refreshTools();
         
         let response = `✅ **Training Data Added Successfully**\n\n`;
         response += `- Records Added: ${data.length}\n`;
@@ -469,6 +1260,110 @@ class WorkerAssignmentMCPServer {
         return { text: response, added: data.length };
     }
 
+    async handleRecordAssignmentOutcome(args) {
+        const { predictionId, workerId, timeMinutes, qualityScore, jobDate } = args;
+
+        const mlSystem = this.appService.mlService.getMLSystem();
+        const outcome = mlSystem.recordOutcome(predictionId, { workerId, timeMinutes, qualityScore, jobDate });
+        const stats = outcome.modelErrors[outcome.strategy];
+
+        let response = `📝 **Assignment Outcome Recorded**\n\n`;
+        response += `- Prediction: ${predictionId} (${outcome.strategy})\n`;
+        response += `- Worker: ${workerId}${outcome.followedRecommendation ? ' (as recommended)' : ' (not the recommended worker)'}\n`;
+        response += `- Actual: ${timeMinutes} minutes, quality ${qualityScore}\n`;
+        if (outcome.error) {
+            const signed = value => `${value > 0 ? '+' : ''}${value}`;
+            response += `- Error vs. Prediction: ${signed(outcome.error.timeMinutes)} minutes, quality ${signed(outcome.error.qualityScore)}\n`;
+        } else {
+            response += `- Error vs. Prediction: n/a (the prediction had no estimate for ${workerId})\n`;
+        }
+        response += `- Total Records: ${mlSystem.trainingData.length}\n`;
+
+        response += `\n**${outcome.strategy} Error So Far** (${stats.compared} of ${stats.outcomes} outcomes compared):\n`;
+        if (stats.compared > 0) {
+            response += `- Time: MAE ${stats.time.mae.toFixed(1)} min, bias ${stats.time.bias.toFixed(1)} min\n`;
+            response += `- Quality: MAE ${stats.quality.mae.toFixed(2)}, bias ${stats.quality.bias.toFixed(2)}\n`;
+        }
+        response += `\n- Model Retrained: ${outcome.retrained ? `Yes (${outcome.retrainReason})` : 'No'}\n`;
+
+        return { text: response, outcome };
+    }
+
+    async handleRecordSupervisorOverride(args) {
+        const { predictionId, workerId, reasonCode, supervisor, note } = args;
+
+        const mlSystem = this.appService.mlService.getMLSystem();
+        const override = mlSystem.recordOverride(predictionId, { workerId, reasonCode, supervisor, note });
+        const { rejection } = override;
+
+        let response = `✋ **Supervisor Override Recorded**\n\n`;
+        response += `- Prediction: ${predictionId} (${override.strategy}, machine ${override.machineId})\n`;
+        response += `- Recommended: ${override.recommendedWorker}\n`;
+        response += `- Chosen: ${override.chosenWorker}\n`;
+        response += `- Reason: ${reasonCode}${note ? ` (${note})` : ''}\n`;
+        if (supervisor) response += `- Supervisor: ${supervisor}\n`;
+        response += `\n${override.recommendedWorker} has been overridden on machine ${override.machineId} ` +
+            `${rejection.overridden} of ${rejection.recommended} times (${(rejection.rate * 100).toFixed(0)}%)`;
+        response += rejection.learned ? ` and is no longer recommended there\n` : `\n`;
+
+        return { text: response, override };
+    }
+
+    async handleResetWorkerRejection(args) {
+        const { workerId, machineId } = args;
+
+        const mlSystem = this.appService.mlService.getMLSystem();
+        const wasRejected = mlSystem.isRejected(workerId, machineId);
+        const reset = mlSystem.resetRejection(workerId, machineId);
+
+        let response = `🔓 **Rejection Reset**\n\n`;
+        response += `- Worker: ${workerId} on machine ${machineId}\n`;
+        response += `- Set Aside: ${reset.cleared.overridden} overrides of ${reset.cleared.recommended} recommendations\n`;
+        response += wasRejected
+            ? `\n${workerId} can be recommended on machine ${machineId} again; new overrides are counted from now\n`
+            : `\n${workerId} was not excluded on machine ${machineId}; new overrides are counted from now\n`;
+
+        return { text: response, reset };
+    }
+
+    async handleGetOverrideReport(args) {
+        const mlSystem = this.appService.mlService.getMLSystem();
+        const report = mlSystem.getOverrideReport();
+        const percent = rate => `${(rate * 100).toFixed(1)}%`;
+
+        let response = `✋ **Supervisor Override Report**\n\n`;
+        response += `**Overall:** ${report.overrides} of ${report.recommendations} recommendations overridden (${percent(report.rate)})\n`;
+        response += `**Override Learning:** ${report.learning
+            ? `on (${report.learning.minOverrides}+ overrides at ${percent(report.learning.minRate)} or more of a worker's recommendations on a machine` +
+                `${report.learning.windowDays !== null ? `, in the last ${report.learning.windowDays} days` : ''})`
+            : 'off'}\n\n`;
+
+        response += `**By Machine:**\n`;
+        Object.keys(report.byMachine).forEach(machineId => {
+            const m = report.byMachine[machineId];
+            response += `- Machine ${machineId}: ${m.overrides}/${m.recommendations} (${percent(m.rate)})\n`;
+        });
+        response += `\n**By Model:**\n`;
+        Object.keys(report.byStrategy).forEach(strategy => {
+            const m = report.byStrategy[strategy];
+            response += `- ${strategy}: ${m.overrides}/${m.recommendations} (${percent(m.rate)})\n`;
+        });
+
+        if (report.overrides > 0) {
+            response += `\n**Reasons:**\n`;
+            Object.keys(report.byReason).forEach(code => {
+                response += `- ${code}: ${report.byReason[code]}\n`;
+            });
+            response += `\n**Most Rejected:**\n`;
+            report.rejections.slice(0, 10).forEach(r => {
+                response += `- ${r.workerId} on machine ${r.machineId}: ${r.overridden}/${r.recommended} (${percent(r.rate)})` +
+                    `${r.learned ? ' - no longer recommended' : ''}\n`;
+            });
+        }
+
+        return { text: response, report };
+    }
+
     async handleRetrainModel(args) {
         const { force = false } = args;
         
@@ -479,27 +1374,90 @@ class WorkerAssignmentMCPServer {
         }
 
         mlSystem.train();
+
+        // Each fitted strategy, with the number of neighbours it was fitted with for KNN
+        const strategies = mlSystem.strategyNames.map(name => {
+            const options = mlSystem.getStrategy(name).options || {};
+            return options.k !== undefined ? `${name} (k=${options.k})` : name;
+        });
         
         const response = `🔄 **Model Retrained Successfully**\n\n` +
                        `- Training Data Size: ${mlSystem.trainingData.length} records\n` +
-                       `- Algorithm: K-Nearest Neighbors (k=3)\n` +
+                       `- Strategies: ${strategies.join(', ')}\n` +
+                       `- Default Strategy: ${mlSystem.defaultStrategy}\n` +
                        `- Status: Ready for predictions\n` +
                        `- Timestamp: ${new Date().toISOString()}`;
 
         return { text: response, retrained: true };
     }
 
+    async handleGetWorkerRoster(args) {
+        const { workerId } = args;
+        
+        const mlSystem = this.appService.mlService.getMLSystem();
+        const workerIds = workerId ? [workerId] : mlSystem.workers;
+        const entries = workerIds.map(id => mlSystem.roster.get(id));
+
+        let response = `📋 **Worker Roster**\n\n`;
+        entries.forEach(entry => {
+            response += `**${entry.workerId}**${mlSystem.roster.has(entry.workerId) ? '' : ' (no roster entry: always available)'}\n`;
+            response += `- Shifts: ${entry.shifts ? entry.shifts.join(', ') : 'any'}\n`;
+            response += `- Load: ${entry.currentLoad}/${entry.maxConcurrentJobs} jobs\n`;
+            response += `- Certified Machines: ${entry.certifiedMachines ? entry.certifiedMachines.join(', ') : 'any'}\n`;
+            if (entry.timeOff.length > 0) {
+                response += `- Time Off: ${entry.timeOff.map(t => `#${t.id} ${t.start} to ${t.end}${t.reason ? ` (${t.reason})` : ''}`).join('; ')}\n`;
+            }
+            response += `\n`;
+        });
+
+        return { text: response, roster: entries };
+    }
+
+    async handleUpdateWorkerRoster(args) {
+        const { workerId, ...changes } = args;
+        
+        const mlSystem = this.appService.mlService.getMLSystem();
+        const entry = mlSystem.updateRoster(roster => roster.upsert(workerId, changes));
+
+        let response = `✅ **Worker Roster Updated: ${workerId}**\n\n`;
+        response += `- Shifts: ${entry.shifts ? entry.shifts.join(', ') : 'any'}\n`;
+        response += `- Load: ${entry.currentLoad}/${entry.maxConcurrentJobs} jobs\n`;
+        response += `- Certified Machines: ${entry.certifiedMachines ? entry.certifiedMachines.join(', ') : 'any'}\n`;
+
+        return { text: response, entry };
+    }
+
+    async handleAddWorkerTimeOff(args) {
+        const { workerId, start, end, reason } = args;
+        
+        const mlSystem = this.appService.mlService.getMLSystem();
+        const timeOff = mlSystem.updateRoster(roster => roster.addTimeOff(workerId, { start, end, reason }));
+
+        const response = `🏖️ **Time Off Recorded: ${workerId}**\n\n` +
+                       `- ID: ${timeOff.id}\n` +
+                       `- From: ${timeOff.start}\n` +
+                       `- To: ${timeOff.end}\n` +
+                       (timeOff.reason ? `- Reason: ${timeOff.reason}\n` : '');
+
+        return { text: response, timeOff };
+    }
+
+    async handleRemoveWorkerTimeOff(args) {
+        const { workerId, timeOffId } = args;
+        
+        const mlSystem = this.appService.mlService.getMLSystem();
+        const entry = mlSystem.updateRoster(roster => roster.removeTimeOff(workerId, timeOffId));
+
+        return { text: `✅ **Time Off ${timeOffId} Removed for ${workerId}**\n`, entry };
+    }
+
+    // Read a resource by URI, resolving it against the static resources and the templates
     async getResource(uri) {
-        switch (uri) {
-            case "worker-assignment://analytics/dashboard":
-                return await this.getAnalyticsDashboard();
-            case "worker-assignment://data/training-summary":
-                return await this.getTrainingDataSummary();
-            case "worker-assignment://model/status":
-                return await this.getModelStatus();
-            default:
-                throw new Error(`Unknown resource: ${uri}`);
+        const resolved = this.resourceRouter.resolve(uri);
+        if (!resolved) {
+            throw new UnknownResourceError(`Unknown resource: ${uri}`, { uri });
         }
+        return await resolved.route.handler(resolved.params, uri);
     }
 
     async getAnalyticsDashboard() {
@@ -529,10 +1487,11 @@ class WorkerAssignmentMCPServer {
     }
 
     async getModelStatus() {
+        const mlSystem = this.appService.mlService.getMLSystem();
         const status = {
             isModelTrained: this.appService.mlService.isReady(),
-            workers: this.appService.mlService.getWorkers(),
-            machines: [1, 2, 3, 4, 5],
+            workers: mlSystem.workers,
+            machines: mlSystem.machineRegistry.list(),
             lastUpdate: new Date().toISOString()
         };
 
@@ -543,6 +1502,66 @@ class WorkerAssignmentMCPServer {
         };
     }
 
+    // Audit log search; filters come from the URI's query string
+    async getPredictionAudit(params, uri) {
+        const filters = {};
+        ['from', 'to', 'workerId', 'predictionId'].forEach(name => {
+            if (params[name] !== undefined) filters[name] = params[name];
+        });
+        if (params.machineId !== undefined) filters.machineId = this.integerParam('machineId', params.machineId);
+        if (params.limit !== undefined) filters.limit = this.integerParam('limit', params.limit);
+
+        return {
+            uri,
+            mimeType: "application/json",
+            content: {
+                filters,
+                ...(await this.appService.mlService.auditService.query(filters))
+            }
+        };
+    }
+
+    async getWorkerProfile(params, uri) {
+        const mlSystem = this.appService.mlService.getMLSystem();
+        return {
+            uri,
+            mimeType: "application/json",
+            content: mlSystem.getWorkerProfile(params.workerId)
+        };
+    }
+
+    async getWorkerHistory(params, uri) {
+        const mlSystem = this.appService.mlService.getMLSystem();
+        const { workerId, from, to } = params;
+        const limit = params.limit !== undefined ? this.integerParam('limit', params.limit) : undefined;
+        return {
+            uri,
+            mimeType: "application/json",
+            content: mlSystem.getWorkerHistory(workerId, { from, to, limit })
+        };
+    }
+
+    async getMachineProfile(params, uri) {
+        const mlSystem = this.appService.mlService.getMLSystem();
+        if (!/^\d+$/.test(params.machineId)) {
+            throw new UnknownMachineError(`Invalid machine ID "${params.machineId}". Available machines: ${mlSystem.machines.join(', ')}`,
+                { machineId: params.machineId, available: mlSystem.machines });
+        }
+        return {
+            uri,
+            mimeType: "application/json",
+            content: mlSystem.getMachineProfile(Number(params.machineId))
+        };
+    }
+
+    // A non-negative integer from a URI parameter
+    integerParam(name, value) {
+        if (!/^\d+$/.test(value)) {
+            throw new InvalidArgumentError(`${name} must be a non-negative integer, got "${value}"`, { [name]: value });
+        }
+        return Number(value);
+    }
+
     async getServerStatus() {
         return {
             server: 'Worker Assignment ML MCP Server',
@@ -587,6 +1606,11 @@ class WorkerAssignmentMCPServer {
             <div class="endpoint">WebSocket: ws://localhost:${this.port}</div>
         </div>
 
+        <div class="card">
+            <h2>📈 Live Model Status</h2>
+            <div id="live-status" class="description">Waiting for the server...</div>
+        </div>
+
         <div class="card">
             <h2>🛠️ Available Tools</h2>
             <div class="tools">
@@ -602,11 +1626,11 @@ class WorkerAssignmentMCPServer {
         <div class="card">
             <h2>📋 Available Resources</h2>
             <div class="resources">
-                ${this.resources.map(resource => `
+                ${this.resources.concat(this.resourceTemplates).map(resource => `
                     <div class="resource">
                         <h4>${resource.name}</h4>
                         <div class="description">${resource.description}</div>
-                        <div style="margin-top: 10px; font-family: monospace; font-size: 12px;">${resource.uri}</div>
+                        <div style="margin-top: 10px; font-family: monospace; font-size: 12px;">${resource.uri || resource.uriTemplate}</div>
                     </div>
                 `).join('')}
             </div>
@@ -628,11 +1652,29 @@ class WorkerAssignmentMCPServer {
         // Add some basic interactivity
         console.log('Worker Assignment ML MCP Server Dashboard loaded');
         
-        // Connect to WebSocket for real-time updates
+        // Connect to WebSocket for real-time updates: read the analytics dashboard
+        // resource once, then subscribe to it so the server pushes every change
+        const dashboardUri = 'worker-assignment://analytics/dashboard';
         const ws = new WebSocket('ws://localhost:${this.port}');
+        const showStatus = (resource) => {
+            const model = resource.content.system.model;
+            document.getElementById('live-status').innerHTML =
+                '<div>Training records: ' + model.trainingRecords + '</div>' +
+                '<div>Workers: ' + model.workers + ', machines: ' + model.machines + '</div>' +
+                '<div>Recorded outcomes: ' + model.recordedOutcomes + '</div>' +
+                '<div>Model trained: ' + (model.modelTimestamp || 'not yet') + '</div>' +
+                '<div>Updated: ' + new Date().toLocaleTimeString() + '</div>';
+        };
+        ws.onopen = () => {
+            ws.send(JSON.stringify({ type: 'get_resource', uri: dashboardUri }));
+            ws.send(JSON.stringify({ type: 'subscribe', uri: dashboardUri }));
+        };
         ws.onmessage = (event) => {
             const data = JSON.parse(event.data);
             console.log('WebSocket message:', data);
+            if (data.type === 'resource' || (data.type === 'resource_updated' && data.data)) {
+                showStatus(data.data);
+            }
         };
     </script>
 </body>
@@ -640,19 +1682,40 @@ class WorkerAssignmentMCPServer {
         `;
     }
 
-    async stop() {
+    // Close the HTTP and WebSocket servers and the stdio transport, leaving the app services running
+    async stopServer() {
+        this.unwatchModelChanges();
         if (this.wss) {
             this.wss.close();
+            this.wss = null;
         }
         if (this.server) {
             this.server.close();
+            this.server = null;
         }
+        if (this.stdioServer) {
+            await this.stdioServer.close();
+            this.stdioServer = null;
+        }
+    }
+
+    async stop() {
+        await this.stopServer();
         await this.appService.cleanup();
     }
 }
 
 // Run the server if this file is executed directly
 if (require.main === module) {
+    const args = process.argv.slice(2);
+    const useHttp = args.includes('--http');
+    const useStdio = args.includes('--stdio') || !useHttp;
+
+    // stdout belongs to the MCP protocol on stdio; send all logging to stderr
+    if (useStdio) {
+        console.log = console.error;
+    }
+
     const server = new WorkerAssignmentMCPServer();
     
     // Handle graceful shutdown
@@ -663,7 +1726,15 @@ if (require.main === module) {
     });
     
     server.initialize()
-        .then(() => server.startServer())
+        .then(async () => {
+            if (useHttp) {
+                await server.startServer().catch(error => {
+                    if (!useStdio) throw error;
+                    console.error(`⚠️  HTTP server not started (${error.message}); serving MCP over stdio only`);
+                });
+            }
+            if (useStdio) await server.startStdio();
+        })
         .catch(error => {
             console.error('Failed to start MCP server:', error);
             process.exit(1);
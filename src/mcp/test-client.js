@@ -7,15 +7,13 @@
  * by testing all available tools and resources.
  */
 
-const { Client } = require('@modelcontextprotocol/sdk/client');
-const { StdioClientTransport } = require('@modelcontextprotocol/sdk/client/stdio');
-const { spawn } = require('child_process');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { StdioClientTransport } = require('@modelcontextprotocol/sdk/client/stdio.js');
 const path = require('path');
 
 class WorkerAssignmentMCPTestClient {
     constructor() {
         this.client = null;
-        this.serverProcess = null;
         this.testResults = {
             passed: 0,
             failed: 0,
@@ -27,15 +25,6 @@ class WorkerAssignmentMCPTestClient {
         console.log('🧪 Starting Worker Assignment ML MCP Test Suite...\n');
 
         try {
-            // Start the MCP server process
-            const serverPath = path.join(__dirname, 'server.js');
-            this.serverProcess = spawn('node', [serverPath], {
-                stdio: ['pipe', 'pipe', 'inherit']
-            });
-
-            // Give the server a moment to start
-            await new Promise(resolve => setTimeout(resolve, 2000));
-
             // Create client and connect to the server
             this.client = new Client(
                 {
@@ -47,9 +36,11 @@ class WorkerAssignmentMCPTestClient {
                 }
             );
 
+            // The transport starts the server process and talks to it over stdio
             const transport = new StdioClientTransport({
-                stdin: this.serverProcess.stdout,
-                stdout: this.serverProcess.stdin
+                command: process.execPath,
+                args: [path.join(__dirname, 'server.js'), '--stdio'],
+                stderr: 'inherit'
             });
 
             await this.client.connect(transport);
@@ -82,7 +73,7 @@ class WorkerAssignmentMCPTestClient {
 
         // Test 1: Tools listing
         await this.runTest('List available tools', async () => {
-            const response = await this.client.request('tools/list', {});
+            const response = await this.client.listTools();
             
             if (!response.tools || !Array.isArray(response.tools)) {
                 throw new Error('Expected tools array in response');
@@ -106,7 +97,7 @@ class WorkerAssignmentMCPTestClient {
 
         // Test 2: System analytics
         await this.runTest('Get system analytics', async () => {
-            const response = await this.client.request('tools/call', {
+            const response = await this.client.callTool({
                 name: 'get_system_analytics',
                 arguments: { includeModelDetails: true }
             });
@@ -123,7 +114,7 @@ class WorkerAssignmentMCPTestClient {
 
         // Test 3: Worker prediction
         await this.runTest('Predict worker assignment', async () => {
-            const response = await this.client.request('tools/call', {
+            const response = await this.client.callTool({
                 name: 'predict_worker_assignment',
                 arguments: {
                     machineId: 1,
@@ -144,20 +135,21 @@ class WorkerAssignmentMCPTestClient {
 
         // Test 4: Invalid prediction parameters
         await this.runTest('Handle invalid prediction parameters', async () => {
-            try {
-                await this.client.request('tools/call', {
-                    name: 'predict_worker_assignment',
-                    arguments: {
-                        machineId: 10, // Invalid machine ID
-                        complexity: 3
-                    }
-                });
-                throw new Error('Expected error for invalid machine ID');
-            } catch (error) {
-                // This should fail, which is what we expect
-                if (!error.message.includes('machine') && !error.message.includes('Machine')) {
-                    throw new Error('Expected machine-related error message');
+            const response = await this.client.callTool({
+                name: 'predict_worker_assignment',
+                arguments: {
+                    machineId: 10, // Invalid machine ID
+                    complexity: 3
                 }
+            });
+
+            // Tool failures come back as error results rather than protocol errors
+            if (!response.isError) {
+                throw new Error('Expected error for invalid machine ID');
+            }
+            const text = response.content[0].text;
+            if (!text.includes('machine') && !text.includes('Machine')) {
+                throw new Error('Expected machine-related error message');
             }
         });
 
@@ -172,7 +164,7 @@ class WorkerAssignmentMCPTestClient {
                 }
             ];
 
-            const response = await this.client.request('tools/call', {
+            const response = await this.client.callTool({
                 name: 'add_training_data',
                 arguments: {
                     data: testData,
@@ -192,7 +184,7 @@ class WorkerAssignmentMCPTestClient {
 
         // Test 6: Model retraining
         await this.runTest('Retrain model', async () => {
-            const response = await this.client.request('tools/call', {
+            const response = await this.client.callTool({
                 name: 'retrain_model',
                 arguments: { force: true }
             });
@@ -209,7 +201,7 @@ class WorkerAssignmentMCPTestClient {
 
         // Test 7: Resources listing
         await this.runTest('List available resources', async () => {
-            const response = await this.client.request('resources/list', {});
+            const response = await this.client.listResources();
             
             if (!response.resources || !Array.isArray(response.resources)) {
                 throw new Error('Expected resources array in response');
@@ -231,7 +223,7 @@ class WorkerAssignmentMCPTestClient {
 
         // Test 8: Read resource
         await this.runTest('Read analytics dashboard resource', async () => {
-            const response = await this.client.request('resources/read', {
+            const response = await this.client.readResource({
                 uri: 'worker-assignment://analytics/dashboard'
             });
             
@@ -250,7 +242,7 @@ class WorkerAssignmentMCPTestClient {
 
         // Test 9: Worker performance (might not have data)
         await this.runTest('Get worker performance', async () => {
-            const response = await this.client.request('tools/call', {
+            const response = await this.client.callTool({
                 name: 'get_worker_performance',
                 arguments: { workerId: 'test_worker' }
             });
@@ -268,7 +260,7 @@ class WorkerAssignmentMCPTestClient {
         // Test 10: Invalid tool name
         await this.runTest('Handle invalid tool name', async () => {
             try {
-                await this.client.request('tools/call', {
+                await this.client.callTool({
                     name: 'nonexistent_tool',
                     arguments: {}
                 });
@@ -318,13 +310,6 @@ class WorkerAssignmentMCPTestClient {
             }
         }
         
-        if (this.serverProcess) {
-            this.serverProcess.kill();
-            
-            // Wait a moment for cleanup
-            await new Promise(resolve => setTimeout(resolve, 1000));
-        }
-        
         console.log('✅ Test cleanup completed');
     }
 }
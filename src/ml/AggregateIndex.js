@@ -0,0 +1,276 @@
+const RecencyWeighting = require('./RecencyWeighting');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields aggregated per bucket; efficiency is derived per record
+const FIELDS = {
+    timeMinutes: r => r.timeMinutes,
+    qualityScore: r => r.qualityScore,
+    efficiency: r => r.qualityScore / r.timeMinutes
+};
+
+/**
+ * Aggregate Index
+ *
+ * Running aggregates of the historical records, keyed by worker / machine /
+ * shift / job type, so statistics cost O(buckets) instead of a scan of every
+ * record. Each bucket holds count, sum, sum of squares, min and max per field,
+ * plus recency-weighted sums. Records are folded in as they are added; the
+ * records themselves are not kept.
+ *
+ * Buckets are grouped per worker/machine pair, so a query naming both only
+ * reads that pair's buckets. Two stores are maintained:
+ * - totals: every record, unweighted (job counts, analytics)
+ * - recent: records weighted by the RecencyWeighting (worker statistics).
+ *   Half-life weights are kept relative to the current reference date and
+ *   rescaled when it moves; window buckets are split by day and dropped once
+ *   they fall out of the window. Without weighting, recent reads the totals.
+ *
+ * add() advances the recency weighting's reference date.
+ */
+class AggregateIndex {
+    /**
+     * @param {RecencyWeighting} [recency] - Weighting for the recent store
+     */
+    constructor(recency = new RecencyWeighting()) {
+        this.recency = recency;
+        this.totals = new Map();
+        this.recent = new Map();
+        this.recordCount = 0;
+        this.latestDate = null;
+        this.values = { workerId: new Set(), machineId: new Set(), shift: new Set(), jobType: new Set() };
+    }
+
+    static emptyBucket(record, slot) {
+        const fields = {};
+        Object.keys(FIELDS).forEach(field => {
+            fields[field] = { sum: 0, sumSq: 0, min: Infinity, max: -Infinity, weightedSum: 0 };
+        });
+
+        return {
+            workerId: record.workerId,
+            machineId: record.machineId,
+            shift: record.shift || null,
+            jobType: record.jobType || null,
+            slot,
+            count: 0,
+            weight: 0,
+            datedWeight: 0,
+            weightedDaySum: 0,
+            fields
+        };
+    }
+
+    // Fold one record into a bucket with the given weight
+    static addToBucket(bucket, record, weight) {
+        bucket.count++;
+        bucket.weight += weight;
+        if (record.jobDate) {
+            bucket.datedWeight += weight;
+            bucket.weightedDaySum += weight * (new Date(record.jobDate).getTime() / DAY_MS);
+        }
+
+        Object.keys(FIELDS).forEach(field => {
+            const value = FIELDS[field](record);
+            const stats = bucket.fields[field];
+            stats.sum += value;
+            stats.sumSq += value * value;
+            stats.min = Math.min(stats.min, value);
+            stats.max = Math.max(stats.max, value);
+            stats.weightedSum += weight * value;
+        });
+    }
+
+    // Bucket key: the grouping fields plus a slot (the day for window buckets)
+    static key(record, slot) {
+        return [record.workerId, record.machineId, record.shift || '', record.jobType || '', slot].join('|');
+    }
+
+    // Slot separating buckets that age differently: undated records never decay
+    slotFor(record) {
+        if (!record.jobDate) return 'undated';
+        return this.recency.mode === 'window' ? record.jobDate.slice(0, 10) : 'dated';
+    }
+
+    /**
+     * Fold new records into the index
+     * @param {Array} records - Historical job records
+     */
+    add(records) {
+        const previousReference = this.recency.referenceDate;
+        this.recency.update(records);
+        this.rebase(previousReference);
+
+        records.forEach(record => {
+            Object.keys(this.values).forEach(field => {
+                if (record[field] !== undefined && record[field] !== null && record[field] !== '') {
+                    this.values[field].add(record[field]);
+                }
+            });
+            if (record.jobDate && (this.latestDate === null || record.jobDate > this.latestDate)) {
+                this.latestDate = record.jobDate;
+            }
+
+            this.insert(this.totals, record, 'all', 1);
+            if (this.recency.enabled) {
+                const weight = this.recency.weight(record);
+                if (weight > 0) this.insert(this.recent, record, this.slotFor(record), weight);
+            }
+        });
+
+        this.recordCount += records.length;
+    }
+
+    insert(store, record, slot, weight) {
+        const pairKey = `${record.workerId}|${record.machineId}`;
+        if (!store.has(pairKey)) store.set(pairKey, new Map());
+        const buckets = store.get(pairKey);
+
+        const key = AggregateIndex.key(record, slot);
+        if (!buckets.has(key)) buckets.set(key, AggregateIndex.emptyBucket(record, slot));
+        AggregateIndex.addToBucket(buckets.get(key), record, weight);
+    }
+
+    // Call fn(bucket, key, pairBuckets) for the buckets of a store, or of one worker/machine pair
+    forEachBucket(store, fn, workerId, machineId) {
+        const pairs = workerId !== undefined && machineId !== undefined
+            ? [store.get(`${workerId}|${machineId}`)].filter(Boolean)
+            : Array.from(store.values());
+        pairs.forEach(buckets => buckets.forEach((bucket, key) => fn(bucket, key, buckets)));
+    }
+
+    // Keep recent weights relative to the reference date after it moves
+    rebase(previousReference) {
+        const reference = this.recency.referenceDate;
+        if (!this.recency.enabled || previousReference === reference) return;
+
+        if (this.recency.mode === 'half-life') {
+            const factor = this.recency.decay(previousReference, reference);
+            this.forEachBucket(this.recent, (bucket, key, buckets) => {
+                if (bucket.slot === 'undated') return;
+                bucket.weight *= factor;
+                bucket.datedWeight *= factor;
+                bucket.weightedDaySum *= factor;
+                Object.values(bucket.fields).forEach(stats => { stats.weightedSum *= factor; });
+                // Weights too small to represent no longer count
+                if (bucket.weight === 0) buckets.delete(key);
+            });
+        } else {
+            this.forEachBucket(this.recent, (bucket, key, buckets) => {
+                if (bucket.slot !== 'undated' && this.recency.weight({ jobDate: bucket.slot }) === 0) {
+                    buckets.delete(key);
+                }
+            });
+        }
+    }
+
+    matches(bucket, filter) {
+        return (filter.workerId === undefined || bucket.workerId === filter.workerId) &&
+            (filter.machineId === undefined || bucket.machineId === filter.machineId) &&
+            (!filter.shift || bucket.shift === filter.shift) &&
+            (!filter.jobType || bucket.jobType === filter.jobType);
+    }
+
+    store(weighted) {
+        return weighted && this.recency.enabled ? this.recent : this.totals;
+    }
+
+    // Merge buckets into { count, weight, timeMinutes, qualityScore, efficiency, meanAgeDays }.
+    // Field means are weighted; min, max and std are over the records in the buckets.
+    // Means are NaN when there are no records, like _.mean([])
+    summarize(buckets) {
+        const summary = { count: 0, weight: 0 };
+        let datedWeight = 0;
+        let weightedDaySum = 0;
+        const totals = {};
+        Object.keys(FIELDS).forEach(field => {
+            totals[field] = { sum: 0, sumSq: 0, min: Infinity, max: -Infinity, weightedSum: 0 };
+        });
+
+        buckets.forEach(bucket => {
+            summary.count += bucket.count;
+            summary.weight += bucket.weight;
+            datedWeight += bucket.datedWeight;
+            weightedDaySum += bucket.weightedDaySum;
+            Object.keys(FIELDS).forEach(field => {
+                const stats = bucket.fields[field];
+                totals[field].sum += stats.sum;
+                totals[field].sumSq += stats.sumSq;
+                totals[field].min = Math.min(totals[field].min, stats.min);
+                totals[field].max = Math.max(totals[field].max, stats.max);
+                totals[field].weightedSum += stats.weightedSum;
+            });
+        });
+
+        Object.keys(FIELDS).forEach(field => {
+            const { sum, sumSq, min, max, weightedSum } = totals[field];
+            const mean = summary.count > 0 ? sum / summary.count : NaN;
+            summary[field] = {
+                mean: summary.weight > 0 ? weightedSum / summary.weight : NaN,
+                min: summary.count > 0 ? min : undefined,
+                max: summary.count > 0 ? max : undefined,
+                std: summary.count > 0 ? Math.sqrt(Math.max(sumSq / summary.count - mean * mean, 0)) : 0
+            };
+        });
+
+        // Mean job age from the latest date; undated jobs count as current
+        const latestDay = this.latestDate ? new Date(this.latestDate).getTime() / DAY_MS : 0;
+        summary.meanAgeDays = summary.weight > 0
+            ? Math.max(0, (latestDay * datedWeight - weightedDaySum) / summary.weight)
+            : 0;
+
+        return summary;
+    }
+
+    /**
+     * Statistics for the records matching a filter
+     * @param {Object} filter - Any of { workerId, machineId, shift, jobType }
+     * @param {Object} options
+     * @param {boolean} [options.weighted=true] - Use the recency-weighted store
+     * @returns {Object} See summarize()
+     */
+    aggregate(filter = {}, { weighted = true } = {}) {
+        const buckets = [];
+        this.forEachBucket(this.store(weighted), bucket => {
+            if (this.matches(bucket, filter)) buckets.push(bucket);
+        }, filter.workerId, filter.machineId);
+        return this.summarize(buckets);
+    }
+
+    /**
+     * Statistics per group of records
+     * @param {Array<string>} fields - Grouping fields, from workerId, machineId, shift, jobType
+     * @param {Object} options
+     * @param {Object} [options.filter={}] - Only include matching records
+     * @param {boolean} [options.weighted=true] - Use the recency-weighted store
+     * @returns {Array<Object>} Summaries, each with its grouping field values
+     */
+    groupBy(fields, { filter = {}, weighted = true } = {}) {
+        const groups = new Map();
+        this.forEachBucket(this.store(weighted), bucket => {
+            if (!this.matches(bucket, filter)) return;
+            const key = fields.map(field => bucket[field]).join('|');
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(bucket);
+        }, filter.workerId, filter.machineId);
+
+        return Array.from(groups.values()).map(buckets => {
+            const group = {};
+            fields.forEach(field => { group[field] = buckets[0][field]; });
+            return { ...group, ...this.summarize(buckets) };
+        });
+    }
+
+    // Distinct values of a field, in order of first appearance
+    valuesOf(field) {
+        return Array.from(this.values[field]);
+    }
+
+    get bucketCount() {
+        let count = 0;
+        [this.totals, this.recent].forEach(store => this.forEachBucket(store, () => { count++; }));
+        return count;
+    }
+}
+
+module.exports = AggregateIndex;
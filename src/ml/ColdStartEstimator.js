@@ -0,0 +1,225 @@
+const _ = require('lodash');
+
+const Z_95 = 1.96;
+
+/**
+ * Cold-Start Estimator
+ *
+ * Extrapolates a worker's time and quality on a machine they have never used
+ * from their history on other machines:
+ *
+ * - Peer transfer: for each machine the worker has used, peers who worked on
+ *   both that machine and the target give a time ratio and a quality shift
+ *   (medians over peers), which are applied to the worker's own averages.
+ * - Machine similarity: when no peer has used the target machine, the
+ *   worker's averages on the other machines are used, scaled by the ratio of
+ *   machine complexities where both are known.
+ * - Peer average: a worker with no history at all gets the peers' averages on
+ *   the target machine (or on every machine, if it is brand new).
+ *
+ * Source machines are weighted by their similarity to the target (same type,
+ * close complexity, from the MachineRegistry) and by how many jobs back them.
+ * Pair averages follow the recency weighting of the worker statistics.
+ *
+ * Estimates are extrapolations: their 95% intervals combine the residual
+ * spread of worker/machine averages with the disagreement between source
+ * machines, and are widened by `widening`. Confidence is capped at
+ * maxConfidence so an extrapolation never outranks real history.
+ */
+class ColdStartEstimator {
+    /**
+     * @param {Object} options
+     * @param {number} [options.widening=1.5] - Multiplier on the standard error
+     * @param {number} [options.maxConfidence=0.5] - Confidence of the best-supported extrapolation
+     */
+    constructor(options = {}) {
+        this.widening = options.widening || 1.5;
+        this.maxConfidence = options.maxConfidence || 0.5;
+        this.pairs = {};
+        this.machines = {};
+        this.residual = { time: 0, quality: 0 };
+    }
+
+    /**
+     * Summarise the history per worker/machine pair
+     * @param {AggregateIndex} aggregates - Indexed historical records
+     * @param {MachineRegistry} machineRegistry - Machine types and complexities
+     * @returns {ColdStartEstimator}
+     */
+    fit(aggregates, machineRegistry) {
+        this.machines = _.keyBy(machineRegistry.list(), 'id');
+        this.pairs = {};
+
+        aggregates.groupBy(['workerId', 'machineId']).forEach(pair => {
+            this.pairs[pair.workerId] = this.pairs[pair.workerId] || {};
+            this.pairs[pair.workerId][pair.machineId] = {
+                time: pair.timeMinutes.mean,
+                quality: pair.qualityScore.mean,
+                jobs: pair.count
+            };
+        });
+
+        // Spread of the pair averages around each machine's average: how far
+        // one worker's typical performance sits from another's
+        const unweighted = aggregates.groupBy(['machineId', 'workerId'], { weighted: false });
+        const spread = field => {
+            const deviations = [];
+            _.forEach(_.groupBy(unweighted, 'machineId'), machinePairs => {
+                const means = machinePairs.map(pair => pair[field].mean);
+                const machineMean = _.mean(means);
+                means.forEach(mean => deviations.push(Math.pow(mean - machineMean, 2)));
+            });
+            return deviations.length > 1 ? Math.sqrt(_.sum(deviations) / (deviations.length - 1)) : 0;
+        };
+        this.residual = { time: spread('timeMinutes'), quality: spread('qualityScore') };
+
+        return this;
+    }
+
+    hasHistory(workerId, machineId) {
+        return Boolean(this.pairs[workerId] && this.pairs[workerId][machineId]);
+    }
+
+    // Similarity of two machines in [0.2, 1]: same type and close complexity score higher
+    similarity(sourceId, targetId) {
+        const source = this.machines[sourceId] || {};
+        const target = this.machines[targetId] || {};
+        const sameType = source.type && source.type === target.type && source.type !== 'general';
+        const bothRated = typeof source.complexity === 'number' && typeof target.complexity === 'number';
+        const closeness = bothRated
+            ? 1 / (1 + Math.abs(source.complexity - target.complexity))
+            : 0.5;
+
+        return 0.2 + (sameType ? 0.5 : 0) + 0.3 * closeness;
+    }
+
+    // Peers with history on both machines, other than the worker
+    peersOn(workerId, sourceId, targetId) {
+        return Object.keys(this.pairs).filter(peerId =>
+            peerId !== workerId && this.pairs[peerId][sourceId] && this.pairs[peerId][targetId]
+        );
+    }
+
+    /**
+     * Extrapolated performance of a worker on a machine they have not used
+     * @param {string} workerId
+     * @param {number} machineId
+     * @returns {Object} { workerId, machineId, extrapolated, method, timeMinutes, qualityScore, confidence, basis }
+     */
+    estimate(workerId, machineId) {
+        const own = this.pairs[workerId] || {};
+        const sourceIds = Object.keys(own).map(Number).filter(id => id !== machineId);
+
+        const sources = sourceIds.map(sourceId => {
+            const history = own[sourceId];
+            const peers = this.peersOn(workerId, sourceId, machineId);
+            const similarity = this.similarity(sourceId, machineId);
+
+            if (peers.length > 0) {
+                const timeRatio = this.median(peers.map(p => this.pairs[p][machineId].time / this.pairs[p][sourceId].time));
+                const qualityShift = this.median(peers.map(p => this.pairs[p][machineId].quality - this.pairs[p][sourceId].quality));
+                return {
+                    machineId: sourceId,
+                    time: history.time * timeRatio,
+                    quality: history.quality + qualityShift,
+                    weight: similarity * Math.log1p(history.jobs) * Math.min(peers.length / 3, 1),
+                    similarity,
+                    jobs: history.jobs,
+                    peers: peers.length
+                };
+            }
+
+            return {
+                machineId: sourceId,
+                time: history.time * this.complexityRatio(sourceId, machineId),
+                quality: history.quality,
+                weight: similarity * Math.log1p(history.jobs) * 0.5,
+                similarity,
+                jobs: history.jobs,
+                peers: 0
+            };
+        });
+
+        if (sources.length === 0) {
+            return this.peerAverage(workerId, machineId);
+        }
+
+        const method = sources.some(s => s.peers > 0) ? 'peer-transfer' : 'machine-similarity';
+        // Peer-backed sources are more reliable; drop the rest when there are any
+        const used = method === 'peer-transfer' ? sources.filter(s => s.peers > 0) : sources;
+        const totalWeight = _.sumBy(used, 'weight');
+        const weighted = field => _.sumBy(used, s => s[field] * s.weight) / totalWeight;
+        const disagreement = (field, mean) => Math.sqrt(_.sumBy(used, s => s.weight * Math.pow(s[field] - mean, 2)) / totalWeight);
+
+        const time = weighted('time');
+        const quality = weighted('quality');
+        const peerCount = _.uniq(_.flatMap(used, s => this.peersOn(workerId, s.machineId, machineId))).length;
+        const support = Math.min(used.length / 3, 1) * (method === 'peer-transfer' ? Math.min(peerCount / 3, 1) : 0.5);
+
+        return {
+            workerId,
+            machineId,
+            extrapolated: true,
+            method,
+            timeMinutes: this.interval(time, disagreement('time', time), this.residual.time, 0),
+            qualityScore: this.interval(quality, disagreement('quality', quality), this.residual.quality, 0, 10),
+            confidence: Math.round(this.maxConfidence * support * 1000) / 1000,
+            basis: {
+                sourceMachines: used.map(s => ({
+                    machineId: s.machineId,
+                    similarity: Math.round(s.similarity * 100) / 100,
+                    jobs: s.jobs,
+                    peers: s.peers
+                })),
+                peers: peerCount
+            }
+        };
+    }
+
+    // Fallback for a worker with no history: the peers' averages on the machine
+    peerAverage(workerId, machineId) {
+        const onMachine = Object.values(this.pairs).map(p => p[machineId]).filter(Boolean);
+        const pool = onMachine.length > 0 ? onMachine : _.flatMap(Object.values(this.pairs), p => Object.values(p));
+        const time = pool.length > 0 ? _.mean(pool.map(p => p.time)) : 0;
+        const quality = pool.length > 0 ? _.mean(pool.map(p => p.quality)) : 0;
+
+        return {
+            workerId,
+            machineId,
+            extrapolated: true,
+            method: 'peer-average',
+            timeMinutes: this.interval(time, 0, this.residual.time, 0),
+            qualityScore: this.interval(quality, 0, this.residual.quality, 0, 10),
+            confidence: 0,
+            basis: { sourceMachines: [], peers: pool.length }
+        };
+    }
+
+    // Target/source complexity ratio, or 1 when either machine is unrated
+    complexityRatio(sourceId, targetId) {
+        const source = this.machines[sourceId] || {};
+        const target = this.machines[targetId] || {};
+        return typeof source.complexity === 'number' && typeof target.complexity === 'number' && source.complexity > 0
+            ? target.complexity / source.complexity
+            : 1;
+    }
+
+    // Widened 95% interval, clamped to the valid range
+    interval(estimate, disagreement, residual, min, max = Infinity) {
+        const stdError = Math.sqrt(Math.pow(disagreement, 2) + Math.pow(residual, 2)) * this.widening;
+        return {
+            estimate,
+            lower: Math.max(estimate - Z_95 * stdError, min),
+            upper: Math.min(estimate + Z_95 * stdError, max),
+            stdError
+        };
+    }
+
+    median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+}
+
+module.exports = ColdStartEstimator;
@@ -0,0 +1,106 @@
+const _ = require('lodash');
+
+const Z_95 = 1.96;
+
+/**
+ * Empirical Bayes
+ *
+ * Partial pooling of per-worker means toward a machine-wide mean, so a worker
+ * with two lucky jobs is not ranked above a veteran with two hundred.
+ *
+ * Each worker's true mean is modelled as drawn from N(priorMean, τ²), and each
+ * job as N(trueMean, σ²). From the workers on one machine:
+ * - σ² (within-worker variance) is pooled from the workers' sample variances
+ * - τ² (between-worker variance) is the variance of the worker means minus
+ *   the part explained by sampling noise (method of moments), floored at
+ *   minBetweenShare·σ² so estimates are never pooled completely
+ *
+ * A worker with n jobs and sample mean ȳ then has the posterior
+ *   precision = n/σ² + 1/τ²
+ *   mean      = (n·ȳ/σ² + priorMean/τ²) / precision
+ * with a 95% credible interval of mean ± 1.96/√precision. shrinkage is the
+ * share of the posterior mean taken from the prior.
+ *
+ * predictiveSd is the spread of the worker's next job: their own job variance
+ * (blended with σ² as if from spreadPriorJobs extra jobs, since one or two jobs
+ * say little about spread) plus the uncertainty in their mean.
+ */
+class EmpiricalBayes {
+    /**
+     * @param {Object} options
+     * @param {number} [options.minBetweenShare=0.05] - Floor on τ² as a share of σ²
+     * @param {number} [options.spreadPriorJobs=2] - Weight of σ² in a worker's job variance, in jobs
+     */
+    constructor(options = {}) {
+        this.minBetweenShare = options.minBetweenShare || 0.05;
+        this.spreadPriorJobs = options.spreadPriorJobs !== undefined ? options.spreadPriorJobs : 2;
+    }
+
+    /**
+     * Posterior estimates for a set of groups sharing one prior
+     * @param {Array} groups - [{ n, count, mean, std }]: effective jobs, raw jobs,
+     *   sample mean and population std of the group's jobs
+     * @param {Object} prior - { mean, variance }: machine-wide mean and job variance
+     * @returns {Object} { prior: { mean, withinVariance, betweenVariance },
+     *   posteriors: [{ mean, sd, lower, upper, shrinkage, predictiveSd }] }
+     */
+    estimate(groups, prior) {
+        const withinVariance = this.withinVariance(groups, prior.variance);
+        const betweenVariance = this.betweenVariance(groups, withinVariance);
+
+        const posteriors = groups.map(group => {
+            const dataPrecision = group.n / withinVariance;
+            const priorPrecision = 1 / betweenVariance;
+            const precision = dataPrecision + priorPrecision;
+            const mean = (dataPrecision * group.mean + priorPrecision * prior.mean) / precision;
+            const sd = Math.sqrt(1 / precision);
+            const jobVariance = (group.count * group.std * group.std + this.spreadPriorJobs * withinVariance) /
+                (group.count + this.spreadPriorJobs);
+
+            return {
+                mean,
+                sd,
+                lower: Math.max(mean - Z_95 * sd, 0),
+                upper: mean + Z_95 * sd,
+                shrinkage: priorPrecision / precision,
+                predictiveSd: Math.sqrt(jobVariance + sd * sd)
+            };
+        });
+
+        return {
+            prior: { mean: prior.mean, withinVariance, betweenVariance },
+            posteriors
+        };
+    }
+
+    // Pooled sample variance of the jobs within each group; the machine-wide
+    // variance when no group has two jobs
+    withinVariance(groups, fallback) {
+        const degrees = _.sumBy(groups, g => Math.max(g.count - 1, 0));
+        if (degrees === 0) return Math.max(fallback, 1e-6);
+
+        const pooled = _.sumBy(groups, g => (g.count > 1 ? g.std * g.std * g.count : 0)) / degrees;
+        return Math.max(pooled, 1e-6);
+    }
+
+    // Variance of the true group means: observed spread minus sampling noise
+    betweenVariance(groups, withinVariance) {
+        const floor = withinVariance * this.minBetweenShare;
+        // With a single group there is no spread to measure; use a weak prior
+        if (groups.length < 2) return withinVariance;
+
+        const means = groups.map(g => g.mean);
+        const grandMean = _.mean(means);
+        const observed = _.sumBy(means, m => Math.pow(m - grandMean, 2)) / (means.length - 1);
+        const noise = _.meanBy(groups, g => withinVariance / g.n);
+        return Math.max(observed - noise, floor);
+    }
+
+    // Confidence from the relative width of a credible interval: narrow means confident
+    static intervalConfidence(posterior) {
+        if (posterior.mean <= 0) return 0;
+        return Math.min(Math.max(1 - (posterior.upper - posterior.lower) / (2 * posterior.mean), 0), 0.95);
+    }
+}
+
+module.exports = EmpiricalBayes;
@@ -0,0 +1,141 @@
+const _ = require('lodash');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Feature Pipeline
+ *
+ * Turns historical job records into the vectors the KNN classifier is
+ * trained on, and builds matching query vectors for new jobs.
+ *
+ * Records are grouped per worker / machine / shift / job type. Each group
+ * becomes one vector:
+ *   [machineId, avgTime, avgQuality, jobCount, ...shift one-hot, ...jobType one-hot, ageYears]
+ *
+ * ageYears is the mean age of the group's jobs, measured from the most
+ * recent jobDate in the data, so recent behaviour sits closer to queries
+ * for upcoming jobs.
+ *
+ * With recency weighting, group averages are weighted by job age and
+ * jobCount becomes the sum of the weights.
+ */
+class FeaturePipeline {
+    constructor() {
+        this.shifts = [];
+        this.jobTypes = [];
+        this.referenceDate = null;
+    }
+
+    /**
+     * Learn the category vocabularies and the reference date from the data
+     * @param {AggregateIndex} aggregates - Indexed historical records
+     * @returns {FeaturePipeline}
+     */
+    fit(aggregates) {
+        this.shifts = aggregates.valuesOf('shift').sort();
+        this.jobTypes = aggregates.valuesOf('jobType').sort();
+        this.referenceDate = aggregates.latestDate;
+
+        return this;
+    }
+
+    /**
+     * Names of the vector components, in order
+     * @returns {Array<string>}
+     */
+    featureNames() {
+        return [
+            'machineId',
+            'avgTime',
+            'avgQuality',
+            'jobCount',
+            ...this.shifts.map(shift => `shift:${shift}`),
+            ...this.jobTypes.map(jobType => `jobType:${jobType}`),
+            'ageYears'
+        ];
+    }
+
+    /**
+     * One-hot encode a category; unknown or missing values encode as all zeros
+     * so they sit at the same distance from every category
+     */
+    oneHot(value, categories) {
+        return categories.map(category => (category === value ? 1 : 0));
+    }
+
+    /**
+     * Age of a job date in years relative to the reference date.
+     * Missing dates and dates after the reference date count as current.
+     */
+    ageInYears(jobDate) {
+        if (!jobDate || !this.referenceDate) return 0;
+
+        const ageMs = new Date(this.referenceDate) - new Date(jobDate);
+        return Math.max(0, ageMs / DAY_MS / 365);
+    }
+
+    /**
+     * Build the training vectors and labels
+     * @param {AggregateIndex} aggregates - Indexed historical records; group
+     *   averages follow its recency weighting
+     * @param {Array} machines - Machine IDs to include
+     * @returns {{features: Array<Array<number>>, labels: Array<string>}}
+     */
+    buildTrainingSet(aggregates, machines) {
+        const features = [];
+        const labels = [];
+
+        aggregates.groupBy(['workerId', 'machineId', 'shift', 'jobType'])
+            .filter(group => machines.includes(group.machineId))
+            .forEach(group => {
+                features.push([
+                    group.machineId,
+                    group.timeMinutes.mean,
+                    group.qualityScore.mean,
+                    group.weight,
+                    ...this.oneHot(group.shift, this.shifts),
+                    ...this.oneHot(group.jobType, this.jobTypes),
+                    group.meanAgeDays / 365
+                ]);
+                labels.push(group.workerId);
+            });
+
+        return { features, labels };
+    }
+
+    /**
+     * Build the query vector for a new job
+     * @param {Object} expected - { machineId, expectedTime, expectedQuality, experience }
+     * @param {Object} job - Optional job descriptor { shift, jobType, date }
+     * @returns {Array<number>}
+     */
+    buildQuery(expected, job = {}) {
+        return [
+            expected.machineId,
+            expected.expectedTime,
+            expected.expectedQuality,
+            expected.experience,
+            ...this.oneHot(job.shift, this.shifts),
+            ...this.oneHot(job.jobType, this.jobTypes),
+            this.ageInYears(job.date)
+        ];
+    }
+
+    toJSON() {
+        return {
+            shifts: this.shifts,
+            jobTypes: this.jobTypes,
+            referenceDate: this.referenceDate
+        };
+    }
+
+    static fromJSON(json) {
+        const pipeline = new FeaturePipeline();
+        pipeline.shifts = json.shifts;
+        pipeline.jobTypes = json.jobTypes;
+        pipeline.referenceDate = json.referenceDate;
+        return pipeline;
+    }
+}
+
+module.exports = FeaturePipeline;
@@ -0,0 +1,54 @@
+/**
+ * Outcome Probability
+ *
+ * Chance that a worker's next job meets a time limit or a quality threshold,
+ * from the predictive distribution of their estimates on the machine
+ * ({ mean, predictiveSd }, see EmpiricalBayes):
+ * - time is right-skewed and positive, so it is modelled as log-normal with
+ *   that mean and standard deviation
+ * - quality is modelled as normal
+ *
+ * With no spread at all, the probability is 1 or 0 depending on which side
+ * of the limit the mean falls.
+ */
+class OutcomeProbability {
+    // Standard normal CDF (Abramowitz & Stegun 7.1.26, error below 1.5e-7)
+    static normalCdf(z) {
+        const x = Math.abs(z) / Math.SQRT2;
+        const t = 1 / (1 + 0.3275911 * x);
+        const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) *
+            t * Math.exp(-x * x);
+        return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+    }
+
+    /**
+     * P(time ≤ limit)
+     * @param {Object} estimate - { mean, predictiveSd } in minutes
+     * @param {number} limit - Time limit in minutes
+     * @returns {number}
+     */
+    static timeWithin(estimate, limit) {
+        const { mean, predictiveSd } = estimate;
+        if (limit <= 0) return 0;
+        if (!(predictiveSd > 0) || mean <= 0) return mean <= limit ? 1 : 0;
+
+        // Log-normal parameters matching the mean and standard deviation
+        const sigmaSq = Math.log(1 + (predictiveSd * predictiveSd) / (mean * mean));
+        const mu = Math.log(mean) - sigmaSq / 2;
+        return OutcomeProbability.normalCdf((Math.log(limit) - mu) / Math.sqrt(sigmaSq));
+    }
+
+    /**
+     * P(quality ≥ threshold)
+     * @param {Object} estimate - { mean, predictiveSd } on the quality scale
+     * @param {number} threshold - Minimum quality
+     * @returns {number}
+     */
+    static qualityAtLeast(estimate, threshold) {
+        const { mean, predictiveSd } = estimate;
+        if (!(predictiveSd > 0)) return mean >= threshold ? 1 : 0;
+        return 1 - OutcomeProbability.normalCdf((threshold - mean) / predictiveSd);
+    }
+}
+
+module.exports = OutcomeProbability;
@@ -0,0 +1,189 @@
+const _ = require('lodash');
+const { MultivariateLinearRegression } = require('ml-regression');
+const { ModelNotTrainedError } = require('../errors');
+
+const Z_95 = 1.96;
+
+/**
+ * Performance Regressor
+ *
+ * Linear regression models that predict timeMinutes and qualityScore for a
+ * worker on a job, from machine, complexity, shift and job type.
+ *
+ * - Every worker with at least minWorkerRecords jobs gets their own pair of
+ *   models, which captures machine specialisation.
+ * - A pooled model, with the worker as an extra feature, covers workers with
+ *   little history and machines a worker has never used.
+ *
+ * Categories are dummy-coded against their first value. A missing category
+ * in a query is encoded with the training proportions, so it predicts the
+ * average over that category. Complexity is only modelled when the training
+ * records carry a varying `complexity` field.
+ *
+ * Estimates come with 95% prediction intervals:
+ *   estimate ± 1.96 * sqrt(sigma² + xᵀ·Cov(β)·x)
+ */
+class PerformanceRegressor {
+    /**
+     * @param {Object} options
+     * @param {number} [options.minWorkerRecords=30] - Jobs needed for a per-worker model
+     */
+    constructor(options = {}) {
+        this.minWorkerRecords = options.minWorkerRecords || 30;
+        this.encoding = null;
+        this.pooled = null;
+        this.perWorker = {};
+    }
+
+    /**
+     * Fit the pooled and per-worker models
+     * @param {Array} records - Historical job records
+     * @returns {PerformanceRegressor}
+     */
+    fit(records) {
+        const complexities = records.map(r => r.complexity).filter(c => typeof c === 'number');
+
+        this.encoding = {
+            machines: this.categories(records, 'machineId'),
+            shifts: this.categories(records, 'shift'),
+            jobTypes: this.categories(records, 'jobType'),
+            workers: this.categories(records, 'workerId'),
+            useComplexity: complexities.length === records.length && _.uniq(complexities).length > 1,
+            meanComplexity: complexities.length > 0 ? _.mean(complexities) : 3
+        };
+
+        this.pooled = this.fitPair(records, true);
+
+        this.perWorker = {};
+        _.forEach(_.groupBy(records, 'workerId'), (workerRecords, workerId) => {
+            if (workerRecords.length < this.minWorkerRecords) return;
+
+            const models = this.fitPair(workerRecords, false);
+            if (models) {
+                this.perWorker[workerId] = {
+                    ...models,
+                    machines: _.uniq(workerRecords.map(r => r.machineId))
+                };
+            }
+        });
+
+        return this;
+    }
+
+    // Category values with their training proportions
+    categories(records, field) {
+        const counts = _.countBy(records.filter(r => r[field] !== undefined), field);
+        const total = _.sum(Object.values(counts));
+
+        return Object.keys(counts).sort().map(value => ({
+            value,
+            share: counts[value] / total
+        }));
+    }
+
+    // Dummy-code a value against the first category
+    dummies(value, categories) {
+        const known = value !== undefined && value !== null &&
+            categories.some(c => c.value === String(value));
+
+        return categories.slice(1).map(c => {
+            if (!known) return c.share;
+            return c.value === String(value) ? 1 : 0;
+        });
+    }
+
+    encodeRow(record, includeWorker) {
+        const { machines, shifts, jobTypes, workers, useComplexity, meanComplexity } = this.encoding;
+        const complexity = typeof record.complexity === 'number' ? record.complexity : meanComplexity;
+
+        return [
+            ...this.dummies(record.machineId, machines),
+            ...(useComplexity ? [complexity] : []),
+            ...this.dummies(record.shift, shifts),
+            ...this.dummies(record.jobType, jobTypes),
+            ...(includeWorker ? this.dummies(record.workerId, workers) : [])
+        ];
+    }
+
+    fitPair(records, includeWorker) {
+        const x = records.map(r => this.encodeRow(r, includeWorker));
+
+        // Need more observations than coefficients (plus intercept) for a residual variance
+        if (x.length <= x[0].length + 1) return null;
+
+        return {
+            time: this.fitLinear(x, records.map(r => r.timeMinutes)),
+            quality: this.fitLinear(x, records.map(r => r.qualityScore))
+        };
+    }
+
+    fitLinear(x, y) {
+        const regression = new MultivariateLinearRegression(x, y.map(v => [v]));
+
+        return {
+            coefficients: regression.weights.map(w => w[0]), // intercept last
+            sigma: regression.stdError,
+            covariance: regression.stdErrorMatrix.to2DArray()
+        };
+    }
+
+    predictLinear(model, row) {
+        const x = [...row, 1];
+        const estimate = _.sum(x.map((v, i) => v * model.coefficients[i]));
+        const leverage = _.sum(x.map((vi, i) => vi * _.sum(x.map((vj, j) => vj * model.covariance[i][j]))));
+        const stdError = Math.sqrt(Math.pow(model.sigma, 2) + Math.max(0, leverage));
+
+        return {
+            estimate,
+            lower: estimate - Z_95 * stdError,
+            upper: estimate + Z_95 * stdError,
+            stdError
+        };
+    }
+
+    /**
+     * Predict time and quality for a worker on a job
+     * @param {string} workerId
+     * @param {Object} job - { machineId, complexity, shift, jobType }
+     * @returns {Object} { timeMinutes, qualityScore, model } where each estimate is
+     *   { estimate, lower, upper, stdError }
+     */
+    predict(workerId, job) {
+        if (!this.pooled) {
+            throw new ModelNotTrainedError('Regression models not fitted. Call fit() first.');
+        }
+
+        const own = this.perWorker[workerId];
+        const useOwn = own && own.machines.includes(job.machineId);
+        const models = useOwn ? own : this.pooled;
+        const row = this.encodeRow({ ...job, workerId }, !useOwn);
+
+        const timeMinutes = this.predictLinear(models.time, row);
+        timeMinutes.lower = Math.max(0, timeMinutes.lower);
+
+        return {
+            timeMinutes,
+            qualityScore: this.predictLinear(models.quality, row),
+            model: useOwn ? 'per-worker' : 'pooled'
+        };
+    }
+
+    toJSON() {
+        return {
+            minWorkerRecords: this.minWorkerRecords,
+            encoding: this.encoding,
+            pooled: this.pooled,
+            perWorker: this.perWorker
+        };
+    }
+
+    static fromJSON(json) {
+        const regressor = new PerformanceRegressor({ minWorkerRecords: json.minWorkerRecords });
+        regressor.encoding = json.encoding;
+        regressor.pooled = json.pooled;
+        regressor.perWorker = json.perWorker;
+        return regressor;
+    }
+}
+
+module.exports = PerformanceRegressor;
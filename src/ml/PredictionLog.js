@@ -0,0 +1,372 @@
+const _ = require('lodash');
+const fs = require('fs');
+const crypto = require('crypto');
+const { InvalidArgumentError, UnknownPredictionError, ConflictError } = require('../errors');
+
+// Why a supervisor assigned someone other than the recommended worker
+const OVERRIDE_REASONS = [
+    'unavailable', 'skill-gap', 'quality-concern', 'workload', 'training', 'customer-request', 'safety', 'other'
+];
+
+/**
+ * Prediction Log
+ *
+ * Remembers every prediction under an ID (pred- and a random UUID) so the
+ * real result of the job can be reported back later. IDs do not depend on
+ * saved state, so they stay unique across restarts and between processes
+ * sharing an audit log. For each prediction it keeps the strategy, the job
+ * and each candidate's estimated time and quality.
+ *
+ * An outcome { workerId, timeMinutes, qualityScore } is stored with the
+ * training record it produced and its error against the prediction:
+ * actual minus estimated, for the worker who actually did the job. When that
+ * worker was not among the candidates there is nothing to compare, and the
+ * error is null.
+ *
+ * The retraining policy says when enough has been learned to refit:
+ * - retrainEvery: after this many outcomes since the last retrain
+ * - maxTimeError / maxQualityError: when the mean absolute error of the
+ *   outcomes since the last retrain exceeds this, once at least minOutcomes
+ *   of them have an error
+ *
+ * A supervisor override records that someone other than the recommended
+ * worker got the job, with a reason code. Every recommendation is tallied by
+ * strategy, machine and worker, so override rates and how often a worker is
+ * rejected on a machine can be reported even after old predictions are dropped.
+ * Resetting a worker's rejection on a machine starts its count afresh: only
+ * the recommendations and overrides after the reset count.
+ *
+ * Only the newest maxPredictions predictions without an outcome or override
+ * are kept.
+ */
+class PredictionLog {
+    /**
+     * @param {Object} options
+     * @param {number|null} [options.retrainEvery=25] - Outcomes between retrains (null = never on count)
+     * @param {number|null} [options.maxTimeError=null] - Time MAE in minutes that triggers a retrain
+     * @param {number|null} [options.maxQualityError=null] - Quality MAE that triggers a retrain
+     * @param {number} [options.minOutcomes=5] - Outcomes with an error needed before the MAE limits apply
+     * @param {number} [options.maxPredictions=1000] - Pending predictions to keep
+     */
+    constructor(options = {}) {
+        this.retrainEvery = options.retrainEvery !== undefined ? options.retrainEvery : 25;
+        this.maxTimeError = options.maxTimeError !== undefined ? options.maxTimeError : null;
+        this.maxQualityError = options.maxQualityError !== undefined ? options.maxQualityError : null;
+        this.minOutcomes = options.minOutcomes !== undefined ? options.minOutcomes : 5;
+        this.maxPredictions = options.maxPredictions !== undefined ? options.maxPredictions : 1000;
+
+        this.predictions = {};
+        this.outcomes = [];
+        this.overrides = [];
+        this.recommendations = {}; // { strategy: { machineId: { workerId: count } } }
+        this.resets = {}; // { 'machineId|workerId': { timestamp, recommended, overrides } } counts at the last reset
+        this.retrainedAt = 0; // Outcomes recorded at the last retrain
+
+        ['retrainEvery', 'maxTimeError', 'maxQualityError'].forEach(name => {
+            const value = this[name];
+            if (value !== null && (typeof value !== 'number' || !(value > 0))) {
+                throw new InvalidArgumentError(`${name} must be a positive number or null`);
+            }
+        });
+    }
+
+    /**
+     * Log a prediction
+     * @param {string} strategy - Strategy that made it
+     * @param {Object} query - { machineId, complexity, maxTime, minQuality, job }
+     * @param {Object} prediction - The strategy's result
+     * @returns {string} The prediction ID
+     */
+    record(strategy, query, prediction) {
+        const predictionId = `pred-${crypto.randomUUID()}`;
+
+        this.predictions[predictionId] = {
+            predictionId,
+            timestamp: new Date().toISOString(),
+            strategy,
+            machineId: query.machineId,
+            complexity: query.complexity !== undefined ? query.complexity : null,
+            job: query.job || {},
+            recommendedWorker: prediction.recommendedWorker,
+            estimates: _.fromPairs((prediction.candidates || []).map(c => [
+                c.workerId,
+                { timeMinutes: c.estimatedTime, qualityScore: c.expectedQuality }
+            ])),
+            outcome: null,
+            override: null
+        };
+        if (prediction.recommendedWorker) {
+            const path = [strategy, query.machineId, prediction.recommendedWorker];
+            _.set(this.recommendations, path, _.get(this.recommendations, path, 0) + 1);
+        }
+        this.prune();
+
+        return predictionId;
+    }
+
+    static overrideReasons() {
+        return [...OVERRIDE_REASONS];
+    }
+
+    // Drop the oldest predictions with neither an outcome nor an override beyond maxPredictions
+    prune() {
+        const pending = Object.keys(this.predictions)
+            .filter(id => !this.predictions[id].outcome && !this.predictions[id].override);
+        pending.slice(0, Math.max(pending.length - this.maxPredictions, 0))
+            .forEach(id => delete this.predictions[id]);
+    }
+
+    get(predictionId) {
+        const prediction = this.predictions[predictionId];
+        if (!prediction) {
+            throw new UnknownPredictionError(`Unknown prediction ID "${predictionId}"`, { predictionId });
+        }
+        return prediction;
+    }
+
+    /**
+     * Store the real result of a prediction
+     * @param {string} predictionId
+     * @param {Object} record - The training record made from the outcome
+     * @returns {Object} The outcome entry: { predictionId, strategy, record, followedRecommendation, error }
+     */
+    recordOutcome(predictionId, record) {
+        const prediction = this.get(predictionId);
+        if (prediction.outcome) {
+            throw new ConflictError(`Prediction ${predictionId} already has an outcome (recorded ${prediction.outcome.timestamp})`, { predictionId });
+        }
+
+        const estimate = prediction.estimates[record.workerId];
+        const entry = {
+            predictionId,
+            timestamp: new Date().toISOString(),
+            strategy: prediction.strategy,
+            record,
+            followedRecommendation: record.workerId === prediction.recommendedWorker,
+            error: estimate ? {
+                timeMinutes: record.timeMinutes - estimate.timeMinutes,
+                qualityScore: Math.round((record.qualityScore - estimate.qualityScore) * 100) / 100
+            } : null
+        };
+
+        prediction.outcome = { timestamp: entry.timestamp, workerId: record.workerId };
+        this.outcomes.push(entry);
+        return entry;
+    }
+
+    /**
+     * Store a supervisor's decision to assign someone other than the recommended worker
+     * @param {string} predictionId
+     * @param {Object} override - { chosenWorker, reasonCode, supervisor, note }
+     * @returns {Object} The override entry: { predictionId, strategy, machineId, recommendedWorker,
+     *   chosenWorker, reasonCode, supervisor, note }
+     */
+    recordOverride(predictionId, override) {
+        const prediction = this.get(predictionId);
+        if (prediction.override) {
+            throw new ConflictError(`Prediction ${predictionId} was already overridden (to ${prediction.override.chosenWorker})`, { predictionId });
+        }
+        if (!prediction.recommendedWorker) {
+            throw new ConflictError(`Prediction ${predictionId} recommended nobody, so there is nothing to override`, { predictionId });
+        }
+        if (override.chosenWorker === prediction.recommendedWorker) {
+            throw new InvalidArgumentError(`${override.chosenWorker} is the recommended worker; an override must choose someone else`);
+        }
+        if (!OVERRIDE_REASONS.includes(override.reasonCode)) {
+            throw new InvalidArgumentError(`Unknown override reason "${override.reasonCode}". Use: ${OVERRIDE_REASONS.join(', ')}`);
+        }
+
+        const entry = {
+            predictionId,
+            timestamp: new Date().toISOString(),
+            strategy: prediction.strategy,
+            machineId: prediction.machineId,
+            recommendedWorker: prediction.recommendedWorker,
+            chosenWorker: override.chosenWorker,
+            reasonCode: override.reasonCode,
+            supervisor: override.supervisor || null,
+            note: override.note || null
+        };
+
+        prediction.override = { timestamp: entry.timestamp, chosenWorker: entry.chosenWorker, reasonCode: entry.reasonCode };
+        this.overrides.push(entry);
+        return entry;
+    }
+
+    /**
+     * How often a worker recommended for a machine was overridden, over all strategies,
+     * since the worker's last reset there
+     * @param {string} workerId
+     * @param {number} machineId
+     * @param {string|null} [since=null] - ISO timestamp; only count overrides from then on
+     * @returns {Object} { recommended, overridden, rate }
+     */
+    rejection(workerId, machineId, since = null) {
+        const reset = this.resets[`${machineId}|${workerId}`];
+        const recommended = _.sumBy(Object.values(this.recommendations),
+            machines => _.get(machines, [machineId, workerId], 0)) - (reset ? reset.recommended : 0);
+        const overridden = this.overrides.slice(reset ? reset.overrides : 0).filter(o =>
+            o.recommendedWorker === workerId && o.machineId === machineId && (!since || o.timestamp >= since)
+        ).length;
+        return { recommended, overridden, rate: recommended > 0 ? overridden / recommended : 0 };
+    }
+
+    /**
+     * Start a worker's rejection count on a machine afresh, e.g. after retraining
+     * @returns {Object} { workerId, machineId, timestamp, cleared }, with cleared the
+     *   rejection that was set aside
+     */
+    resetRejection(workerId, machineId) {
+        const cleared = this.rejection(workerId, machineId);
+        const timestamp = new Date().toISOString();
+        this.resets[`${machineId}|${workerId}`] = {
+            timestamp,
+            recommended: _.sumBy(Object.values(this.recommendations), machines => _.get(machines, [machineId, workerId], 0)),
+            overrides: this.overrides.length
+        };
+        return { workerId, machineId, timestamp, cleared };
+    }
+
+    /**
+     * Override rates by machine and by strategy, reason counts, and the workers
+     * most often rejected on each machine
+     * @returns {Object} { recommendations, overrides, rate, byMachine, byStrategy, byReason, rejections }
+     */
+    overrideReport() {
+        const rates = (recommended, overridden) => ({
+            recommendations: recommended,
+            overrides: overridden,
+            rate: recommended > 0 ? overridden / recommended : 0
+        });
+        const strategyTotals = _.mapValues(this.recommendations,
+            machines => _.sum(Object.values(machines).map(workers => _.sum(Object.values(workers)))));
+        const machineTotals = {};
+        const pairs = {};
+        _.forEach(this.recommendations, machines => _.forEach(machines, (workers, machineId) => {
+            _.forEach(workers, (count, workerId) => {
+                machineTotals[machineId] = (machineTotals[machineId] || 0) + count;
+                pairs[`${machineId}|${workerId}`] = { machineId: Number(machineId), workerId };
+            });
+        }));
+
+        const total = _.sum(Object.values(strategyTotals));
+        return {
+            ...rates(total, this.overrides.length),
+            byMachine: _.mapValues(machineTotals, (count, machineId) =>
+                rates(count, this.overrides.filter(o => String(o.machineId) === machineId).length)),
+            byStrategy: _.mapValues(strategyTotals, (count, strategy) =>
+                rates(count, this.overrides.filter(o => o.strategy === strategy).length)),
+            byReason: _.countBy(this.overrides, 'reasonCode'),
+            rejections: _.orderBy(Object.values(pairs)
+                .map(({ machineId, workerId }) => ({ workerId, machineId, ...this.rejection(workerId, machineId) }))
+                .filter(r => r.overridden > 0), ['rate', 'overridden'], ['desc', 'desc'])
+        };
+    }
+
+    // Training records of every outcome, for restoring them after a restart
+    trainingRecords() {
+        return this.outcomes.map(entry => entry.record);
+    }
+
+    /**
+     * Realized-vs-predicted error per strategy
+     * @param {Array} [outcomes] - Outcome entries to summarise (default: all)
+     * @returns {Object} { strategy: { outcomes, followed, compared, time: { mae, bias }, quality: { mae, bias } } }
+     */
+    errorSummary(outcomes = this.outcomes) {
+        return _.mapValues(_.groupBy(outcomes, 'strategy'), entries => {
+            const compared = entries.filter(entry => entry.error);
+            const stats = field => (compared.length > 0 ? {
+                mae: _.meanBy(compared, entry => Math.abs(entry.error[field])),
+                bias: _.meanBy(compared, entry => entry.error[field])
+            } : { mae: null, bias: null });
+
+            return {
+                outcomes: entries.length,
+                followed: entries.filter(entry => entry.followedRecommendation).length,
+                compared: compared.length,
+                time: stats('timeMinutes'),
+                quality: stats('qualityScore')
+            };
+        });
+    }
+
+    // Outcomes recorded since the model was last retrained
+    sinceRetrain() {
+        return this.outcomes.slice(this.retrainedAt);
+    }
+
+    /**
+     * Why the model should be retrained now, by the policy
+     * @returns {string|null} The reason, or null when no retrain is due
+     */
+    retrainReason() {
+        const recent = this.sinceRetrain();
+        if (recent.length === 0) return null;
+
+        if (this.retrainEvery !== null && recent.length >= this.retrainEvery) {
+            return `${recent.length} outcomes since the last retrain`;
+        }
+
+        const compared = recent.filter(entry => entry.error);
+        if (compared.length < this.minOutcomes) return null;
+
+        const limits = [
+            { field: 'timeMinutes', limit: this.maxTimeError, label: 'Time', unit: ' min' },
+            { field: 'qualityScore', limit: this.maxQualityError, label: 'Quality', unit: '' }
+        ];
+        for (const { field, limit, label, unit } of limits) {
+            const mae = _.meanBy(compared, entry => Math.abs(entry.error[field]));
+            if (limit !== null && mae > limit) {
+                return `${label} error ${mae.toFixed(2)}${unit} over the last ${compared.length} outcomes exceeds ${limit}${unit}`;
+            }
+        }
+        return null;
+    }
+
+    markRetrained() {
+        this.retrainedAt = this.outcomes.length;
+    }
+
+    policy() {
+        return {
+            retrainEvery: this.retrainEvery,
+            maxTimeError: this.maxTimeError,
+            maxQualityError: this.maxQualityError,
+            minOutcomes: this.minOutcomes
+        };
+    }
+
+    toJSON() {
+        return {
+            retrainedAt: this.retrainedAt,
+            recommendations: this.recommendations,
+            resets: this.resets,
+            predictions: this.predictions,
+            outcomes: this.outcomes,
+            overrides: this.overrides
+        };
+    }
+
+    // Restore saved predictions and outcomes under the given policy options
+    static fromJSON(json, options = {}) {
+        const log = new PredictionLog(options);
+        log.predictions = json.predictions || {};
+        log.outcomes = json.outcomes || [];
+        log.overrides = json.overrides || [];
+        log.recommendations = json.recommendations || {};
+        log.resets = json.resets || {};
+        log.retrainedAt = json.retrainedAt || 0;
+        return log;
+    }
+
+    save(filePath) {
+        fs.writeFileSync(filePath, JSON.stringify(this.toJSON(), null, 2));
+    }
+
+    static load(filePath, options = {}) {
+        return PredictionLog.fromJSON(JSON.parse(fs.readFileSync(filePath, 'utf8')), options);
+    }
+}
+
+module.exports = PredictionLog;
@@ -0,0 +1,159 @@
+const _ = require('lodash');
+const { InvalidArgumentError } = require('../errors');
+
+const SCALING_METHODS = ['zscore', 'minmax', 'none'];
+
+/**
+ * Preprocessor
+ *
+ * Rescales the raw vectors produced by the FeaturePipeline before they
+ * reach the KNN classifier, so that no single feature dominates the
+ * Euclidean distance:
+ * - machineId is optionally replaced by a one-hot block (machine:1, machine:2, ...)
+ * - continuous features are scaled with z-score or min-max
+ * - indicator features (names containing ':') are left as 0/1
+ * - every output column is multiplied by its weight
+ *
+ * Weights are keyed by feature name ('avgTime') or by indicator group
+ * ('machine', 'shift', 'jobType'); unlisted features weigh 1.
+ *
+ * The same fitted instance must transform both training and query vectors.
+ */
+class Preprocessor {
+    /**
+     * @param {Object} options
+     * @param {string} [options.scaling='zscore'] - 'zscore', 'minmax' or 'none'
+     * @param {boolean} [options.oneHotMachine=true] - Encode machineId as one-hot
+     * @param {Object} [options.weights={}] - Per-feature or per-group weights
+     */
+    constructor(options = {}) {
+        const { scaling = 'zscore', oneHotMachine = true, weights = {} } = options;
+
+        if (!SCALING_METHODS.includes(scaling)) {
+            throw new InvalidArgumentError(`Unknown scaling method: ${scaling}. Use one of: ${SCALING_METHODS.join(', ')}`);
+        }
+
+        this.scaling = scaling;
+        this.oneHotMachine = oneHotMachine;
+        this.weights = weights;
+        this.inputNames = [];
+        this.machines = [];
+        this.columns = [];
+    }
+
+    /**
+     * Learn scaling parameters from the training vectors
+     * @param {Array<Array<number>>} vectors - Raw training vectors
+     * @param {Array<string>} featureNames - Names of the raw vector components
+     * @param {Array<number>} machines - Machine IDs for the one-hot block
+     * @returns {Preprocessor}
+     */
+    fit(vectors, featureNames, machines) {
+        this.inputNames = featureNames;
+        this.machines = machines;
+
+        const expanded = vectors.map(vector => this.expand(vector));
+        const names = this.outputNames();
+
+        this.columns = names.map((name, index) => {
+            const values = expanded.map(row => row[index]);
+            return {
+                name,
+                ...this.scalingParams(name, values),
+                weight: this.weightFor(name)
+            };
+        });
+
+        return this;
+    }
+
+    /**
+     * Names of the transformed vector components, in order
+     * @returns {Array<string>}
+     */
+    outputNames() {
+        return _.flatMap(this.inputNames, name => {
+            if (name === 'machineId' && this.oneHotMachine) {
+                return this.machines.map(machineId => `machine:${machineId}`);
+            }
+            return [name];
+        });
+    }
+
+    isIndicator(name) {
+        return name.includes(':');
+    }
+
+    weightFor(name) {
+        if (this.weights[name] !== undefined) return this.weights[name];
+
+        const group = name.split(':')[0];
+        if (this.isIndicator(name) && this.weights[group] !== undefined) return this.weights[group];
+
+        return 1;
+    }
+
+    // Center/scale for one column; indicators and 'none' pass through unchanged
+    scalingParams(name, values) {
+        if (this.scaling === 'none' || this.isIndicator(name) || values.length === 0) {
+            return { center: 0, scale: 1 };
+        }
+
+        if (this.scaling === 'minmax') {
+            const min = _.min(values);
+            const range = _.max(values) - min;
+            return { center: min, scale: range > 0 ? range : 1 };
+        }
+
+        const mean = _.mean(values);
+        const std = Math.sqrt(_.mean(values.map(v => Math.pow(v - mean, 2))));
+        return { center: mean, scale: std > 0 ? std : 1 };
+    }
+
+    // Replace machineId with its one-hot block
+    expand(vector) {
+        return _.flatMap(this.inputNames, (name, index) => {
+            if (name === 'machineId' && this.oneHotMachine) {
+                return this.machines.map(machineId => (machineId === vector[index] ? 1 : 0));
+            }
+            return [vector[index]];
+        });
+    }
+
+    /**
+     * Transform one raw vector
+     * @param {Array<number>} vector
+     * @returns {Array<number>}
+     */
+    transform(vector) {
+        return this.expand(vector).map((value, index) => {
+            const { center, scale, weight } = this.columns[index];
+            return ((value - center) / scale) * weight;
+        });
+    }
+
+    transformAll(vectors) {
+        return vectors.map(vector => this.transform(vector));
+    }
+
+    toJSON() {
+        return {
+            scaling: this.scaling,
+            oneHotMachine: this.oneHotMachine,
+            weights: this.weights,
+            inputNames: this.inputNames,
+            machines: this.machines,
+            columns: this.columns
+        };
+    }
+
+    static fromJSON(json) {
+        const preprocessor = new Preprocessor(json);
+        preprocessor.inputNames = json.inputNames;
+        preprocessor.machines = json.machines;
+        preprocessor.columns = json.columns;
+        return preprocessor;
+    }
+}
+
+module.exports = Preprocessor;
@@ -0,0 +1,107 @@
+const { InvalidArgumentError } = require('../errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Recency Weighting
+ *
+ * Weights historical job records by age so per-worker/per-machine aggregates
+ * reflect how people perform now:
+ * - 'none': every job weighs 1 (the default)
+ * - 'half-life': a job's weight halves every halfLifeDays
+ * - 'window': jobs within the last windowDays weigh 1, older jobs are ignored
+ *
+ * Age is measured from the reference date: the most recent jobDate in the
+ * data unless one is given. Records without a jobDate count as current, as in
+ * the FeaturePipeline.
+ */
+class RecencyWeighting {
+    /**
+     * @param {Object} options
+     * @param {number} [options.halfLifeDays] - Use half-life decay
+     * @param {number} [options.windowDays] - Use a sliding window
+     * @param {string} [options.referenceDate] - YYYY-MM-DD; default: latest jobDate in the data
+     */
+    constructor(options = {}) {
+        const { halfLifeDays, windowDays, referenceDate = null } = options;
+
+        if (halfLifeDays !== undefined && windowDays !== undefined) {
+            throw new InvalidArgumentError('Recency weighting takes either halfLifeDays or windowDays, not both');
+        }
+        [['halfLifeDays', halfLifeDays], ['windowDays', windowDays]].forEach(([name, value]) => {
+            if (value !== undefined && !(typeof value === 'number' && value > 0)) {
+                throw new InvalidArgumentError(`${name} must be a positive number of days`);
+            }
+        });
+        if (referenceDate !== null && Number.isNaN(new Date(referenceDate).getTime())) {
+            throw new InvalidArgumentError(`Invalid referenceDate "${referenceDate}"`);
+        }
+
+        this.mode = halfLifeDays !== undefined ? 'half-life' : windowDays !== undefined ? 'window' : 'none';
+        this.halfLifeDays = halfLifeDays !== undefined ? halfLifeDays : null;
+        this.windowDays = windowDays !== undefined ? windowDays : null;
+        this.fixedReferenceDate = referenceDate;
+        this.referenceDate = referenceDate;
+    }
+
+    get enabled() {
+        return this.mode !== 'none';
+    }
+
+    /**
+     * Advance the reference date to the latest jobDate seen, unless one was configured
+     * @param {Array} records - Newly added job records
+     * @returns {RecencyWeighting}
+     */
+    update(records) {
+        if (this.fixedReferenceDate === null) {
+            records.forEach(r => {
+                if (r.jobDate && (this.referenceDate === null || r.jobDate > this.referenceDate)) {
+                    this.referenceDate = r.jobDate;
+                }
+            });
+        }
+        return this;
+    }
+
+    // Age of a job in days; missing dates and dates after the reference date count as current
+    ageInDays(jobDate) {
+        if (!jobDate || !this.referenceDate) return 0;
+        return Math.max(0, (new Date(this.referenceDate) - new Date(jobDate)) / DAY_MS);
+    }
+
+    weight(record) {
+        if (this.mode === 'none') return 1;
+
+        const age = this.ageInDays(record.jobDate);
+        return this.mode === 'half-life'
+            ? Math.pow(0.5, age / this.halfLifeDays)
+            : (age <= this.windowDays ? 1 : 0);
+    }
+
+    // Factor a half-life weight shrinks by when the reference date moves from one date to another
+    decay(fromDate, toDate) {
+        if (this.mode !== 'half-life' || !fromDate || !toDate) return 1;
+        return Math.pow(0.5, Math.max(0, new Date(toDate) - new Date(fromDate)) / DAY_MS / this.halfLifeDays);
+    }
+
+    // Settings as reported with predictions and stored with saved models
+    describe() {
+        if (this.mode === 'none') {
+            return { mode: 'none' };
+        }
+
+        const description = { mode: this.mode, referenceDate: this.referenceDate };
+        if (this.mode === 'half-life') {
+            description.halfLifeDays = this.halfLifeDays;
+        } else {
+            description.windowDays = this.windowDays;
+            description.since = this.referenceDate
+                ? new Date(new Date(this.referenceDate).getTime() - this.windowDays * DAY_MS).toISOString().slice(0, 10)
+                : null;
+        }
+        return description;
+    }
+}
+
+module.exports = RecencyWeighting;
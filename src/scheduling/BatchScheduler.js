@@ -0,0 +1,189 @@
+const _ = require('lodash');
+const { InvalidArgumentError } = require('../errors');
+
+/**
+ * Batch Scheduler
+ *
+ * Assigns a list of jobs to workers jointly, instead of picking the best
+ * worker for each job in isolation, so one top performer doesn't get
+ * every job in the shift.
+ *
+ * Each job comes with per-worker estimates ({ workerId, time, quality }).
+ * The scheduler:
+ * 1. Builds an assignment greedily by regret: the job that would lose the
+ *    most by not getting its best worker is placed first.
+ * 2. Improves it with local search (move one job, swap two jobs) until no
+ *    move lowers the objective.
+ *
+ * A worker's assigned time never exceeds shiftMinutes. Due times are met
+ * where possible; a job that can't be on time with any worker is still
+ * assigned and flagged as late. Each worker's jobs run earliest-due-first.
+ *
+ * Objectives:
+ * - 'time': minimise total estimated minutes
+ * - 'quality': maximise total expected quality (ties go to less time)
+ */
+class BatchScheduler {
+    /**
+     * @param {Object} options
+     * @param {number} [options.shiftMinutes=480] - Capacity of each worker
+     * @param {string} [options.objective='time'] - 'time' or 'quality'
+     * @param {number} [options.maxIterations=100] - Local search passes
+     */
+    constructor(options = {}) {
+        this.shiftMinutes = options.shiftMinutes || 480;
+        this.objective = options.objective || 'time';
+        this.maxIterations = options.maxIterations || 100;
+
+        if (!['time', 'quality'].includes(this.objective)) {
+            throw new InvalidArgumentError(`Invalid objective "${this.objective}". Use 'time' or 'quality'`);
+        }
+    }
+
+    // Objective contribution of one job/worker pair (lower is better)
+    cost(estimate) {
+        return this.objective === 'time'
+            ? estimate.time
+            : -estimate.quality + estimate.time * 1e-6;
+    }
+
+    // Earliest-due-first timeline for one worker's jobs
+    timeline(jobs) {
+        let clock = 0;
+        return _.sortBy(jobs, job => (job.dueMinutes === undefined || job.dueMinutes === null ? Infinity : job.dueMinutes))
+            .map(job => {
+                const start = clock;
+                clock += job.estimate.time;
+                const hasDue = job.dueMinutes !== undefined && job.dueMinutes !== null;
+                return { job, start, end: clock, onTime: !hasDue || clock <= job.dueMinutes };
+            });
+    }
+
+    lateCount(jobs) {
+        return this.timeline(jobs).filter(slot => !slot.onTime).length;
+    }
+
+    /**
+     * Assign jobs to workers
+     * @param {Array} jobs - { jobId, dueMinutes, ..., estimates: [{ workerId, time, quality }] }
+     * @param {Array} workers - Worker IDs available for the shift
+     * @returns {Object} { byWorker: { workerId: [job] }, unassigned: [{ job, reason }] }
+     */
+    schedule(jobs, workers) {
+        const byWorker = _.fromPairs(workers.map(workerId => [workerId, []]));
+        const load = workerId => _.sumBy(byWorker[workerId], j => j.estimate.time);
+        const unassigned = [];
+
+        const withEstimate = (job, estimate) => ({ ...job, estimate });
+        const fits = (workerId, job, strict) => {
+            if (load(workerId) + job.estimate.time > this.shiftMinutes) return false;
+            if (!strict) return true;
+            return this.lateCount([...byWorker[workerId], job]) === 0;
+        };
+
+        // Feasible options for a job, best first; deadline-respecting ones are preferred
+        const options = job => {
+            const candidates = job.estimates
+                .filter(e => byWorker[e.workerId])
+                .map(e => withEstimate(job, e));
+            const strict = candidates.filter(c => fits(c.estimate.workerId, c, true));
+            const relaxed = strict.length > 0 ? strict : candidates.filter(c => fits(c.estimate.workerId, c, false));
+            return _.sortBy(relaxed, c => this.cost(c.estimate));
+        };
+
+        let pending = jobs.filter(job => {
+            if (job.estimates.some(e => byWorker[e.workerId])) return true;
+            unassigned.push({ job, reason: 'No available worker has experience on this machine' });
+            return false;
+        });
+
+        // Greedy construction by regret
+        while (pending.length > 0) {
+            const ranked = pending.map(job => {
+                const opts = options(job);
+                const regret = opts.length > 1
+                    ? this.cost(opts[1].estimate) - this.cost(opts[0].estimate)
+                    : Infinity;
+                return { job, opts, regret };
+            });
+
+            const blocked = ranked.filter(r => r.opts.length === 0);
+            blocked.forEach(r => unassigned.push({ job: r.job, reason: 'No worker has capacity left in the shift' }));
+
+            const open = ranked.filter(r => r.opts.length > 0);
+            if (open.length === 0) break;
+
+            const next = _.maxBy(open, r => r.regret);
+            byWorker[next.opts[0].estimate.workerId].push(next.opts[0]);
+            pending = open.filter(r => r !== next).map(r => r.job);
+        }
+
+        this.improve(byWorker);
+
+        return { byWorker, unassigned };
+    }
+
+    // Local search: apply moves and swaps that reduce (late jobs, cost) until none helps
+    improve(byWorker) {
+        const workerIds = Object.keys(byWorker);
+        const score = ids => ({
+            late: _.sumBy(ids, id => this.lateCount(byWorker[id])),
+            cost: _.sumBy(ids, id => _.sumBy(byWorker[id], j => this.cost(j.estimate)))
+        });
+        const better = (a, b) => a.late < b.late || (a.late === b.late && a.cost < b.cost - 1e-9);
+        const withinCapacity = id => _.sumBy(byWorker[id], j => j.estimate.time) <= this.shiftMinutes;
+        const estimateFor = (job, workerId) => job.estimates.find(e => e.workerId === workerId);
+
+        // Try replacing the two workers' job lists; keep the change only if it helps
+        const attempt = (a, b, nextA, nextB) => {
+            const before = score([a, b]);
+            const [prevA, prevB] = [byWorker[a], byWorker[b]];
+            byWorker[a] = nextA;
+            byWorker[b] = nextB;
+            if (withinCapacity(a) && withinCapacity(b) && better(score([a, b]), before)) return true;
+            byWorker[a] = prevA;
+            byWorker[b] = prevB;
+            return false;
+        };
+
+        for (let iteration = 0; iteration < this.maxIterations; iteration++) {
+            let improved = false;
+
+            workerIds.forEach(from => {
+                workerIds.forEach(to => {
+                    if (from === to) return;
+
+                    // Move one job from -> to
+                    byWorker[from].slice().forEach(job => {
+                        const estimate = estimateFor(job, to);
+                        if (!estimate || !byWorker[from].includes(job)) return;
+                        if (attempt(from, to,
+                            byWorker[from].filter(j => j !== job),
+                            [...byWorker[to], { ...job, estimate }])) {
+                            improved = true;
+                        }
+                    });
+
+                    // Swap a pair of jobs between the two workers
+                    byWorker[from].slice().forEach(jobA => {
+                        byWorker[to].slice().forEach(jobB => {
+                            if (!byWorker[from].includes(jobA) || !byWorker[to].includes(jobB)) return;
+                            const estimateA = estimateFor(jobA, to);
+                            const estimateB = estimateFor(jobB, from);
+                            if (!estimateA || !estimateB) return;
+                            if (attempt(from, to,
+                                [...byWorker[from].filter(j => j !== jobA), { ...jobB, estimate: estimateB }],
+                                [...byWorker[to].filter(j => j !== jobB), { ...jobA, estimate: estimateA }])) {
+                                improved = true;
+                            }
+                        });
+                    });
+                });
+            });
+
+            if (!improved) break;
+        }
+    }
+}
+
+module.exports = BatchScheduler;
@@ -0,0 +1,105 @@
+const _ = require('lodash');
+const { InvalidArgumentError } = require('../errors');
+
+const MAINTENANCE_STATES = ['good', 'needs_maintenance', 'down'];
+
+/**
+ * Machine Registry
+ *
+ * The plant's machines: { id, name, type, complexity, maintenanceState }, as
+ * modelled by generateHistoricalData. It defines the valid machine IDs for
+ * predictions, the machineId bounds in the MCP tool schemas and the machine
+ * breakdowns in analytics.
+ *
+ * Machines come from config (data/machines.json) or from the `machines` list
+ * stored with the historical data; without either, machines 1-5 are used.
+ * Machine IDs seen in new historical records are registered with defaults.
+ */
+class MachineRegistry {
+    /**
+     * @param {Array} machines - Machine objects, or bare machine IDs
+     */
+    constructor(machines = []) {
+        this.machines = new Map();
+        machines.forEach(machine => this.register(machine));
+    }
+
+    // The original fixed set of machines 1-5
+    static withDefaults() {
+        return new MachineRegistry(_.range(1, 6));
+    }
+
+    /**
+     * Add or replace a machine
+     * @param {Object|number} machine - { id, name, type, complexity, maintenanceState } or an ID
+     * @returns {Object} The stored machine
+     */
+    register(machine) {
+        const spec = typeof machine === 'number' ? { id: machine } : machine;
+
+        if (!Number.isInteger(spec.id) || spec.id < 1) {
+            throw new InvalidArgumentError(`Invalid machine ID "${spec.id}". Machine IDs must be positive integers`);
+        }
+        if (spec.maintenanceState && !MAINTENANCE_STATES.includes(spec.maintenanceState)) {
+            throw new InvalidArgumentError(`Invalid maintenance state "${spec.maintenanceState}". Use: ${MAINTENANCE_STATES.join(', ')}`);
+        }
+
+        const stored = {
+            id: spec.id,
+            name: spec.name || `Machine ${spec.id}`,
+            type: spec.type || 'general',
+            complexity: typeof spec.complexity === 'number' ? spec.complexity : null,
+            maintenanceState: spec.maintenanceState || 'good'
+        };
+        this.machines.set(spec.id, stored);
+        return stored;
+    }
+
+    // Register an unknown ID with default details; returns true when it was new
+    ensure(machineId) {
+        if (this.has(machineId)) return false;
+        this.register(machineId);
+        return true;
+    }
+
+    has(machineId) {
+        return this.machines.has(machineId);
+    }
+
+    get(machineId) {
+        return this.machines.get(machineId) || null;
+    }
+
+    // Machine IDs in ascending order
+    ids() {
+        return Array.from(this.machines.keys()).sort((a, b) => a - b);
+    }
+
+    list() {
+        return this.ids().map(id => this.machines.get(id));
+    }
+
+    get size() {
+        return this.machines.size;
+    }
+
+    // Short description of the valid IDs, e.g. "1-14" or "1, 2, 7"
+    describeIds() {
+        const ids = this.ids();
+        if (ids.length === 0) return 'none';
+        const contiguous = ids[ids.length - 1] - ids[0] === ids.length - 1;
+        return contiguous ? `${ids[0]}-${ids[ids.length - 1]}` : ids.join(', ');
+    }
+
+    toJSON() {
+        return this.list();
+    }
+
+    static fromJSON(json) {
+        return new MachineRegistry(json || []);
+    }
+}
+
+MachineRegistry.MAINTENANCE_STATES = MAINTENANCE_STATES;
+
+module.exports = MachineRegistry;
@@ -0,0 +1,238 @@
+const _ = require('lodash');
+const fs = require('fs');
+const { InvalidArgumentError, UnknownTimeOffError } = require('../errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Start/end hour of each shift; a shift may wrap past midnight
+const DEFAULT_SHIFT_HOURS = {
+    morning: [6, 14],
+    afternoon: [14, 22],
+    night: [22, 6]
+};
+
+/**
+ * Worker Roster
+ *
+ * Holds who can take a job and when. Each worker entry records:
+ * - shifts: shift names the worker works (null = any shift)
+ * - timeOff: [{ id, start, end, reason }] periods the worker is away
+ * - currentLoad: jobs the worker is running right now
+ * - maxConcurrentJobs: jobs the worker can run at once
+ * - certifiedMachines: machine IDs the worker may operate (null = any machine)
+ *
+ * Workers without an entry are treated as always available, so an empty
+ * roster leaves assignments unchanged.
+ *
+ * A time slot is { machineId, shift, date, start, end }: dates are YYYY-MM-DD,
+ * start/end are ISO datetimes. When only start is given, the shift is taken
+ * from its hour.
+ */
+class WorkerRoster {
+    /**
+     * @param {Object} options
+     * @param {Object} [options.shiftHours] - { shiftName: [startHour, endHour] }
+     */
+    constructor(options = {}) {
+        this.shiftHours = { ...DEFAULT_SHIFT_HOURS, ...options.shiftHours };
+        this.entries = {};
+        this.nextTimeOffId = 1;
+    }
+
+    static defaultEntry(workerId) {
+        return {
+            workerId,
+            shifts: null,
+            timeOff: [],
+            currentLoad: 0,
+            maxConcurrentJobs: 1,
+            certifiedMachines: null
+        };
+    }
+
+    has(workerId) {
+        return Boolean(this.entries[workerId]);
+    }
+
+    // Roster entry for a worker, or the always-available default
+    get(workerId) {
+        return this.entries[workerId] || WorkerRoster.defaultEntry(workerId);
+    }
+
+    list() {
+        return Object.values(this.entries);
+    }
+
+    /**
+     * Create or update a worker's entry
+     * @param {string} workerId
+     * @param {Object} changes - Any of shifts, currentLoad, maxConcurrentJobs, certifiedMachines
+     * @returns {Object} Updated entry
+     */
+    upsert(workerId, changes = {}) {
+        if (!workerId) {
+            throw new InvalidArgumentError('workerId is required');
+        }
+
+        const { shifts, currentLoad, maxConcurrentJobs, certifiedMachines } = changes;
+
+        if (shifts !== undefined && shifts !== null) {
+            if (!Array.isArray(shifts) || shifts.some(s => !this.shiftHours[s])) {
+                throw new InvalidArgumentError(`Invalid shifts. Known shifts: ${Object.keys(this.shiftHours).join(', ')}`);
+            }
+        }
+        if (currentLoad !== undefined && !(Number.isInteger(currentLoad) && currentLoad >= 0)) {
+            throw new InvalidArgumentError('currentLoad must be a non-negative integer');
+        }
+        if (maxConcurrentJobs !== undefined && !(Number.isInteger(maxConcurrentJobs) && maxConcurrentJobs >= 1)) {
+            throw new InvalidArgumentError('maxConcurrentJobs must be a positive integer');
+        }
+        if (certifiedMachines !== undefined && certifiedMachines !== null) {
+            if (!Array.isArray(certifiedMachines) || certifiedMachines.some(m => !Number.isInteger(m))) {
+                throw new InvalidArgumentError('certifiedMachines must be an array of machine IDs');
+            }
+        }
+
+        const entry = { ...this.get(workerId) };
+        if (shifts !== undefined) entry.shifts = shifts;
+        if (currentLoad !== undefined) entry.currentLoad = currentLoad;
+        if (maxConcurrentJobs !== undefined) entry.maxConcurrentJobs = maxConcurrentJobs;
+        if (certifiedMachines !== undefined) entry.certifiedMachines = certifiedMachines;
+
+        this.entries[workerId] = entry;
+        return entry;
+    }
+
+    remove(workerId) {
+        const existed = this.has(workerId);
+        delete this.entries[workerId];
+        return existed;
+    }
+
+    /**
+     * Record a period the worker is away
+     * @param {string} workerId
+     * @param {Object} period - { start, end, reason }; date-only ends cover the whole day
+     * @returns {Object} The time-off record, with its id
+     */
+    addTimeOff(workerId, { start, end, reason = '' }) {
+        const startTime = this.parseTime(start, false);
+        const endTime = this.parseTime(end || start, true);
+
+        if (startTime === null || endTime === null) {
+            throw new InvalidArgumentError('Time off needs a valid start (and optional end) date');
+        }
+        if (endTime <= startTime) {
+            throw new InvalidArgumentError('Time off must end after it starts');
+        }
+
+        const entry = this.has(workerId) ? this.entries[workerId] : this.upsert(workerId);
+        const record = { id: this.nextTimeOffId++, start, end: end || start, reason };
+        entry.timeOff = [...entry.timeOff, record];
+        return record;
+    }
+
+    removeTimeOff(workerId, timeOffId) {
+        const entry = this.entries[workerId];
+        if (!entry || !entry.timeOff.some(t => t.id === timeOffId)) {
+            throw new UnknownTimeOffError(`Time off ${timeOffId} not found for worker ${workerId}`, { workerId, timeOffId });
+        }
+        entry.timeOff = entry.timeOff.filter(t => t.id !== timeOffId);
+        return entry;
+    }
+
+    // Milliseconds for a date or datetime; a date-only end means the end of that day
+    parseTime(value, isEnd) {
+        if (!value) return null;
+        const time = new Date(value).getTime();
+        if (Number.isNaN(time)) return null;
+        const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+        return dateOnly && isEnd ? time + DAY_MS : time;
+    }
+
+    // Shift whose hours contain the given time
+    shiftAt(value) {
+        const hour = new Date(value).getUTCHours();
+        return _.findKey(this.shiftHours, ([start, end]) =>
+            start < end ? hour >= start && hour < end : hour >= start || hour < end
+        ) || null;
+    }
+
+    // Resolve a requested slot to { machineId, shift, startTime, endTime }
+    resolveSlot(slot = {}) {
+        const startValue = slot.start || slot.date;
+        const startTime = this.parseTime(startValue, false);
+        const endTime = slot.end ? this.parseTime(slot.end, true) : this.parseTime(startValue, true);
+
+        return {
+            machineId: slot.machineId,
+            shift: slot.shift || (slot.start ? this.shiftAt(slot.start) : null),
+            startTime,
+            endTime: endTime !== null && endTime > startTime ? endTime : startTime
+        };
+    }
+
+    /**
+     * Check whether a worker can take a job in a slot
+     * @param {string} workerId
+     * @param {Object} slot - { machineId, shift, date, start, end }
+     * @returns {Object} { available, reasons }
+     */
+    checkAvailability(workerId, slot = {}) {
+        const entry = this.get(workerId);
+        const { machineId, shift, startTime, endTime } = this.resolveSlot(slot);
+        const reasons = [];
+
+        if (entry.certifiedMachines && machineId !== undefined && !entry.certifiedMachines.includes(machineId)) {
+            reasons.push(`Not certified for machine ${machineId}`);
+        }
+        if (entry.shifts && shift && !entry.shifts.includes(shift)) {
+            reasons.push(`Does not work the ${shift} shift`);
+        }
+        if (startTime !== null) {
+            const away = entry.timeOff.find(t => {
+                const offStart = this.parseTime(t.start, false);
+                const offEnd = this.parseTime(t.end, true);
+                return offStart < Math.max(endTime, startTime + 1) && offEnd > startTime;
+            });
+            if (away) {
+                reasons.push(`On time off ${away.start} to ${away.end}${away.reason ? ` (${away.reason})` : ''}`);
+            }
+        }
+        if (entry.currentLoad >= entry.maxConcurrentJobs) {
+            reasons.push(`At capacity (${entry.currentLoad}/${entry.maxConcurrentJobs} jobs)`);
+        }
+
+        return { available: reasons.length === 0, reasons };
+    }
+
+    // Worker IDs from the list that can take a job in the slot
+    filterAvailable(workerIds, slot = {}) {
+        return workerIds.filter(workerId => this.checkAvailability(workerId, slot).available);
+    }
+
+    toJSON() {
+        return {
+            shiftHours: this.shiftHours,
+            nextTimeOffId: this.nextTimeOffId,
+            workers: this.entries
+        };
+    }
+
+    static fromJSON(json) {
+        const roster = new WorkerRoster({ shiftHours: json.shiftHours });
+        roster.entries = json.workers || {};
+        roster.nextTimeOffId = json.nextTimeOffId || 1;
+        return roster;
+    }
+
+    save(filePath) {
+        fs.writeFileSync(filePath, JSON.stringify(this.toJSON(), null, 2));
+    }
+
+    static load(filePath) {
+        return WorkerRoster.fromJSON(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    }
+}
+
+module.exports = WorkerRoster;
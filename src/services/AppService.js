@@ -2,6 +2,7 @@ const DataService = require('./DataService');
 const MLService = require('./MLService');
 const DemoService = require('./DemoService');
 const MCPService = require('./MCPService');
+const { ServiceNotInitializedError } = require('../errors');
 
 class AppService {
     constructor() {
@@ -21,9 +22,10 @@ class AppService {
         try {
             // Load historical data
             const historicalData = await this.dataService.loadHistoricalData();
+            const machines = this.dataService.loadMachines();
             
             // Initialize ML service
-            await this.mlService.initialize(historicalData);
+            await this.mlService.initialize(historicalData, machines);
             
             // Initialize MCP service
             await this.mcpService.initialize();
@@ -39,7 +41,7 @@ class AppService {
      */
     async runDemo() {
         if (!this.mlService.isReady()) {
-            throw new Error('Application not initialized. Call initialize() first.');
+            throw new ServiceNotInitializedError('Application not initialized. Call initialize() first.');
         }
 
         await this.demoService.runFullDemo();
@@ -104,6 +106,7 @@ class AppService {
     async cleanup() {
         console.log('🧹 Cleaning up resources...');
         await this.mcpService.cleanup();
+        await this.mlService.cleanup();
     }
 }
 
@@ -0,0 +1,234 @@
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+
+/**
+ * Audit Service
+ *
+ * Durable, append-only record of every recommendation the system makes.
+ * Each line of the JSONL log is one entry:
+ * - prediction: the inputs, the model version (training timestamp and data
+ *   hash) and strategy, the candidates with their estimates and scores, and
+ *   the chosen worker
+ * - override: a supervisor replacing the chosen worker of an earlier
+ *   prediction, with who did it and why
+ *
+ * Entries are never rewritten. An override is a new line, and queries attach
+ * it to its prediction.
+ *
+ * When the current file reaches maxBytes it is renamed with a timestamp
+ * (predictions-2025-03-10T08-15-00-000Z.jsonl, a millisecond later if that
+ * name is taken) and a new one is started.
+ * Rotated files are kept unless maxFiles is set.
+ *
+ * Logging does not wait for the disk: entries are queued and appended in
+ * order, those logged in the same tick in one write. query() and flush()
+ * wait for the entries logged before them to be written.
+ */
+class AuditService {
+    /**
+     * @param {Object} options
+     * @param {string} [options.directory] - Log directory (default data/audit)
+     * @param {string} [options.baseName='predictions'] - Log file name without extension
+     * @param {number} [options.maxBytes=5242880] - Size at which the log is rotated
+     * @param {number|null} [options.maxFiles=null] - Rotated files to keep (null = all)
+     */
+    constructor(options = {}) {
+        this.directory = options.directory || path.join(__dirname, '..', '..', 'data', 'audit');
+        this.baseName = options.baseName || 'predictions';
+        this.maxBytes = options.maxBytes !== undefined ? options.maxBytes : 5 * 1024 * 1024;
+        this.maxFiles = options.maxFiles !== undefined ? options.maxFiles : null;
+        this.filePath = path.join(this.directory, `${this.baseName}.jsonl`);
+        this.lastRotation = 0; // Time in the name of the last file rotated, in ms
+        this.bytes = null; // Size of the current file with the queued lines; read on the first append
+        this.batch = null; // Lines queued for the next append: { text }
+        this.writing = Promise.resolve(); // Queued file operations, run one after another
+    }
+
+    /**
+     * Log a prediction
+     * @param {Object} entry - { predictionId, inputs, model, chosenWorker, candidates, ... }
+     * @returns {Object} The entry as written
+     */
+    recordPrediction(entry) {
+        return this.append({ type: 'prediction', ...entry, override: null });
+    }
+
+    /**
+     * Log a supervisor override of a prediction
+     * @param {string} predictionId
+     * @param {Object} override - { recommendedWorker, chosenWorker, reasonCode, supervisor, note }
+     * @returns {Object} The entry as written
+     */
+    recordOverride(predictionId, override) {
+        return this.append({ type: 'override', predictionId, ...override });
+    }
+
+    // Queue one entry as a line, rotating the file first when it is full, and return it as
+    // it will be written. The entry is stamped after rotating, and never before the rotation
+    // time in the last file's name, so no file holds an entry older than the previous file's stamp
+    append(entry) {
+        if (this.bytes === null) {
+            this.bytes = fs.existsSync(this.filePath) ? fs.statSync(this.filePath).size : 0;
+        }
+        if (this.bytes >= this.maxBytes) {
+            this.rotate();
+        }
+
+        const line = { timestamp: new Date(Math.max(Date.now(), this.lastRotation)).toISOString(), ...entry };
+        const text = JSON.stringify(line) + '\n';
+        if (!this.batch) {
+            // Lines logged before this write starts go out with it, in one append
+            const batch = this.batch = { text: '' };
+            this.enqueue(async () => {
+                if (this.batch === batch) this.batch = null;
+                await fsp.mkdir(this.directory, { recursive: true });
+                await fsp.appendFile(this.filePath, batch.text);
+            });
+        }
+        this.batch.text += text;
+        this.bytes += Buffer.byteLength(text);
+        return line;
+    }
+
+    // Queue renaming the current file, after the lines already queued for it are written
+    rotate() {
+        // Files rotated within the same millisecond get the next free one, so none is overwritten
+        let time = Math.max(Date.now(), this.lastRotation + 1);
+        const rotatedPath = () => path.join(this.directory, `${this.baseName}-${new Date(time).toISOString().replace(/[:.]/g, '-')}.jsonl`);
+        while (fs.existsSync(rotatedPath())) time++;
+        const target = rotatedPath();
+
+        this.lastRotation = time;
+        this.batch = null;
+        this.bytes = 0;
+        this.enqueue(async () => {
+            await fsp.rename(this.filePath, target);
+            if (this.maxFiles !== null) {
+                const rotated = await this.rotatedFiles();
+                await Promise.all(rotated.slice(0, Math.max(rotated.length - this.maxFiles, 0))
+                    .map(file => fsp.unlink(file)));
+            }
+        });
+    }
+
+    // Run a file operation after the ones queued before it. A failure is logged and
+    // does not stop the operations queued after it
+    enqueue(operation) {
+        this.writing = this.writing
+            .then(operation)
+            .catch(error => console.error('❌ Failed to write the audit log:', error.message));
+    }
+
+    // Resolves once every entry logged so far is written
+    flush() {
+        return this.writing;
+    }
+
+    // Rotated log files, oldest first
+    async rotatedFiles() {
+        let names;
+        try {
+            names = await fsp.readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        return names
+            .filter(name => name.startsWith(`${this.baseName}-`) && name.endsWith('.jsonl'))
+            .sort()
+            .map(name => path.join(this.directory, name));
+    }
+
+    /**
+     * Every log file, oldest first, with the time span its entries fall in
+     * @returns {Promise<Array>} [{ file, start, end }]: start is the previous file's rotation
+     *   time (null for the first), end the file's own (null for the current file)
+     */
+    async logFiles() {
+        const files = (await this.rotatedFiles()).map(file => ({ file, end: this.rotationTime(file) }));
+        if (await fsp.access(this.filePath).then(() => true, () => false)) {
+            files.push({ file: this.filePath, end: null });
+        }
+        return files.map((entry, index) => ({ ...entry, start: index > 0 ? files[index - 1].end : null }));
+    }
+
+    // Rotation time of a rotated file, as an ISO timestamp, read back from its name
+    rotationTime(file) {
+        const stamp = path.basename(file, '.jsonl').slice(this.baseName.length + 1);
+        const match = /^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/.exec(stamp);
+        return match ? `${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5]}Z` : null;
+    }
+
+    // Entries of one log file, oldest first; with a type, only the lines of that type are parsed
+    async readFile(file, type = null) {
+        return (await fsp.readFile(file, 'utf8'))
+            .split('\n')
+            .filter(line => line.trim().length > 0 && (!type || line.includes(`"type":"${type}"`)))
+            .map(line => JSON.parse(line))
+            .filter(entry => !type || entry.type === type);
+    }
+
+    /**
+     * Search the logged predictions, newest first, each with its latest override.
+     * Files are read newest first, and only until limit predictions match. Rotated
+     * files that end before from are not read; of files that start after to, only
+     * the override lines are parsed, as they may override predictions in range
+     * @param {Object} [filters]
+     * @param {string} [filters.from] - Earliest time, as a date (YYYY-MM-DD) or ISO datetime
+     * @param {string} [filters.to] - Latest time; a date includes the whole day
+     * @param {string} [filters.workerId] - Chosen worker, or the worker an override chose instead
+     * @param {number} [filters.machineId]
+     * @param {string} [filters.predictionId]
+     * @param {number} [filters.limit=100] - Entries to return
+     * @returns {Promise<Object>} { entries, more }: up to limit matches, and whether there are more
+     */
+    async query(filters = {}) {
+        const { from, to, workerId, machineId, predictionId } = filters;
+        const limit = filters.limit !== undefined ? filters.limit : 100;
+        const beforeFrom = time => Boolean(from) && time < from;
+        const afterTo = time => Boolean(to) && (to.length === 10 ? time.slice(0, 10) : time) > to;
+        const matches = entry => {
+            if (afterTo(entry.timestamp)) return false;
+            if (machineId !== undefined && machineId !== null && entry.inputs.machineId !== Number(machineId)) return false;
+            if (predictionId && entry.predictionId !== predictionId) return false;
+            if (workerId && entry.chosenWorker !== workerId &&
+                !(entry.override && entry.override.chosenWorker === workerId)) return false;
+            return true;
+        };
+
+        // One match past the limit tells whether there are more
+        const found = [];
+        const overrides = {}; // Latest override per prediction, from the files read so far
+        await this.flush();
+        const files = (await this.logFiles()).reverse();
+        const collectOverrides = entries => entries
+            .filter(entry => entry.type === 'override' && !overrides[entry.predictionId])
+            .forEach(entry => { overrides[entry.predictionId] = entry; });
+
+        for (const { file, start, end } of files) {
+            if (found.length > limit || (end && beforeFrom(end))) break;
+
+            // An override is logged after its prediction, so in the same file or a newer one
+            if (start && afterTo(start)) {
+                collectOverrides((await this.readFile(file, 'override')).reverse());
+                continue;
+            }
+            const entries = (await this.readFile(file)).reverse();
+            collectOverrides(entries);
+
+            for (const entry of entries) {
+                if (entry.type !== 'prediction') continue;
+                if (beforeFrom(entry.timestamp) || found.length > limit) break;
+
+                const withOverride = { ...entry, override: overrides[entry.predictionId] || null };
+                if (matches(withOverride)) found.push(withOverride);
+            }
+        }
+
+        return { entries: found.slice(0, limit), more: found.length > limit };
+    }
+}
+
+module.exports = AuditService;
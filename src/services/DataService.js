@@ -5,6 +5,27 @@ const { generateHistoricalData } = require('../../scripts/generateHistoricalData
 class DataService {
     constructor() {
         this.dataPath = path.join(__dirname, '..', '..', 'data', 'historical_data.json');
+        this.machinesPath = path.join(__dirname, '..', '..', 'data', 'machines.json');
+    }
+
+    /**
+     * Load the plant's machine list: data/machines.json when present,
+     * otherwise the machines stored with the historical data
+     * @returns {Array|null} Machines ({ id, name, type, complexity, maintenanceState }), or null for the defaults
+     */
+    loadMachines() {
+        if (fs.existsSync(this.machinesPath)) {
+            console.log('🏭 Loading machine config...');
+            const config = JSON.parse(fs.readFileSync(this.machinesPath, 'utf8'));
+            return Array.isArray(config) ? config : config.machines;
+        }
+
+        if (fs.existsSync(this.dataPath)) {
+            const data = JSON.parse(fs.readFileSync(this.dataPath, 'utf8'));
+            return data.machines || null;
+        }
+
+        return null;
     }
 
     /**
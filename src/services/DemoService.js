@@ -138,7 +138,7 @@ class DemoService {
     showMLEducationalInfo() {
         console.log('\n🧠 WHY THIS IS REAL MACHINE LEARNING:');
         console.log('====================================');
-        console.log('1. 🎯 Feature Engineering: Raw data → numerical features [machineId, avgTime, avgQuality, jobCount]');
+        console.log('1. 🎯 Feature Engineering: Raw data → numerical features [machineId, avgTime, avgQuality, jobCount, shift, jobType, recency]');
         console.log('2. 🏗️  Model Training: K-Nearest Neighbors algorithm learns patterns from historical data');
         console.log('3. 🔍 Pattern Recognition: Model finds similar historical jobs to predict outcomes');
         console.log('4. 🎲 Generalization: Makes predictions for NEW job combinations never seen before');
@@ -6,9 +6,9 @@
  * the MCP server and the existing service architecture.
  */
 
-const WorkerAssignmentMCPServer = require('../mcp/server');
 const path = require('path');
 const fs = require('fs').promises;
+const { WorkerAssignmentError } = require('../errors');
 
 class MCPService {
     constructor(appService) {
@@ -27,13 +27,20 @@ class MCPService {
         console.log('🔧 Initializing MCP Service...');
         
         try {
+            // Required here rather than at the top: server.js itself loads the app
+            // services, so a top-level require would see it half-loaded
+            const WorkerAssignmentMCPServer = require('../mcp/server');
+
             // Create MCP server instance with our app service
             this.mcpServer = new WorkerAssignmentMCPServer();
+            this.mcpServer.port = this.serverPort;
             
             // Override the server's app service with our existing one
             this.mcpServer.appService = this.appService;
             this.mcpServer.dataService = this.appService.dataService;
             this.mcpServer.mlService = this.appService.mlService;
+            // Machine ID bounds come from the loaded machine registry
+            this.mcpServer.tools = this.mcpServer.defineTools();
             
             console.log('✅ MCP Service initialized successfully');
         } catch (error) {
@@ -54,17 +61,14 @@ class MCPService {
         console.log('🚀 Starting MCP Server...');
         
         try {
-            // Note: The actual server startup is handled by the MCP server itself
-            // This method mainly tracks the state and provides hooks for monitoring
+            // Streamable HTTP at /mcp, plus the dashboard and REST/WebSocket routes.
+            // stdio needs a process of its own: run src/mcp/server.js --stdio
+            await this.mcpServer.startServer();
             this.isServerRunning = true;
             
-            console.log(`✅ MCP Server ready on stdio transport`);
-            console.log('📡 Available MCP endpoints:');
-            console.log('   - predict_worker_assignment');
-            console.log('   - get_worker_performance');
-            console.log('   - get_system_analytics');
-            console.log('   - add_training_data');
-            console.log('   - retrain_model');
+            console.log(`✅ MCP Server ready at http://localhost:${this.serverPort}/mcp (Streamable HTTP)`);
+            console.log('📡 Available MCP tools:');
+            this.mcpServer.tools.forEach(tool => console.log(`   - ${tool.name}`));
             
         } catch (error) {
             console.error('❌ Failed to start MCP Server:', error.message);
@@ -85,6 +89,7 @@ class MCPService {
         console.log('🛑 Stopping MCP Server...');
         
         try {
+            await this.mcpServer.stopServer();
             this.isServerRunning = false;
             console.log('✅ MCP Server stopped');
         } catch (error) {
@@ -137,25 +142,19 @@ class MCPService {
             serverPort: this.serverPort,
             totalInteractions: this.interactions.length,
             recentInteractions: this.getInteractionHistory(5),
-            capabilities: {
-                tools: [
-                    'predict_worker_assignment',
-                    'get_worker_performance', 
-                    'get_system_analytics',
-                    'add_training_data',
-                    'retrain_model'
-                ],
-                resources: [
-                    'worker-assignment://analytics/dashboard',
-                    'worker-assignment://data/training-summary',
-                    'worker-assignment://model/status'
-                ]
-            }
+            // Read from the server, so the list follows the tools and resources it registers
+            capabilities: this.mcpServer ? {
+                tools: this.mcpServer.tools.map(tool => tool.name),
+                resources: this.mcpServer.resources.map(resource => resource.uri),
+                resourceTemplates: this.mcpServer.resourceTemplates.map(template => template.uriTemplate)
+            } : { tools: [], resources: [], resourceTemplates: [] }
         };
     }
 
     /**
-     * Enhanced prediction with MCP logging
+     * Enhanced prediction with MCP logging.
+     * The interaction history below is short-lived; the durable record of
+     * every prediction is the audit log (see AuditService).
      */
     async predictWorkerWithLogging(machineId, complexity, includeAnalysis = false) {
         const startTime = Date.now();
@@ -168,14 +167,15 @@ class MCPService {
                 includeAnalysis
             });
 
-            // Make the prediction using our ML service
-            const prediction = await this.appService.mlService.predictBestWorker(machineId, complexity);
+            // Make the prediction using our ML service; it is written to the audit log
+            const prediction = this.appService.mlService.getMLSystem().predictWorkerML(machineId, complexity);
             
             const duration = Date.now() - startTime;
             
             // Log the response
             this.logInteraction('prediction_response', {
-                workerId: prediction.workerId,
+                predictionId: prediction.predictionId,
+                workerId: prediction.recommendedWorker,
                 estimatedTime: prediction.estimatedTime,
                 confidence: prediction.confidence,
                 duration: `${duration}ms`
@@ -186,6 +186,7 @@ class MCPService {
         } catch (error) {
             this.logInteraction('prediction_error', {
                 error: error.message,
+                code: WorkerAssignmentError.from(error).code,
                 duration: `${Date.now() - startTime}ms`
             });
             throw error;
@@ -219,7 +220,7 @@ class MCPService {
             mcpServers: {
                 "worker-assignment-ml": {
                     command: "node",
-                    args: [path.join(__dirname, "../mcp/server.js")],
+                    args: [path.join(__dirname, "../mcp/server.js"), "--stdio"],
                     env: {
                         NODE_ENV: process.env.NODE_ENV || "development"
                     }
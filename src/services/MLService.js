@@ -1,26 +1,42 @@
 const WorkerAssignmentML = require('../WorkerAssignmentML');
+const AuditService = require('./AuditService');
+const { ServiceNotInitializedError } = require('../errors');
 
 class MLService {
     constructor() {
-        this.mlSystem = new WorkerAssignmentML();
+        this.auditService = new AuditService(); // Every prediction is written to the audit log
+        this.mlSystem = new WorkerAssignmentML({ audit: this.auditService });
         this.isInitialized = false;
     }
 
     /**
-     * Initialize the ML system with historical data
+     * Initialize the ML system with historical data.
+     * Outcomes recorded against earlier predictions are added back as training data.
+     * Reuses the saved model when it was trained on the same data,
+     * otherwise trains a new one.
      * @param {Array} historicalData - Training data
+     * @param {Array} [machines] - Machine registry entries; defaults to machines 1-5
      */
-    async initialize(historicalData) {
+    async initialize(historicalData, machines = null) {
         if (this.isInitialized) {
             console.log('⚠️ ML Service already initialized');
             return;
         }
 
+        if (machines) {
+            this.mlSystem.loadMachines(machines);
+        }
         this.mlSystem.addHistoricalData(historicalData);
-        this.mlSystem.trainIfNeeded();
+        this.mlSystem.loadRoster();
+        this.mlSystem.loadPredictionLog();
+        const trained = this.mlSystem.trainIfNeeded();
         this.isInitialized = true;
 
-        console.log('\n🎓 Model Training Complete!');
+        if (trained) {
+            console.log('\n🎓 Model Training Complete!');
+        } else {
+            console.log('\n📂 Saved Model Restored!');
+        }
         console.log('============================');
     }
 
@@ -29,7 +45,7 @@ class MLService {
      */
     async retrain() {
         if (!this.isInitialized) {
-            throw new Error('ML Service not initialized. Call initialize() first.');
+            throw new ServiceNotInitializedError('ML Service not initialized. Call initialize() first.');
         }
         
         console.log('🔄 Force retraining model...');
@@ -42,11 +58,20 @@ class MLService {
      */
     getMLSystem() {
         if (!this.isInitialized) {
-            throw new Error('ML Service not initialized. Call initialize() first.');
+            throw new ServiceNotInitializedError('ML Service not initialized. Call initialize() first.');
         }
         return this.mlSystem;
     }
 
+    /**
+     * Write prediction log changes that are still waiting for their batched save,
+     * and audit entries still queued for the log file
+     */
+    async cleanup() {
+        this.mlSystem.flushPredictionLog();
+        await this.auditService.flush();
+    }
+
     /**
      * Check if service is ready
      * @returns {boolean}
@@ -63,9 +88,17 @@ class MLService {
         return {
             initialized: this.isInitialized,
             modelTrained: this.mlSystem.isModelTrained,
+            modelTimestamp: this.mlSystem.modelMetadata ? this.mlSystem.modelMetadata.timestamp : null,
+            dataHash: this.mlSystem.modelMetadata ? this.mlSystem.modelMetadata.dataHash : null,
+            strategies: this.mlSystem.strategyNames,
+            defaultStrategy: this.mlSystem.defaultStrategy,
+            recency: this.mlSystem.recency.describe(),
             workers: this.mlSystem.workers.length,
             trainingRecords: this.mlSystem.trainingData.length,
-            machines: this.mlSystem.machines.length
+            recordedOutcomes: this.mlSystem.predictionLog.outcomes.length,
+            machines: this.mlSystem.machines.length,
+            machinesNeedingMaintenance: this.mlSystem.machineRegistry.list()
+                .filter(m => m.maintenanceState !== 'good').map(m => m.id)
         };
     }
 }
@@ -0,0 +1,307 @@
+const _ = require('lodash');
+const KNN = require('ml-knn');
+const ModelStrategy = require('./ModelStrategy');
+const FeaturePipeline = require('../ml/FeaturePipeline');
+const Preprocessor = require('../ml/Preprocessor');
+
+/**
+ * KNN Strategy
+ *
+ * Classifies a job onto the worker whose historical worker/machine/shift/jobType
+ * profiles lie nearest to an idealised profile for the job.
+ *
+ * explain() lists the k profiles that voted, their distances and how much
+ * each scaled feature contributed to them.
+ *
+ * Options:
+ * - k: number of neighbours (default 3)
+ * - preprocessing: Preprocessor options (scaling, oneHotMachine, weights)
+ */
+class KNNStrategy extends ModelStrategy {
+    constructor(options = {}) {
+        super({
+            k: 3,
+            ...options,
+            preprocessing: { scaling: 'zscore', oneHotMachine: true, weights: {}, ...options.preprocessing }
+        });
+        this.model = null;
+        this.featurePipeline = new FeaturePipeline();
+        this.preprocessor = new Preprocessor(this.options.preprocessing);
+        this.featureVectors = [];
+        this.featureLabels = [];
+        this.scaledVectors = [];
+    }
+
+    fit(context) {
+        // Create feature matrix per worker/machine/shift/jobType group:
+        // [machineId, avgTime, avgQuality, jobCount, ...shift, ...jobType, ageYears]
+        this.featurePipeline = new FeaturePipeline().fit(context.aggregates);
+        const { features, labels } = this.featurePipeline.buildTrainingSet(context.aggregates, context.machines);
+
+        // Scale/encode features so no single one dominates the distance
+        this.preprocessor = new Preprocessor(this.options.preprocessing)
+            .fit(features, this.featurePipeline.featureNames(), context.machines);
+
+        // Keep the raw vectors so the model can be persisted
+        this.featureVectors = features;
+        this.featureLabels = labels;
+        this.buildModel();
+        this.isFitted = true;
+
+        context.log(`KNN model trained with ${features.length} feature vectors`);
+    }
+
+    buildModel() {
+        this.scaledVectors = this.preprocessor.transformAll(this.featureVectors);
+        this.model = new KNN(this.scaledVectors, this.featureLabels, { k: this.options.k });
+    }
+
+    // The k training profiles the model votes with for a scaled query, nearest first.
+    // Each neighbour's squared distance is split into per-feature contributions
+    nearestNeighbours(scaledQuery) {
+        const names = this.featurePipeline.featureNames();
+        const scaledNames = this.preprocessor.outputNames();
+
+        return this.model.kdTree.nearest(scaledQuery, this.model.k)
+            .map(([point]) => {
+                // The KD-tree stores copies with the label appended; find the original profile
+                const label = point[point.length - 1];
+                const index = this.scaledVectors.findIndex((vector, i) =>
+                    this.featureLabels[i] === label && vector.every((value, j) => value === point[j]));
+                const scaled = this.scaledVectors[index];
+
+                const squares = scaledNames.map((feature, j) => Math.pow(scaledQuery[j] - scaled[j], 2));
+                const squaredDistance = _.sum(squares);
+                const features = _.zipObject(names, this.featureVectors[index]);
+
+                return {
+                    workerId: label,
+                    machineId: features.machineId,
+                    features,
+                    distance: Math.sqrt(squaredDistance),
+                    contributions: _.orderBy(scaledNames.map((feature, j) => ({
+                        feature,
+                        squaredDifference: squares[j],
+                        share: squaredDistance > 0 ? squares[j] / squaredDistance : 0
+                    })), 'squaredDifference', 'desc')
+                };
+            })
+            .sort((a, b) => a.distance - b.distance)
+            .map((neighbour, index) => ({ rank: index + 1, ...neighbour }));
+    }
+
+    // Neighbours per worker, most votes first. ml-knn settles a tied vote by
+    // KD-tree order rather than distance, so the model's pick leads its tie
+    voteTally(neighbours, predictedWorker) {
+        const tally = _.countBy(neighbours, 'workerId');
+        return _.orderBy(
+            Object.keys(tally).map(workerId => ({
+                workerId,
+                votes: tally[workerId],
+                meanDistance: _.meanBy(neighbours.filter(n => n.workerId === workerId), 'distance'),
+                chosen: workerId === predictedWorker
+            })),
+            ['votes', 'chosen', 'meanDistance'],
+            ['desc', 'desc', 'asc']
+        );
+    }
+
+    // Each scaled feature's share of the neighbours' total squared distance
+    featureContributions(neighbours) {
+        const total = _.sumBy(neighbours, n => Math.pow(n.distance, 2));
+
+        return _.orderBy(this.preprocessor.outputNames().map(feature => {
+            const squaredDifference = _.sumBy(neighbours, n => _.find(n.contributions, { feature }).squaredDifference);
+            return {
+                feature,
+                meanSquaredDifference: squaredDifference / neighbours.length,
+                share: total > 0 ? squaredDifference / total : 0
+            };
+        }), 'share', 'desc');
+    }
+
+    // Query vector for a job; complexity sets the idealised time/quality
+    // Features: [machineId, expectedTime, expectedQuality, experience, ...shift, ...jobType, ageYears]
+    buildQuery(query) {
+        const expectedTime = 10 + (query.complexity * 5); // Base time + complexity factor
+        const expectedQuality = Math.max(5, 10 - query.complexity); // Higher complexity = potentially lower quality
+        const minExperience = 5; // Minimum experience threshold
+
+        return this.featurePipeline.buildQuery({
+            machineId: query.machineId,
+            expectedTime,
+            expectedQuality,
+            experience: minExperience
+        }, query.job);
+    }
+
+    predict(context, rawQuery) {
+        const query = this.normalizeQuery(rawQuery);
+        const { machineId, complexity, job, enableDebug } = query;
+
+        if (enableDebug) {
+            console.log('\n🤖 MACHINE LEARNING PREDICTION');
+            console.log('===============================');
+            console.log(`Input: Machine ${machineId}, Complexity ${complexity}`);
+            console.log(`Job context: shift=${job.shift || 'any'}, type=${job.jobType || 'any'}, date=${job.date || 'now'}`);
+        }
+
+        const queryFeatures = this.buildQuery(query);
+
+        if (enableDebug) {
+            const names = this.featurePipeline.featureNames();
+            console.log(`Feature vector: [${queryFeatures.map((v, i) => `${names[i]}=${v}`).join(', ')}]`);
+        }
+
+        // Use KNN to predict the best worker, with the query scaled like the training vectors
+        const predictedWorker = this.model.predict([this.preprocessor.transform(queryFeatures)])[0];
+
+        if (enableDebug) {
+            console.log(`🎯 KNN Model prediction: ${predictedWorker}`);
+            console.log(`📍 Using K=${this.model.k} nearest neighbors:`);
+            this.nearestNeighbours(this.preprocessor.transform(queryFeatures)).forEach(neighbour => {
+                const top = neighbour.contributions.slice(0, 2)
+                    .map(c => `${c.feature} ${(c.share * 100).toFixed(0)}%`).join(', ');
+                console.log(`   ${neighbour.rank}. ${neighbour.workerId} on machine ${neighbour.machineId}: ` +
+                    `distance ${neighbour.distance.toFixed(3)} (${top})`);
+            });
+        }
+
+        // Get statistics for the available workers on this machine
+        const workerStats = context.getCandidateStatistics(machineId, job);
+        const predictedWorkerStats = workerStats.find(w => w.workerId === predictedWorker);
+
+        // A predicted worker who is available but has never used the machine gets
+        // an extrapolated estimate rather than being swapped out
+        const coldStart = predictedWorkerStats
+            ? null
+            : context.getColdStartCandidates(machineId, job).find(w => w.workerId === predictedWorker);
+        if (coldStart) {
+            return this.predictColdStart(context, query, coldStart, workerStats);
+        }
+
+        if (!predictedWorkerStats) {
+            if (enableDebug) {
+                console.log(`⚠️  Predicted worker ${predictedWorker} is unavailable or has no experience on machine ${machineId}`);
+                console.log('Falling back to statistical method...');
+            }
+            // Fall back to statistical method; run directly so only the outer
+            // predict() call records the prediction
+            return context.getStrategy('statistical').predict(context, { ...query, maxTime: null, minQuality: null });
+        }
+
+        // Confidence from the width of the worker's credible intervals on this machine
+        const confidence = context.posteriorConfidence(predictedWorkerStats);
+
+        // Conditional time/quality estimates for every candidate on this job
+        const estimates = context.estimateCandidates(workerStats, machineId, complexity, job);
+        const predictedEstimate = estimates.find(e => e.workerId === predictedWorker);
+        const others = estimates
+            .filter(e => e.workerId !== predictedWorker)
+            .sort((a, b) => (b.expectedQuality / b.estimatedTime) - (a.expectedQuality / a.estimatedTime));
+
+        if (enableDebug) {
+            console.log(`✅ ML Prediction complete:`);
+            console.log(`   Worker: ${predictedWorker}`);
+            console.log(`   Confidence: ${(confidence * 100).toFixed(1)}%`);
+            console.log(`   Based on ${predictedWorkerStats.jobCount} historical jobs`);
+            if (predictedEstimate.timeInterval) {
+                console.log(`   Estimate (${predictedEstimate.estimateModel} regression): ` +
+                    `${predictedEstimate.estimatedTime}min [${predictedEstimate.timeInterval.lower}-${predictedEstimate.timeInterval.upper}], ` +
+                    `quality ${predictedEstimate.expectedQuality} [${predictedEstimate.qualityInterval.lower}-${predictedEstimate.qualityInterval.upper}]`);
+            }
+            console.log('===============================\n');
+        }
+
+        return {
+            strategy: 'knn',
+            recommendedWorker: predictedWorker,
+            estimatedTime: predictedEstimate.estimatedTime,
+            expectedQuality: predictedEstimate.expectedQuality,
+            timeInterval: predictedEstimate.timeInterval,
+            qualityInterval: predictedEstimate.qualityInterval,
+            estimateModel: predictedEstimate.estimateModel,
+            confidence: confidence,
+            method: 'KNN Machine Learning',
+            contextMatched: predictedWorkerStats.contextMatched,
+            alternativeWorkers: others.slice(0, 3),
+            candidates: [predictedEstimate, ...others]
+        };
+    }
+
+    // Prediction for a worker with no history on the machine, labelled as an extrapolation
+    predictColdStart(context, query, coldStart, workerStats) {
+        const { machineId, complexity, job, enableDebug } = query;
+        const predictedEstimate = context.formatColdStart(coldStart.coldStart);
+        const others = context.estimateCandidates(workerStats, machineId, complexity, job)
+            .sort((a, b) => (b.expectedQuality / b.estimatedTime) - (a.expectedQuality / a.estimatedTime));
+
+        if (enableDebug) {
+            console.log(`🧊 Predicted worker ${coldStart.workerId} has no history on machine ${machineId}`);
+            console.log(`   Extrapolated (${predictedEstimate.extrapolation.method}): ` +
+                `${predictedEstimate.estimatedTime}min [${predictedEstimate.timeInterval.lower}-${predictedEstimate.timeInterval.upper}], ` +
+                `quality ${predictedEstimate.expectedQuality} [${predictedEstimate.qualityInterval.lower}-${predictedEstimate.qualityInterval.upper}]`);
+            console.log(`   Confidence: ${(coldStart.coldStart.confidence * 100).toFixed(1)}%`);
+            console.log('===============================\n');
+        }
+
+        return {
+            strategy: 'knn',
+            recommendedWorker: coldStart.workerId,
+            estimatedTime: predictedEstimate.estimatedTime,
+            expectedQuality: predictedEstimate.expectedQuality,
+            timeInterval: predictedEstimate.timeInterval,
+            qualityInterval: predictedEstimate.qualityInterval,
+            estimateModel: predictedEstimate.estimateModel,
+            confidence: coldStart.coldStart.confidence,
+            method: 'KNN Machine Learning (cold-start extrapolation)',
+            contextMatched: false,
+            extrapolated: true,
+            extrapolation: predictedEstimate.extrapolation,
+            alternativeWorkers: others.slice(0, 3),
+            candidates: [predictedEstimate, ...others]
+        };
+    }
+
+    explain(context, rawQuery) {
+        const query = this.normalizeQuery(rawQuery);
+        const queryFeatures = this.buildQuery(query);
+        const scaled = this.preprocessor.transform(queryFeatures);
+        const neighbours = this.nearestNeighbours(scaled);
+        const predictedWorker = this.model.predict([scaled])[0];
+
+        return {
+            strategy: 'knn',
+            k: this.options.k,
+            featureNames: this.featurePipeline.featureNames(),
+            queryVector: queryFeatures,
+            scaledFeatureNames: this.preprocessor.outputNames(),
+            scaledQueryVector: scaled,
+            predictedWorker,
+            neighbours,
+            votes: this.voteTally(neighbours, predictedWorker),
+            featureContributions: this.featureContributions(neighbours)
+        };
+    }
+
+    serialize() {
+        return {
+            featureNames: this.featurePipeline.featureNames(),
+            features: this.featureVectors,
+            labels: this.featureLabels,
+            pipeline: this.featurePipeline.toJSON(),
+            preprocessing: this.preprocessor.toJSON()
+        };
+    }
+
+    deserialize(state) {
+        this.featureVectors = state.features;
+        this.featureLabels = state.labels;
+        this.featurePipeline = FeaturePipeline.fromJSON(state.pipeline);
+        this.preprocessor = Preprocessor.fromJSON(state.preprocessing);
+        this.buildModel();
+        this.isFitted = true;
+    }
+}
+
+module.exports = KNNStrategy;
@@ -0,0 +1,101 @@
+const _ = require('lodash');
+
+/**
+ * Model Strategy
+ *
+ * Base class for the worker ranking models that WorkerAssignmentML can use.
+ * A strategy is created with its options, fitted on the ML system's training
+ * data, and then asked for predictions and explanations.
+ *
+ * The `context` passed to every method is the WorkerAssignmentML instance,
+ * which gives access to trainingData, aggregates (the AggregateIndex over
+ * it), workers, machines and shared helpers such as getCandidateStatistics():
+ * the stats of experienced workers who are available for the job (see WorkerRoster).
+ *
+ * A `query` describes one job:
+ *   { machineId, complexity = 3, maxTime = null, minQuality = null, minProbability = null,
+ *     relaxation = null, job = {}, scoring = null, enableDebug = false }
+ * where minProbability is how likely a worker must be to meet maxTime and
+ * minQuality, relaxation is the RelaxationPolicy (or its options) for when
+ * nobody does, and scoring is a ScoringPolicy (or preset name / options) for
+ * strategies that rank candidates by score; see supportsScoring().
+ *
+ * predict() returns the common prediction shape:
+ *   { strategy, method, recommendedWorker, estimatedTime, expectedQuality,
+ *     confidence, alternativeWorkers, candidates }
+ * where candidates is the full ranked list of { workerId, estimatedTime, expectedQuality, ... }.
+ */
+class ModelStrategy {
+    constructor(options = {}) {
+        this.options = options;
+        this.isFitted = false;
+    }
+
+    /**
+     * Fit the strategy on the context's training data
+     * @param {WorkerAssignmentML} context
+     */
+    fit(context) {
+        throw new Error(`${this.constructor.name} does not implement fit()`);
+    }
+
+    /**
+     * Recommend a worker for a job
+     * @param {WorkerAssignmentML} context
+     * @param {Object} query
+     * @returns {Object} Prediction
+     */
+    predict(context, query) {
+        throw new Error(`${this.constructor.name} does not implement predict()`);
+    }
+
+    /**
+     * Describe how the strategy reaches its recommendation for a job
+     * @param {WorkerAssignmentML} context
+     * @param {Object} query
+     * @returns {Object} Explanation
+     */
+    explain(context, query) {
+        throw new Error(`${this.constructor.name} does not implement explain()`);
+    }
+
+    /**
+     * Whether predict() ranks candidates by the query's ScoringPolicy
+     * @returns {boolean}
+     */
+    supportsScoring() {
+        return false;
+    }
+
+    /**
+     * Fitted state as plain JSON, restored with deserialize()
+     * @returns {Object}
+     */
+    serialize() {
+        return {};
+    }
+
+    /**
+     * Restore fitted state produced by serialize()
+     * @param {Object} state
+     */
+    deserialize(state) {
+        this.isFitted = true;
+    }
+
+    // Fill in the query defaults every strategy assumes
+    normalizeQuery(query) {
+        return _.defaults({}, query, {
+            complexity: 3,
+            maxTime: null,
+            minQuality: null,
+            minProbability: null,
+            relaxation: null,
+            job: {},
+            scoring: null,
+            enableDebug: false
+        });
+    }
+}
+
+module.exports = ModelStrategy;
@@ -0,0 +1,172 @@
+const ModelStrategy = require('./ModelStrategy');
+const PerformanceRegressor = require('../ml/PerformanceRegressor');
+
+/**
+ * Regression Strategy
+ *
+ * Predicts time and quality for every available worker with history on the
+ * machine from the PerformanceRegressor, and recommends the one that scores
+ * best on those predictions under the query's ScoringPolicy (default:
+ * efficiency, quality / time). Confidence shrinks as the time prediction
+ * interval widens.
+ *
+ * Options:
+ * - minWorkerRecords: jobs needed for a per-worker model (default 30)
+ */
+class RegressionStrategy extends ModelStrategy {
+    constructor(options = {}) {
+        super({ minWorkerRecords: 30, ...options });
+        this.regressor = null;
+    }
+
+    fit(context) {
+        this.regressor = new PerformanceRegressor({ minWorkerRecords: this.options.minWorkerRecords })
+            .fit(context.trainingData);
+        this.isFitted = true;
+
+        context.log(`Regression models trained (${Object.keys(this.regressor.perWorker).length} per-worker + pooled)`);
+    }
+
+    /**
+     * Raw regression estimate for a worker on a job
+     * @returns {Object} { timeMinutes, qualityScore, model }
+     */
+    estimate(workerId, machineId, complexity = 3, job = {}) {
+        return this.regressor.predict(workerId, {
+            machineId,
+            complexity,
+            shift: job.shift,
+            jobType: job.jobType
+        });
+    }
+
+    // Shape a regression estimate like the prediction output fields
+    formatEstimate(workerId, estimate) {
+        const round1 = value => Math.round(value * 10) / 10;
+
+        return {
+            workerId,
+            estimatedTime: Math.round(estimate.timeMinutes.estimate),
+            expectedQuality: round1(estimate.qualityScore.estimate),
+            timeInterval: {
+                lower: round1(estimate.timeMinutes.lower),
+                upper: round1(estimate.timeMinutes.upper)
+            },
+            qualityInterval: {
+                lower: round1(estimate.qualityScore.lower),
+                upper: round1(estimate.qualityScore.upper)
+            },
+            estimateModel: estimate.model
+        };
+    }
+
+    // Narrow time intervals relative to the estimate mean a confident prediction
+    confidenceFor(estimate) {
+        const { estimate: time, lower, upper } = estimate.timeMinutes;
+        if (time <= 0) return 0;
+        return Math.min(Math.max(1 - (upper - lower) / (2 * time), 0), 0.95);
+    }
+
+    supportsScoring() {
+        return true;
+    }
+
+    rankWorkers(context, query) {
+        const { machineId, complexity, job } = query;
+        const workerStats = context.getCandidateStatistics(machineId, job);
+
+        return context.rankByScore(workerStats.map(worker => {
+            const estimate = this.estimate(worker.workerId, machineId, complexity, job);
+            return {
+                worker,
+                estimate,
+                time: Math.max(estimate.timeMinutes.estimate, 1),
+                quality: estimate.qualityScore.estimate
+            };
+        }), context.resolveScoring(query.scoring));
+    }
+
+    predict(context, rawQuery) {
+        const query = this.normalizeQuery(rawQuery);
+        const { machineId, job, enableDebug } = query;
+
+        if (enableDebug) {
+            console.log('\n📈 REGRESSION PREDICTION');
+            console.log('===============================');
+            console.log(`Input: Machine ${machineId}, Complexity ${query.complexity}`);
+            console.log(`Job context: shift=${job.shift || 'any'}, type=${job.jobType || 'any'}`);
+        }
+
+        const ranked = this.rankWorkers(context, query);
+
+        if (ranked.length === 0) {
+            if (enableDebug) {
+                console.log(`⚠️  No available workers have experience on machine ${machineId}`);
+                console.log('Falling back to statistical method...');
+            }
+            // Run directly so only the outer predict() call records the prediction
+            return context.getStrategy('statistical').predict(context, { ...query, maxTime: null, minQuality: null });
+        }
+
+        const candidates = ranked.map(r => ({
+            ...this.formatEstimate(r.worker.workerId, r.estimate),
+            score: r.score,
+            scoreBreakdown: r.scoreBreakdown
+        }));
+        const best = ranked[0];
+        const confidence = this.confidenceFor(best.estimate);
+
+        if (enableDebug) {
+            ranked.forEach((r, index) => {
+                const c = candidates[index];
+                console.log(`   ${index + 1}. ${c.workerId}: ${c.estimatedTime}min [${c.timeInterval.lower}-${c.timeInterval.upper}], ` +
+                    `quality ${c.expectedQuality} (${c.estimateModel}), score ${r.score.toFixed(3)}`);
+            });
+            console.log(`✅ Regression prediction: ${candidates[0].workerId} (confidence ${(confidence * 100).toFixed(1)}%)`);
+            console.log('===============================\n');
+        }
+
+        return {
+            strategy: 'regression',
+            recommendedWorker: candidates[0].workerId,
+            estimatedTime: candidates[0].estimatedTime,
+            expectedQuality: candidates[0].expectedQuality,
+            timeInterval: candidates[0].timeInterval,
+            qualityInterval: candidates[0].qualityInterval,
+            estimateModel: candidates[0].estimateModel,
+            confidence,
+            method: 'Regression Estimate Ranking',
+            scoring: context.resolveScoring(query.scoring).toJSON(),
+            contextMatched: best.worker.contextMatched,
+            alternativeWorkers: candidates.slice(1, 4),
+            candidates
+        };
+    }
+
+    explain(context, rawQuery) {
+        const query = this.normalizeQuery(rawQuery);
+
+        return {
+            strategy: 'regression',
+            scoring: context.resolveScoring(query.scoring).toJSON(),
+            candidates: this.rankWorkers(context, query).map((r, index) => ({
+                rank: index + 1,
+                ...this.formatEstimate(r.worker.workerId, r.estimate),
+                score: r.score,
+                scoreBreakdown: r.scoreBreakdown,
+                confidence: this.confidenceFor(r.estimate)
+            }))
+        };
+    }
+
+    serialize() {
+        return { regression: this.regressor.toJSON() };
+    }
+
+    deserialize(state) {
+        this.regressor = PerformanceRegressor.fromJSON(state.regression);
+        this.isFitted = true;
+    }
+}
+
+module.exports = RegressionStrategy;
@@ -0,0 +1,128 @@
+const { InvalidArgumentError } = require('../errors');
+
+const CONSTRAINTS = {
+    // Direction each limit moves when loosened, and how far it can go
+    maxTime: { direction: 1, bound: Infinity },
+    minQuality: { direction: -1, bound: 0 },
+    minProbability: { direction: -1, bound: 0.01 }
+};
+
+const DEFAULT_STEPS = [
+    { constraint: 'minQuality', by: 0.5 },
+    { constraint: 'maxTime', by: 0.1, relative: true }
+];
+
+/**
+ * Relaxation Policy
+ *
+ * What the statistical ranking does when no worker meets a job's limits.
+ * The limits are loosened one step at a time, cycling through the steps in
+ * order (by default: minQuality down 0.5, then maxTime up 10% of the
+ * requested limit), until some worker qualifies or maxSteps steps have been
+ * taken. Steps for limits the job did not set are skipped.
+ *
+ * If nobody qualifies even then, the policy either drops every limit and
+ * ranks all available workers (the default), or, in strict mode, reports
+ * that there is no eligible worker.
+ */
+class RelaxationPolicy {
+    /**
+     * @param {Object} options
+     * @param {Array} [options.steps] - [{ constraint, by, relative }]: constraint is maxTime,
+     *   minQuality or minProbability; by is an absolute amount, or a fraction of the
+     *   requested limit when relative is true
+     * @param {number} [options.maxSteps=6] - Steps to try before giving up
+     * @param {boolean} [options.strict=false] - Never drop the limits altogether
+     */
+    constructor(options = {}) {
+        this.steps = options.steps || DEFAULT_STEPS;
+        this.maxSteps = options.maxSteps !== undefined ? options.maxSteps : 6;
+        this.strict = options.strict === true;
+
+        if (!Array.isArray(this.steps)) {
+            throw new InvalidArgumentError('Relaxation steps must be an array');
+        }
+        this.steps.forEach(step => {
+            if (!CONSTRAINTS[step.constraint]) {
+                throw new InvalidArgumentError(`Unknown relaxation constraint "${step.constraint}". Use: ${Object.keys(CONSTRAINTS).join(', ')}`);
+            }
+            if (typeof step.by !== 'number' || !(step.by > 0)) {
+                throw new InvalidArgumentError(`Relaxation step for ${step.constraint} needs a positive "by"`);
+            }
+        });
+        if (!Number.isInteger(this.maxSteps) || this.maxSteps < 0) {
+            throw new InvalidArgumentError('maxSteps must be a non-negative integer');
+        }
+    }
+
+    /**
+     * Policy from a request: options for the constructor, or a policy
+     * @param {Object|RelaxationPolicy} [spec] - Defaults to the default steps
+     * @returns {RelaxationPolicy}
+     */
+    static from(spec) {
+        if (spec instanceof RelaxationPolicy) return spec;
+        return new RelaxationPolicy(spec || {});
+    }
+
+    // Steps for the limits the job actually set
+    applicableSteps(limits) {
+        return this.steps.filter(step => limits[step.constraint] !== null && limits[step.constraint] !== undefined);
+    }
+
+    // One step's new value for a limit, never past its bound
+    loosen(step, value, requested) {
+        const { direction, bound } = CONSTRAINTS[step.constraint];
+        const amount = step.relative ? step.by * requested : step.by;
+        const next = Math.round((value + direction * amount) * 1e9) / 1e9;
+        return direction > 0 ? Math.min(next, bound) : Math.max(next, bound);
+    }
+
+    /**
+     * The limits after a number of steps
+     * @param {Object} requested - { maxTime, minQuality, minProbability } as requested
+     * @param {number} count - Steps to take
+     * @returns {Object} { limits, steps: [{ constraint, from, to }] }
+     */
+    relax(requested, count) {
+        const applicable = this.applicableSteps(requested);
+        const limits = { ...requested };
+        const steps = [];
+
+        for (let i = 0; i < count && applicable.length > 0; i++) {
+            const step = applicable[i % applicable.length];
+            const from = limits[step.constraint];
+            limits[step.constraint] = this.loosen(step, from, requested[step.constraint]);
+            steps.push({ constraint: step.constraint, from, to: limits[step.constraint] });
+        }
+
+        return { limits, steps };
+    }
+
+    // Steps worth trying for these limits (none when no step applies)
+    stepsFor(requested) {
+        return this.applicableSteps(requested).length > 0 ? this.maxSteps : 0;
+    }
+
+    /**
+     * Net change per constraint between the requested and the final limits
+     * @returns {Object} { constraint: { from, to, by } } for the limits that moved
+     */
+    static changes(requested, limits) {
+        const changes = {};
+        Object.keys(CONSTRAINTS).forEach(constraint => {
+            const from = requested[constraint];
+            const to = limits[constraint];
+            if (from !== to && from !== null && from !== undefined) {
+                changes[constraint] = { from, to, by: to === null ? null : Math.round((to - from) * 1e9) / 1e9 };
+            }
+        });
+        return changes;
+    }
+
+    toJSON() {
+        return { steps: this.steps, maxSteps: this.maxSteps, strict: this.strict };
+    }
+}
+
+module.exports = RelaxationPolicy;
@@ -0,0 +1,173 @@
+const _ = require('lodash');
+const { InvalidArgumentError } = require('../errors');
+
+const CRITERIA = ['time', 'quality', 'consistency', 'experience', 'cost'];
+
+// Named weightings, selectable per request
+const PRESETS = {
+    // Quality per minute: orders workers like the former quality / time efficiency
+    efficiency: { time: 1, quality: 1 },
+    balanced: { time: 1, quality: 1, consistency: 1, experience: 1 },
+    rush: { time: 3, quality: 1, consistency: 1 },
+    'customer-facing': { time: 1, quality: 3, consistency: 2, experience: 1 }
+};
+
+/**
+ * Scoring Policy
+ *
+ * Scores candidate workers for a job on several criteria:
+ * - time: estimated minutes (lower is better)
+ * - quality: expected quality score
+ * - consistency: 1 / (1 + coefficient of variation of the time)
+ * - experience: 1 + ln(1 + jobs), so the first jobs count most
+ * - cost: estimated minutes × the worker's hourly rate (lower is better)
+ *
+ * Each criterion is made relative to the best candidate in the pool (1 for
+ * the best, less for the rest) and the score is the weighted geometric mean
+ * of these, so it lies in (0, 1] and only the ratios between weights matter.
+ * With time and quality weighted equally it ranks by quality / time.
+ *
+ * Candidates within tieWindow of each other are ordered by job count.
+ *
+ * Cost is optional: it needs hourlyRates (and defaultHourlyRate for workers
+ * not listed) and a non-zero cost weight.
+ */
+class ScoringPolicy {
+    /**
+     * @param {Object} options
+     * @param {string} [options.preset='efficiency'] - Preset to start from
+     * @param {string} [options.name] - Label for the policy in results (default: the preset, or 'custom')
+     * @param {Object} [options.weights] - Weights per criterion, overriding the preset's
+     * @param {Object} [options.hourlyRates={}] - Hourly rate per worker ID, for cost
+     * @param {number} [options.defaultHourlyRate] - Rate for workers not in hourlyRates
+     * @param {number} [options.tieWindow=0.01] - Score difference treated as a tie
+     */
+    constructor(options = {}) {
+        const preset = options.preset || 'efficiency';
+        if (!PRESETS[preset]) {
+            throw new InvalidArgumentError(`Unknown scoring preset "${preset}". Available: ${Object.keys(PRESETS).join(', ')}`);
+        }
+
+        this.name = options.name || (options.weights ? 'custom' : preset);
+        this.weights = { ...PRESETS[preset], ...options.weights };
+        this.hourlyRates = options.hourlyRates || {};
+        this.defaultHourlyRate = options.defaultHourlyRate !== undefined ? options.defaultHourlyRate : null;
+        this.tieWindow = options.tieWindow !== undefined ? options.tieWindow : 0.01;
+
+        Object.keys(this.weights).forEach(criterion => {
+            const weight = this.weights[criterion];
+            if (!CRITERIA.includes(criterion)) {
+                throw new InvalidArgumentError(`Unknown scoring criterion "${criterion}". Use: ${CRITERIA.join(', ')}`);
+            }
+            if (typeof weight !== 'number' || weight < 0 || !isFinite(weight)) {
+                throw new InvalidArgumentError(`Scoring weight for ${criterion} must be a non-negative number`);
+            }
+        });
+        if (_.sum(Object.values(this.weights)) === 0) {
+            throw new InvalidArgumentError('A scoring policy needs at least one positive weight');
+        }
+    }
+
+    static presets() {
+        return _.cloneDeep(PRESETS);
+    }
+
+    /**
+     * Policy from a request: a preset name, options for the constructor, or a policy
+     * @param {string|Object|ScoringPolicy} [spec] - Defaults to the efficiency preset
+     * @returns {ScoringPolicy}
+     */
+    static from(spec) {
+        if (spec instanceof ScoringPolicy) return spec;
+        if (typeof spec === 'string') return new ScoringPolicy({ preset: spec });
+        return new ScoringPolicy(spec || {});
+    }
+
+    // Criteria with a non-zero weight
+    activeCriteria() {
+        return CRITERIA.filter(criterion => this.weights[criterion] > 0);
+    }
+
+    hourlyRate(workerId) {
+        if (this.hourlyRates[workerId] !== undefined) return this.hourlyRates[workerId];
+        if (this.defaultHourlyRate !== null) return this.defaultHourlyRate;
+        throw new InvalidArgumentError(`No hourly rate for worker ${workerId}; set hourlyRates or defaultHourlyRate to score on cost`);
+    }
+
+    // Raw criterion values for a candidate { workerId, time, quality, timeStd, jobs }
+    values(candidate) {
+        const values = {
+            time: candidate.time,
+            quality: candidate.quality,
+            consistency: 1 / (1 + (candidate.time > 0 ? candidate.timeStd / candidate.time : 0)),
+            experience: 1 + Math.log(1 + candidate.jobs)
+        };
+        if (this.weights.cost > 0) {
+            values.cost = candidate.time / 60 * this.hourlyRate(candidate.workerId);
+        }
+        return values;
+    }
+
+    /**
+     * Score candidates against each other
+     * @param {Array} candidates - [{ workerId, time, quality, timeStd, jobs }]
+     * @returns {Array} [{ workerId, score, breakdown: { criterion: { value, relative, weight } } }], in input order
+     */
+    score(candidates) {
+        const criteria = this.activeCriteria();
+        const totalWeight = _.sumBy(criteria, criterion => this.weights[criterion]);
+        const values = candidates.map(candidate => this.values(candidate));
+
+        // Best value per criterion: lowest time and cost, highest otherwise
+        const best = {};
+        criteria.forEach(criterion => {
+            const column = values.map(v => v[criterion]);
+            best[criterion] = ['time', 'cost'].includes(criterion) ? _.min(column) : _.max(column);
+        });
+
+        return candidates.map((candidate, index) => {
+            const breakdown = {};
+            let logScore = 0;
+
+            criteria.forEach(criterion => {
+                const value = values[index][criterion];
+                const relative = ['time', 'cost'].includes(criterion)
+                    ? (value > 0 ? best[criterion] / value : 1)
+                    : (best[criterion] > 0 ? value / best[criterion] : 1);
+                const weight = this.weights[criterion];
+
+                breakdown[criterion] = { value, relative, weight };
+                logScore += (weight / totalWeight) * Math.log(Math.max(relative, 1e-9));
+            });
+
+            return { workerId: candidate.workerId, score: Math.exp(logScore), breakdown };
+        });
+    }
+
+    /**
+     * Order candidates best first
+     * @param {Array} candidates - As for score()
+     * @returns {Array} The scored entries, best first, each with its candidate
+     */
+    rank(candidates) {
+        const scored = this.score(candidates).map((entry, index) => ({ ...entry, candidate: candidates[index] }));
+
+        return scored.sort((a, b) => {
+            if (Math.abs(a.score - b.score) < this.tieWindow) {
+                return b.candidate.jobs - a.candidate.jobs; // More experience wins
+            }
+            return b.score - a.score;
+        });
+    }
+
+    toJSON() {
+        return {
+            name: this.name,
+            weights: this.weights,
+            tieWindow: this.tieWindow,
+            ...(this.weights.cost > 0 ? { hourlyRates: this.hourlyRates, defaultHourlyRate: this.defaultHourlyRate } : {})
+        };
+    }
+}
+
+module.exports = ScoringPolicy;
@@ -0,0 +1,366 @@
+const ModelStrategy = require('./ModelStrategy');
+const OutcomeProbability = require('../ml/OutcomeProbability');
+const RelaxationPolicy = require('./RelaxationPolicy');
+
+/**
+ * Statistical Strategy
+ *
+ * Ranks the available workers with history on the machine by the query's
+ * ScoringPolicy (default: efficiency, quality / time), after filtering them
+ * against the job's time and quality limits. Near-ties are broken by
+ * experience. Time and quality are the empirical-Bayes posterior means from
+ * getWorkerStatistics, so workers with few jobs are pulled toward the machine
+ * average; confidence comes from the width of their credible intervals.
+ *
+ * A worker is eligible when they are at least minProbability likely to finish
+ * within maxTime and to reach minQuality (see OutcomeProbability), so a worker
+ * whose average is just under the limit but varies widely is not treated as safe.
+ * When nobody qualifies, the limits are loosened step by step by the query's
+ * RelaxationPolicy, and the result reports what was relaxed and by how much.
+ *
+ * When nobody has history on the machine, the available workers are ranked on
+ * cold-start extrapolations instead, and the result is labelled as such.
+ *
+ * Has no fitted state of its own: it reads worker statistics from the context.
+ */
+class StatisticalStrategy extends ModelStrategy {
+    fit(context) {
+        this.isFitted = true;
+    }
+
+    supportsScoring() {
+        return true;
+    }
+
+    // Chance of meeting the query's limits; null where there is no limit
+    probabilities(worker, { maxTime, minQuality }) {
+        return {
+            withinTime: maxTime !== null ? OutcomeProbability.timeWithin(worker.posteriorTime, maxTime) : null,
+            meetsQuality: minQuality !== null ? OutcomeProbability.qualityAtLeast(worker.posteriorQuality, minQuality) : null
+        };
+    }
+
+    // Check every worker against limits { maxTime, minQuality, minProbability }
+    evaluate(workerStats, limits) {
+        const { maxTime, minQuality, minProbability } = limits;
+        const percent = p => `${(p * 100).toFixed(0)}%`;
+
+        return workerStats.map(worker => {
+            let isEligible = true;
+            const reasons = [];
+
+            const time = worker.posteriorTime.mean;
+            const quality = worker.posteriorQuality.mean;
+            const probabilities = this.probabilities(worker, { maxTime, minQuality });
+
+            if (maxTime !== null) {
+                const chance = `${percent(probabilities.withinTime)} likely ≤ ${maxTime}min, avg ${time.toFixed(1)}`;
+                if (probabilities.withinTime >= minProbability) {
+                    reasons.push(`✅ Time OK (${chance})`);
+                } else {
+                    reasons.push(`❌ Too likely to overrun (${chance}; need ${percent(minProbability)})`);
+                    isEligible = false;
+                }
+            } else {
+                reasons.push('✅ No time limit');
+            }
+
+            if (minQuality !== null) {
+                const chance = `${percent(probabilities.meetsQuality)} likely ≥ ${minQuality}, avg ${quality.toFixed(1)}`;
+                if (probabilities.meetsQuality >= minProbability) {
+                    reasons.push(`✅ Quality OK (${chance})`);
+                } else {
+                    reasons.push(`❌ Quality too uncertain (${chance}; need ${percent(minProbability)})`);
+                    isEligible = false;
+                }
+            } else {
+                reasons.push('✅ No quality requirement');
+            }
+
+            return { worker, isEligible, reasons, probabilities };
+        });
+    }
+
+    // Check every worker against the limits, loosening them step by step when nobody
+    // qualifies (see RelaxationPolicy), then rank the eligible ones by score
+    rankWorkers(context, query) {
+        const { machineId, job } = query;
+        const requested = {
+            maxTime: query.maxTime,
+            minQuality: query.minQuality,
+            minProbability: context.resolveMinProbability(query.minProbability)
+        };
+        const policy = context.resolveRelaxation(query.relaxation);
+
+        // Get statistics for available workers on this machine (and job context, where there is enough history)
+        let workerStats = context.getCandidateStatistics(machineId, job);
+        const extrapolated = workerStats.length === 0;
+        if (extrapolated) {
+            workerStats = context.getColdStartCandidates(machineId, job);
+        }
+
+        let attempt = policy.relax(requested, 0);
+        let evaluations = this.evaluate(workerStats, attempt.limits);
+        for (let count = 1; count <= policy.stepsFor(requested) && !evaluations.some(e => e.isEligible); count++) {
+            attempt = policy.relax(requested, count);
+            evaluations = this.evaluate(workerStats, attempt.limits);
+        }
+
+        let eligible = evaluations.filter(e => e.isEligible).map(e => e.worker);
+        let outcome = attempt.steps.length > 0 ? 'relaxed' : 'none';
+        let limits = attempt.limits;
+        if (eligible.length === 0) {
+            if (policy.strict) {
+                outcome = 'no-eligible-worker';
+            } else {
+                // Last resort: every available worker, whatever the limits
+                outcome = 'dropped';
+                limits = { maxTime: null, minQuality: null, minProbability: null };
+                eligible = [...workerStats];
+            }
+        }
+
+        const relaxation = {
+            outcome,
+            strict: policy.strict,
+            requested,
+            limits,
+            steps: attempt.steps,
+            changes: RelaxationPolicy.changes(requested, limits)
+        };
+        const constraintsRelaxed = outcome === 'relaxed' || outcome === 'dropped';
+
+        // Score against each other, best first; near-ties go to experience
+        const scoring = context.resolveScoring(query.scoring);
+        const ranked = context.rankByScore(eligible.map(worker => ({
+            worker,
+            time: worker.posteriorTime.mean,
+            quality: worker.posteriorQuality.mean
+        })), scoring);
+        const eligibleWorkers = ranked.map(r => r.worker);
+
+        return {
+            workerStats,
+            evaluations,
+            eligibleWorkers,
+            ranked,
+            scoring,
+            minProbability: requested.minProbability,
+            relaxation,
+            constraintsRelaxed,
+            extrapolated
+        };
+    }
+
+    predict(context, rawQuery) {
+        const query = this.normalizeQuery(rawQuery);
+        const { machineId, maxTime, minQuality, job, enableDebug } = query;
+
+        if (enableDebug) {
+            console.log('\n🔍 DEBUG: Worker Assignment Process');
+            console.log('=====================================');
+            console.log(`📝 Job Requirements:`);
+            console.log(`   - Machine ID: ${machineId}`);
+            console.log(`   - Max Time: ${maxTime ? maxTime + ' minutes' : 'No limit'}`);
+            console.log(`   - Min Quality: ${minQuality}/10`);
+            console.log(`   - Required Likelihood: ${(context.resolveMinProbability(query.minProbability) * 100).toFixed(0)}%`);
+            console.log(`   - Shift: ${job.shift || 'any'}, Job Type: ${job.jobType || 'any'}`);
+        }
+
+        const {
+            workerStats, evaluations, eligibleWorkers, ranked, scoring, minProbability, relaxation, constraintsRelaxed, extrapolated
+        } = this.rankWorkers(context, query);
+
+        if (enableDebug) {
+            console.log(`\n📊 Available Workers for Machine ${machineId}:`);
+            if (extrapolated) {
+                console.log('   ❌ No workers have experience on this machine!');
+                console.log('   🧊 Extrapolating from their performance on similar machines...');
+            }
+            if (workerStats.length > 0) {
+                workerStats.forEach(worker => {
+                    const contextNote = worker.extrapolated
+                        ? ` (extrapolated: ${worker.coldStart.method})`
+                        : worker.contextMatched ? ' (matching shift/job type)' : '';
+                    console.log(`   ${worker.workerId}: ${worker.jobCount} jobs, avg ${worker.avgTime.toFixed(1)}min, quality ${worker.avgQuality.toFixed(1)}/10${contextNote}`);
+                    if (!worker.extrapolated) {
+                        console.log(`      pooled: ${worker.posteriorTime.mean.toFixed(1)}min, quality ${worker.posteriorQuality.mean.toFixed(1)}/10 ` +
+                            `(${(worker.shrinkage.time * 100).toFixed(0)}% toward the machine average)`);
+                    }
+                });
+            }
+
+            if (relaxation.steps.length > 0) {
+                console.log('\n⚠️  No workers meet the requested limits. Relaxing in order:');
+                relaxation.steps.forEach((step, index) => {
+                    console.log(`   ${index + 1}. ${step.constraint}: ${step.from} → ${step.to}`);
+                });
+            }
+
+            evaluations.forEach(({ worker, isEligible, reasons }) => {
+                console.log(`\n🔍 Evaluating ${worker.workerId}:`);
+                reasons.forEach(reason => console.log(`   ${reason}`));
+                console.log(`   Result: ${isEligible ? '✅ ELIGIBLE' : '❌ NOT ELIGIBLE'}`);
+            });
+
+            console.log(`\n📋 Filtering Results:`);
+            console.log(`   Total workers checked: ${workerStats.length}`);
+            console.log(`   Eligible workers: ${evaluations.filter(e => e.isEligible).length}`);
+        }
+
+        const summary = this.describeRelaxation(relaxation);
+        if (summary) {
+            if (enableDebug) {
+                console.log(`\n⚠️  ${summary}`);
+            } else {
+                context.log(`⚠️  ${summary}`);
+            }
+        }
+
+        if (relaxation.outcome === 'no-eligible-worker') {
+            if (enableDebug) console.log('=====================================\n');
+            return this.noEligibleWorker({ evaluations, scoring, minProbability, relaxation, extrapolated });
+        }
+
+        if (enableDebug) {
+            const weights = Object.keys(scoring.weights).filter(c => scoring.weights[c] > 0)
+                .map(c => `${c}×${scoring.weights[c]}`).join(', ');
+            console.log(`\n🏆 Ranking Workers by ${scoring.name} score (${weights}):`);
+            ranked.forEach(({ worker, score, scoreBreakdown }, index) => {
+                const experienceBonus = worker.jobCount >= 10 ? ' (experienced)' : '';
+                const parts = Object.keys(scoreBreakdown)
+                    .map(c => `${c} ${scoreBreakdown[c].relative.toFixed(2)}`).join(', ');
+                console.log(`   ${index + 1}. ${worker.workerId}: score ${score.toFixed(3)} (${parts})${experienceBonus}`);
+                console.log(`      - Time: ${worker.posteriorTime.mean.toFixed(1)}min [${worker.posteriorTime.lower.toFixed(1)}-${worker.posteriorTime.upper.toFixed(1)}]`);
+                console.log(`      - Quality: ${worker.posteriorQuality.mean.toFixed(1)}/10 [${worker.posteriorQuality.lower.toFixed(1)}-${worker.posteriorQuality.upper.toFixed(1)}]`);
+                console.log(`      - Experience: ${worker.jobCount} jobs`);
+            });
+        }
+
+        const bestWorker = eligibleWorkers[0];
+        const selectionReason = eligibleWorkers.length === 1 ? 'Only eligible worker' : `Highest ${scoring.name} score`;
+        const confidence = extrapolated ? bestWorker.coldStart.confidence : context.posteriorConfidence(bestWorker);
+
+        if (enableDebug) {
+            console.log(`\n🎯 FINAL DECISION:`);
+            console.log(`   Selected: ${bestWorker.workerId}`);
+            console.log(`   Reason: ${selectionReason}`);
+            console.log(extrapolated
+                ? `   Confidence: ${(confidence * 100).toFixed(1)}% (extrapolated, no history on this machine)`
+                : `   Confidence: ${(confidence * 100).toFixed(1)}% (credible interval width, ${bestWorker.jobCount} historical jobs)`);
+            console.log('=====================================\n');
+        }
+
+        const candidates = ranked.map(({ worker, score, scoreBreakdown }) => ({
+            ...(worker.extrapolated ? context.formatColdStart(worker.coldStart) : context.formatPosterior(worker)),
+            score,
+            scoreBreakdown,
+            probabilities: this.probabilities(worker, relaxation.requested)
+        }));
+
+        return {
+            strategy: 'statistical',
+            recommendedWorker: bestWorker.workerId,
+            estimatedTime: candidates[0].estimatedTime,
+            expectedQuality: candidates[0].expectedQuality,
+            timeInterval: candidates[0].timeInterval,
+            qualityInterval: candidates[0].qualityInterval,
+            estimateModel: candidates[0].estimateModel,
+            confidence,
+            method: extrapolated ? 'Statistical Efficiency Ranking (cold-start extrapolation)' : 'Statistical Efficiency Ranking',
+            scoring: scoring.toJSON(),
+            minProbability,
+            relaxation,
+            contextMatched: bestWorker.contextMatched,
+            ...(extrapolated ? { extrapolated: true, extrapolation: candidates[0].extrapolation } : {}),
+            alternativeWorkers: candidates.slice(1, 4),
+            candidates,
+            debugInfo: enableDebug ? {
+                totalWorkersChecked: workerStats.length,
+                eligibleWorkers: eligibleWorkers.length,
+                constraintsRelaxed,
+                selectionReason
+            } : null
+        };
+    }
+
+    // One line on how the limits were relaxed, or null when they were met as requested
+    describeRelaxation(relaxation) {
+        const changes = Object.keys(relaxation.changes)
+            .filter(constraint => relaxation.changes[constraint].to !== null)
+            .map(constraint => {
+                const { from, to } = relaxation.changes[constraint];
+                return `${constraint} ${from} → ${to}`;
+            });
+
+        switch (relaxation.outcome) {
+            case 'relaxed':
+                return `No worker met the requested limits; relaxed ${changes.join(', ')}`;
+            case 'dropped':
+                return `No worker met the limits after ${relaxation.steps.length} relaxation steps; ` +
+                    'ignoring them and ranking all available workers';
+            case 'no-eligible-worker':
+                return `No eligible worker: nobody meets the limits${relaxation.steps.length > 0
+                    ? ` even after relaxing ${changes.join(', ')}` : ''} (strict mode)`;
+            default:
+                return null;
+        }
+    }
+
+    // Strict-mode result when nobody meets the limits: no recommendation, with the reasons
+    noEligibleWorker({ evaluations, scoring, minProbability, relaxation, extrapolated }) {
+        return {
+            strategy: 'statistical',
+            recommendedWorker: null,
+            noEligibleWorker: true,
+            reason: this.describeRelaxation(relaxation),
+            estimatedTime: null,
+            expectedQuality: null,
+            confidence: 0,
+            method: extrapolated ? 'Statistical Efficiency Ranking (cold-start extrapolation)' : 'Statistical Efficiency Ranking',
+            scoring: scoring.toJSON(),
+            minProbability,
+            relaxation,
+            evaluations: evaluations.map(({ worker, reasons }) => ({
+                workerId: worker.workerId,
+                reasons,
+                probabilities: this.probabilities(worker, relaxation.requested)
+            })),
+            alternativeWorkers: [],
+            candidates: []
+        };
+    }
+
+    explain(context, rawQuery) {
+        const query = this.normalizeQuery(rawQuery);
+        const { evaluations, ranked, scoring, minProbability, relaxation, constraintsRelaxed, extrapolated } = this.rankWorkers(context, query);
+
+        return {
+            strategy: 'statistical',
+            constraints: { maxTime: query.maxTime, minQuality: query.minQuality, minProbability },
+            scoring: scoring.toJSON(),
+            constraintsRelaxed,
+            relaxation,
+            extrapolated,
+            evaluations: evaluations.map(({ worker, isEligible, reasons, probabilities }) => ({
+                workerId: worker.workerId,
+                isEligible,
+                reasons,
+                probabilities
+            })),
+            ranking: ranked.map(({ worker, score, scoreBreakdown }, index) => ({
+                rank: index + 1,
+                workerId: worker.workerId,
+                score,
+                scoreBreakdown,
+                avgTime: worker.avgTime,
+                avgQuality: worker.avgQuality,
+                posteriorTime: worker.posteriorTime,
+                posteriorQuality: worker.posteriorQuality,
+                jobCount: worker.jobCount
+            }))
+        };
+    }
+}
+
+module.exports = StatisticalStrategy;
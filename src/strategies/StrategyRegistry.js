@@ -0,0 +1,66 @@
+const KNNStrategy = require('./KNNStrategy');
+const StatisticalStrategy = require('./StatisticalStrategy');
+const RegressionStrategy = require('./RegressionStrategy');
+const { UnknownStrategyError, ConflictError } = require('../errors');
+
+/**
+ * Strategy Registry
+ *
+ * Maps strategy names to ModelStrategy classes so WorkerAssignmentML can be
+ * configured, or asked per call, for a strategy by name. Register a class
+ * here to make a new model available everywhere a strategy name is accepted.
+ */
+class StrategyRegistry {
+    constructor() {
+        this.strategies = new Map();
+    }
+
+    /**
+     * Register a strategy class under a name
+     * @param {string} name
+     * @param {Function} StrategyClass - Subclass of ModelStrategy
+     * @returns {StrategyRegistry}
+     */
+    register(name, StrategyClass) {
+        if (this.strategies.has(name)) {
+            throw new ConflictError(`Strategy "${name}" is already registered`);
+        }
+        this.strategies.set(name, StrategyClass);
+        return this;
+    }
+
+    has(name) {
+        return this.strategies.has(name);
+    }
+
+    names() {
+        return Array.from(this.strategies.keys());
+    }
+
+    /**
+     * Create an unfitted strategy instance
+     * @param {string} name
+     * @param {Object} options - Strategy options
+     * @returns {ModelStrategy}
+     */
+    create(name, options = {}) {
+        const StrategyClass = this.strategies.get(name);
+        if (!StrategyClass) {
+            throw new UnknownStrategyError(`Unknown strategy "${name}". Available: ${this.names().join(', ')}`);
+        }
+        return new StrategyClass(options);
+    }
+}
+
+/**
+ * Registry with the built-in strategies: knn, statistical and regression
+ * @returns {StrategyRegistry}
+ */
+function createDefaultRegistry() {
+    return new StrategyRegistry()
+        .register('knn', KNNStrategy)
+        .register('statistical', StatisticalStrategy)
+        .register('regression', RegressionStrategy);
+}
+
+module.exports = { StrategyRegistry, createDefaultRegistry };
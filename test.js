@@ -1,10 +1,65 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('assert');
+const crypto = require('crypto');
+const _ = require('lodash');
 const WorkerAssignmentML = require('./src/WorkerAssignmentML');
+const FeaturePipeline = require('./src/ml/FeaturePipeline');
+const Preprocessor = require('./src/ml/Preprocessor');
+const ColdStartEstimator = require('./src/ml/ColdStartEstimator');
+const RecencyWeighting = require('./src/ml/RecencyWeighting');
+const AggregateIndex = require('./src/ml/AggregateIndex');
+const PredictionLog = require('./src/ml/PredictionLog');
+const EmpiricalBayes = require('./src/ml/EmpiricalBayes');
+const OutcomeProbability = require('./src/ml/OutcomeProbability');
+const PerformanceRegressor = require('./src/ml/PerformanceRegressor');
+const ModelStrategy = require('./src/strategies/ModelStrategy');
+const { createDefaultRegistry } = require('./src/strategies/StrategyRegistry');
+const ScoringPolicy = require('./src/strategies/ScoringPolicy');
+const RelaxationPolicy = require('./src/strategies/RelaxationPolicy');
+const WorkerRoster = require('./src/scheduling/WorkerRoster');
+const MachineRegistry = require('./src/scheduling/MachineRegistry');
+const AuditService = require('./src/services/AuditService');
+const MCPService = require('./src/services/MCPService');
+const AppService = require('./src/services/AppService');
+const WorkerAssignmentMCPServer = require('./src/mcp/server');
+const SchemaValidator = require('./src/mcp/SchemaValidator');
+const ResourceRouter = require('./src/mcp/ResourceRouter');
+const ResourceSubscriptions = require('./src/mcp/ResourceSubscriptions');
+const errors = require('./src/errors');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { StreamableHTTPClientTransport } = require('@modelcontextprotocol/sdk/client/streamableHttp.js');
+const { buildCases, crossValidate, backtest, reportToCSV } = require('./src/evaluate');
 const { generateSampleData, generateTestScenarios, getDataSummary } = require('./src/dataGenerator');
 
+// Minimal strategy for the registry tests: always recommends the configured worker
+class FixedWorkerStrategy extends ModelStrategy {
+    fit() {
+        this.isFitted = true;
+    }
+
+    predict(context, query) {
+        return {
+            strategy: 'fixed',
+            method: 'Fixed worker',
+            recommendedWorker: this.options.workerId,
+            estimatedTime: null,
+            expectedQuality: null,
+            confidence: 1,
+            alternativeWorkers: [],
+            candidates: [{ workerId: this.options.workerId }]
+        };
+    }
+}
+
 async function runTests() {
     console.log('🧪 Running Worker Assignment ML Tests');
     console.log('====================================\n');
 
+    // Saved models and other files written by the tests go here, not into data/
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'worker-assignment-test-'));
+
     try {
         // Test 1: Data Generation
         console.log('Test 1: Data Generation');
@@ -22,9 +77,12 @@ async function runTests() {
         // Test 2: Model Training
         console.log('Test 2: Model Training');
         console.log('----------------------');
-        const mlSystem = new WorkerAssignmentML();
-        await mlSystem.train(historicalData);
-        console.log('✅ Model training completed successfully\n');
+        const { historicalData: trainingRecords } = require(path.join(__dirname, 'data', 'historical_data.json'));
+        const mlSystem = new WorkerAssignmentML({ verbose: false });
+        mlSystem.modelPath = path.join(tempDir, 'trained_model.json');
+        mlSystem.addHistoricalData(trainingRecords);
+        mlSystem.train();
+        console.log(`✅ Model training completed successfully (${trainingRecords.length} records)\n`);
 
         // Test 3: Single Job Assignment
         console.log('Test 3: Single Job Assignment');
@@ -40,7 +98,7 @@ async function runTests() {
         if (assignment.alternatives && assignment.alternatives.length > 0) {
             console.log('   Alternatives:');
             assignment.alternatives.forEach((alt, i) => {
-                console.log(`   ${i + 2}. Worker ${alt.workerId} - ${alt.predictedTime.toFixed(1)}min (${(alt.confidence * 100).toFixed(1)}%)`);
+                console.log(`   ${i + 2}. Worker ${alt.workerId} - ${alt.predictedTime.toFixed(1)}min (quality ${alt.expectedQuality}/10)`);
             });
         }
         console.log();
@@ -58,25 +116,42 @@ async function runTests() {
                 const assignment = await mlSystem.assignWorker(job);
                 console.log(`${job.jobId} (M${job.machineType}, C${job.estimatedComplexity}): Worker ${assignment.workerId} - ${assignment.predictedTime.toFixed(1)}min`);
             }
+
+            // Joint assignment of the whole scenario in a short shift
+            const batch = mlSystem.assignBatch(scenario.jobs, mlSystem.workers, { shiftMinutes: 30 });
+            if (batch.summary.assignedJobs + batch.unassigned.length !== scenario.jobs.length) {
+                throw new Error(`Batch lost jobs in scenario ${scenario.name}`);
+            }
+            Object.values(batch.timelines).forEach(timeline => {
+                if (timeline.totalMinutes > batch.shiftMinutes) {
+                    throw new Error(`Batch exceeded shift capacity in scenario ${scenario.name}`);
+                }
+            });
+            console.log(`Batch: ${batch.summary.assignedJobs}/${batch.summary.totalJobs} jobs, ${batch.summary.totalTime}min total, ` +
+                `${Object.values(batch.timelines).filter(t => t.jobs.length > 0).length} workers used`);
         }
 
         // Test 5: Performance Insights
         console.log('\n\nTest 5: Performance Insights');
         console.log('----------------------------');
-        const insights = mlSystem.getPerformanceInsights();
+        const analysis = mlSystem.analyzePerformance();
+        const workerSummary = mlSystem.getWorkerSummary();
         
-        console.log(`✅ Total jobs analyzed: ${insights.totalJobs}`);
-        console.log(`   Workers: ${insights.workers}`);
-        console.log(`   Machines: ${insights.machines}`);
+        console.log(`✅ Total jobs analyzed: ${analysis.totalTrainingRecords}`);
+        console.log(`   Workers: ${analysis.totalWorkers}`);
+        console.log(`   Machines: ${analysis.totalMachines}`);
         
         console.log('\n🏆 Top performers by machine:');
-        Object.entries(insights.topPerformersByMachine).forEach(([machine, workerId]) => {
+        mlSystem.machines.forEach(machine => {
+            const workerId = _.maxBy(Object.keys(analysis.workerExpertise), id =>
+                (analysis.workerExpertise[id][machine] || { efficiency: -Infinity }).efficiency
+            );
             console.log(`   Machine ${machine}: Worker ${workerId}`);
         });
 
         console.log('\n⚡ Top 3 fastest workers overall:');
-        insights.fastestWorkers.slice(0, 3).forEach((worker, index) => {
-            console.log(`   ${index + 1}. Worker ${worker.workerId}: ${worker.avgTime.toFixed(1)}min avg (${worker.jobCount} jobs)`);
+        _.sortBy(Object.entries(workerSummary), ([, worker]) => worker.avgTime).slice(0, 3).forEach(([workerId, worker], index) => {
+            console.log(`   ${index + 1}. Worker ${workerId}: ${worker.avgTime.toFixed(1)}min avg (${worker.totalJobs} jobs)`);
         });
 
         // Test 6: Edge Cases
@@ -95,6 +170,857 @@ async function runTests() {
             console.log(`${job.jobId}: Worker ${assignment.workerId} - ${assignment.predictedTime.toFixed(1)}min (${(assignment.confidence * 100).toFixed(1)}%)`);
         }
 
+        // Test 7: Saved Models
+        console.log('\n\nTest 7: Saved Models');
+        console.log('--------------------');
+        const restored = new WorkerAssignmentML();
+        restored.modelPath = mlSystem.modelPath;
+        restored.addHistoricalData(trainingRecords);
+        assert.ok(restored.loadModel(), 'A model saved for the same data was not restored');
+        assert.deepStrictEqual(restored.strategies.knn.featureVectors, mlSystem.strategies.knn.featureVectors);
+        assert.deepStrictEqual(restored.strategies.knn.featureLabels, mlSystem.strategies.knn.featureLabels);
+        mlSystem.machines.forEach(machineId => {
+            assert.strictEqual(restored.predictWorkerML(machineId, 3).recommendedWorker, mlSystem.predictWorkerML(machineId, 3).recommendedWorker,
+                `The restored model changed its pick for machine ${machineId}`);
+        });
+        console.log(`✅ Restored ${restored.strategies.knn.featureVectors.length} feature vectors with identical predictions`);
+
+        const startup = new WorkerAssignmentML();
+        startup.modelPath = mlSystem.modelPath;
+        startup.addHistoricalData(trainingRecords);
+        assert.strictEqual(startup.trainIfNeeded(), false, 'trainIfNeeded() retrained despite a current saved model');
+        assert.ok(startup.isModelTrained);
+
+        const moreData = new WorkerAssignmentML();
+        moreData.modelPath = mlSystem.modelPath;
+        moreData.addHistoricalData([...trainingRecords, { ...trainingRecords[0], timeMinutes: trainingRecords[0].timeMinutes + 1 }]);
+        assert.ok(!moreData.loadModel(), 'A model saved for other data was restored');
+        assert.strictEqual(moreData.isModelTrained, false);
+        console.log('✅ trainIfNeeded() reuses the saved model; a change to the data forces retraining');
+
+        // Test 8: Job Features
+        console.log('\n\nTest 8: Job Features');
+        console.log('--------------------');
+        const close = (a, b) => Math.abs(a - b) < 1e-9 * Math.max(1, Math.abs(b));
+        const featureRecords = [
+            { workerId: 'a', machineId: 1, timeMinutes: 10, qualityScore: 8, shift: 'night', jobType: 'setup', jobDate: '2024-01-01' },
+            { workerId: 'a', machineId: 1, timeMinutes: 20, qualityScore: 9, shift: 'night', jobType: 'setup', jobDate: '2024-12-31' },
+            { workerId: 'b', machineId: 2, timeMinutes: 30, qualityScore: 7, shift: 'morning', jobDate: '2024-12-31' }
+        ];
+        const featureIndex = new AggregateIndex();
+        featureIndex.add(featureRecords);
+        const pipeline = new FeaturePipeline().fit(featureIndex);
+        assert.deepStrictEqual(pipeline.featureNames(),
+            ['machineId', 'avgTime', 'avgQuality', 'jobCount', 'shift:morning', 'shift:night', 'jobType:setup', 'ageYears']);
+        const trainingSet = pipeline.buildTrainingSet(featureIndex, [1, 2]);
+        assert.deepStrictEqual(trainingSet.labels, ['a', 'b']);
+        // Jobs a year old and from the reference date average to half a year
+        assert.deepStrictEqual(trainingSet.features, [[1, 15, 8.5, 2, 0, 1, 1, 0.5], [2, 30, 7, 1, 1, 0, 0, 0]]);
+        const queryVector = pipeline.buildQuery({ machineId: 1, expectedTime: 12, expectedQuality: 8, experience: 2 },
+            { shift: 'night', jobType: 'rework', date: '2024-07-02' });
+        assert.deepStrictEqual(queryVector.slice(0, 7), [1, 12, 8, 2, 0, 1, 0], 'An unknown job type should encode as all zeros');
+        assert.ok(close(queryVector[7], 182 / 365));
+        assert.strictEqual(pipeline.buildQuery({ machineId: 1 }, { date: '2025-06-01' })[7], 0, 'Future dates should count as current');
+        assert.deepStrictEqual(FeaturePipeline.fromJSON(JSON.parse(JSON.stringify(pipeline))).featureNames(), pipeline.featureNames());
+        console.log(`✅ Features: ${pipeline.featureNames().join(', ')}`);
+
+        const shifts = [...new Set(trainingRecords.map(r => r.shift))];
+        const trainedNames = mlSystem.strategies.knn.featurePipeline.featureNames();
+        assert.strictEqual(trainedNames.filter(name => name.startsWith('shift:')).length, shifts.length);
+        assert.strictEqual(mlSystem.strategies.knn.featureVectors[0].length, trainedNames.length);
+        assert.strictEqual(restored.strategies.knn.featurePipeline.referenceDate, mlSystem.strategies.knn.featurePipeline.referenceDate, 'The saved model lost its reference date');
+        const nightSetup = mlSystem.predictWorkerML(2, 3, false, { shift: 'night', jobType: 'setup', date: mlSystem.strategies.knn.featurePipeline.referenceDate });
+        assert.ok(mlSystem.workers.includes(nightSetup.recommendedWorker));
+        console.log(`✅ ${mlSystem.strategies.knn.featureVectors.length} training vectors of ${trainedNames.length} features; night setup on machine 2: ${nightSetup.recommendedWorker}`);
+
+        // Test 9: Feature Preprocessing
+        console.log('\n\nTest 9: Feature Preprocessing');
+        console.log('-----------------------------');
+        const rawNames = ['machineId', 'avgTime', 'shift:night'];
+        const rawVectors = [[1, 10, 1], [2, 20, 0], [1, 30, 0]];
+        const zscore = new Preprocessor({ weights: { avgTime: 2, machine: 0.5 } }).fit(rawVectors, rawNames, [1, 2]);
+        assert.deepStrictEqual(zscore.outputNames(), ['machine:1', 'machine:2', 'avgTime', 'shift:night']);
+        const scaledVector = zscore.transform([2, 30, 1]);
+        assert.deepStrictEqual(scaledVector.slice(0, 2), [0, 0.5], 'The machine one-hot block should carry the group weight');
+        assert.ok(close(scaledVector[2], 2 * (30 - 20) / Math.sqrt(200 / 3)), 'avgTime should be z-scored, then weighted');
+        assert.strictEqual(scaledVector[3], 1, 'Indicators should not be scaled');
+        assert.deepStrictEqual(Preprocessor.fromJSON(JSON.parse(JSON.stringify(zscore))).transform([2, 30, 1]), scaledVector);
+
+        const minmax = new Preprocessor({ scaling: 'minmax', oneHotMachine: false }).fit(rawVectors, rawNames, [1, 2]);
+        assert.deepStrictEqual(minmax.transformAll([[1, 10, 0], [2, 30, 1]]), [[0, 0, 0], [1, 1, 1]]);
+        assert.deepStrictEqual(new Preprocessor({ scaling: 'none', oneHotMachine: false }).fit(rawVectors, rawNames, [1, 2]).transform([2, 30, 1]), [2, 30, 1]);
+        assert.throws(() => new Preprocessor({ scaling: 'log' }), /Unknown scaling method/);
+        console.log(`✅ z-score, min-max and unscaled columns; weighted machine block ${JSON.stringify(scaledVector.slice(0, 2))}`);
+
+        const minmaxSystem = new WorkerAssignmentML({ preprocessing: { scaling: 'minmax' } });
+        minmaxSystem.modelPath = mlSystem.modelPath;
+        minmaxSystem.addHistoricalData(trainingRecords);
+        assert.ok(!minmaxSystem.loadModel(), 'A model saved with other preprocessing settings was restored');
+        minmaxSystem.modelPath = path.join(tempDir, 'minmax_model.json');
+        minmaxSystem.train();
+        const minmaxVectors = minmaxSystem.strategies.knn.preprocessor.transformAll(minmaxSystem.strategies.knn.featureVectors);
+        assert.ok(minmaxVectors.every(vector => vector.every(value => value >= 0 && value <= 1)), 'Min-max columns should lie in [0, 1]');
+        assert.strictEqual(minmaxVectors[0].length, mlSystem.strategies.knn.featureVectors[0].length + mlSystem.machines.length - 1);
+        console.log(`✅ Trained with min-max scaling: ${minmaxVectors[0].length} columns; machine 2 pick: ${minmaxSystem.predictWorkerML(2, 3).recommendedWorker}`);
+
+        // Test 10: Regression Estimates
+        console.log('\n\nTest 10: Regression Estimates');
+        console.log('-----------------------------');
+        // Worker a: 40 jobs on machines 1-2; worker b: 12 jobs on machines 1-3. Noise of ±1 cancels within each group.
+        const regressionRecords = [];
+        for (let i = 0; i < 40; i++) {
+            const machineId = 1 + (i % 2);
+            regressionRecords.push({ workerId: 'a', machineId, timeMinutes: (machineId === 2 ? 15 : 10) + (i % 4 < 2 ? 1 : -1), qualityScore: 8 + (i % 4 < 2 ? 0.5 : -0.5) });
+        }
+        for (let i = 0; i < 12; i++) {
+            const machineId = 1 + (i % 3);
+            regressionRecords.push({ workerId: 'b', machineId, timeMinutes: 20 + machineId + (i % 6 < 3 ? 1 : -1), qualityScore: 7 });
+        }
+        const regressor = new PerformanceRegressor().fit(regressionRecords);
+        const ownEstimate = regressor.predict('a', { machineId: 2 });
+        assert.strictEqual(ownEstimate.model, 'per-worker');
+        assert.ok(close(ownEstimate.timeMinutes.estimate, 15) && close(ownEstimate.qualityScore.estimate, 8), 'The per-worker model should fit the group means');
+        assert.ok(ownEstimate.timeMinutes.lower < 15 && ownEstimate.timeMinutes.upper > 15);
+        assert.strictEqual(regressor.predict('a', { machineId: 3 }).model, 'pooled', 'A machine the worker never used should fall back to the pooled model');
+        assert.strictEqual(regressor.predict('b', { machineId: 1 }).model, 'pooled', 'A worker below minWorkerRecords should use the pooled model');
+        assert.deepStrictEqual(PerformanceRegressor.fromJSON(JSON.parse(JSON.stringify(regressor))).predict('a', { machineId: 2 }), ownEstimate);
+        assert.throws(() => new PerformanceRegressor().predict('a', { machineId: 1 }), /not fitted/);
+        console.log(`✅ Per-worker estimate ${ownEstimate.timeMinutes.estimate.toFixed(1)}min ` +
+            `(${ownEstimate.timeMinutes.lower.toFixed(1)}-${ownEstimate.timeMinutes.upper.toFixed(1)}); pooled fallback for new machines and short histories`);
+
+        const estimate = mlSystem.estimatePerformance('raj', 2, 3);
+        ['timeMinutes', 'qualityScore'].forEach(field => {
+            const { estimate: value, lower, upper } = estimate[field];
+            assert.ok(lower <= value && value <= upper, `${field} estimate ${value} is outside its interval ${lower}-${upper}`);
+        });
+        const rajOnTwo = trainingRecords.filter(r => r.workerId === 'raj' && r.machineId === 2);
+        const rajMeanTime = rajOnTwo.reduce((sum, r) => sum + r.timeMinutes, 0) / rajOnTwo.length;
+        assert.ok(estimate.timeMinutes.lower <= rajMeanTime && rajMeanTime <= estimate.timeMinutes.upper,
+            'The regression interval does not cover the worker\'s average time');
+        const machineTwo = mlSystem.predictWorkerML(2, 3);
+        assert.ok(machineTwo.timeInterval.lower <= machineTwo.estimatedTime && machineTwo.estimatedTime <= machineTwo.timeInterval.upper);
+        assert.ok(machineTwo.alternativeWorkers.every(w => w.timeInterval && w.qualityInterval));
+        console.log(`✅ Regression estimate for raj on machine 2: ${estimate.timeMinutes.estimate.toFixed(1)}min ` +
+            `(${estimate.timeMinutes.lower.toFixed(1)}-${estimate.timeMinutes.upper.toFixed(1)}, ${estimate.model})`);
+
+        // Test 11: Offline Evaluation
+        console.log('\n\nTest 11: Offline Evaluation');
+        console.log('---------------------------');
+        const cases = buildCases([
+            { workerId: 'a', machineId: 1, shift: 'day', timeMinutes: 10, qualityScore: 8 },
+            { workerId: 'b', machineId: 1, shift: 'day', timeMinutes: 20, qualityScore: 9 },
+            { workerId: 'b', machineId: 1, shift: 'day', timeMinutes: 5, qualityScore: 9 },
+            { workerId: 'a', machineId: 1, shift: 'night', timeMinutes: 10, qualityScore: 8 },
+            { workerId: 'a', machineId: 2, shift: 'day', timeMinutes: 10, qualityScore: 8 }
+        ]);
+        // b averages (0.45 + 1.8) / 2 = 1.125 quality per minute against a's 0.8; single-worker groups are not cases
+        assert.deepStrictEqual(cases, [{ machineId: 1, job: { shift: 'day', jobType: undefined }, bestWorker: 'b', workers: ['a', 'b'] }]);
+        console.log('✅ Cases group by machine, shift and job type, and pick the best mean quality per minute');
+
+        const evaluationOptions = { methods: ['statistical'] };
+        const crossValidation = crossValidate(trainingRecords, { ...evaluationOptions, folds: 3, seed: 7 });
+        assert.strictEqual(crossValidation.splits.length, 3);
+        assert.strictEqual(_.sumBy(crossValidation.splits, 'testSize'), trainingRecords.length, 'Folds should partition the records');
+        assert.ok(crossValidation.splits.every(split => split.trainSize + split.testSize === trainingRecords.length));
+        assert.deepStrictEqual(crossValidate(trainingRecords, { ...evaluationOptions, folds: 3, seed: 7 }), crossValidation, 'The same seed should give the same folds');
+
+        const windows = backtest(trainingRecords, { ...evaluationOptions, windows: 2 });
+        assert.strictEqual(windows.splits.length, 2);
+        assert.ok(windows.splits[1].trainSize === windows.splits[0].trainSize + windows.splits[0].testSize, 'Each window should train on everything before it');
+        windows.splits.forEach(split => {
+            const [from] = split.label.split('..');
+            const trainedUpTo = _.max(_.sortBy(trainingRecords, 'jobDate').slice(0, split.trainSize).map(r => r.jobDate));
+            assert.ok(trainedUpTo <= from, `Window ${split.label} was trained on later jobs`);
+        });
+
+        const { calibration: calibrated, agreement } = crossValidation.summary.statistical;
+        assert.strictEqual(_.sumBy(calibrated.bins, 'count'), agreement.cases, 'Every case should fall in one confidence bin');
+        const expectedECE = _.sum(calibrated.bins.filter(b => b.count > 0)
+            .map(b => (b.count / agreement.cases) * Math.abs(b.accuracy - b.meanConfidence)));
+        assert.ok(Math.abs(calibrated.ece - expectedECE) < 1e-3, `ECE ${calibrated.ece} does not match the bins (${expectedECE})`);
+        const csv = reportToCSV({ crossValidation, backtest: windows });
+        assert.strictEqual(csv.trim().split('\n').length, 1 + (3 + 1) + (2 + 1), 'One CSV row per split and method, plus a summary row');
+        console.log(`✅ Cross-validation top-1 ${agreement.top1} over ${agreement.cases} cases, ECE ${calibrated.ece}; ` +
+            `backtest windows ${windows.splits.map(split => split.label).join(', ')}`);
+
+        // Test 12: Model Strategies
+        console.log('\n\nTest 12: Model Strategies');
+        console.log('-------------------------');
+        assert.deepStrictEqual(_.sortBy(mlSystem.strategyNames), ['knn', 'regression', 'statistical']);
+        mlSystem.strategyNames.forEach(name => {
+            const prediction = mlSystem.predict({ machineId: 2, complexity: 3 }, name);
+            assert.ok(mlSystem.workers.includes(prediction.recommendedWorker), `${name} recommended an unknown worker`);
+            assert.ok(prediction.candidates.length > 0, `${name} returned no candidates`);
+            console.log(`✅ ${name}: ${prediction.recommendedWorker} (${prediction.method})`);
+        });
+        assert.throws(() => mlSystem.predict({ machineId: 2 }, 'nope'), errors.UnknownStrategyError);
+        assert.throws(() => new WorkerAssignmentML({ strategies: ['nope'] }), errors.UnknownStrategyError);
+
+        const registry = createDefaultRegistry().register('fixed', FixedWorkerStrategy);
+        assert.throws(() => registry.register('fixed', FixedWorkerStrategy), /already registered/);
+        const custom = new WorkerAssignmentML({
+            verbose: false,
+            autoSave: false,
+            registry,
+            strategies: ['fixed'],
+            defaultStrategy: 'fixed',
+            strategyOptions: { fixed: { workerId: 'edward' } }
+        });
+        custom.addHistoricalData(trainingRecords);
+        custom.train();
+        assert.deepStrictEqual(custom.strategyNames, ['fixed', 'statistical']);
+        assert.strictEqual(custom.predictWorkerML(4).recommendedWorker, 'edward');
+        console.log('✅ A registered strategy is fitted and used as the default');
+
+        const otherK = new WorkerAssignmentML({ verbose: false, autoSave: false, strategyOptions: { knn: { k: 5 } } });
+        otherK.modelPath = mlSystem.modelPath;
+        otherK.addHistoricalData(trainingRecords);
+        assert.ok(!otherK.loadModel(), 'A model fitted with other strategy options was restored');
+        console.log('✅ Changed strategy options force retraining');
+
+        // A separately trained system per test below, so their changes don't leak into each other
+        const trainedSystem = (options = {}) => {
+            const system = new WorkerAssignmentML({ verbose: false, autoSave: false, ...options });
+            system.addHistoricalData(trainingRecords);
+            system.train();
+            return system;
+        };
+
+        // Test 13: Worker Roster
+        console.log('\n\nTest 13: Worker Roster');
+        console.log('----------------------');
+        const rostered = trainedSystem();
+        const job = { date: '2025-03-11', shift: 'morning' };
+        const usual = rostered.predict({ machineId: 2, complexity: 3, job }, 'statistical').recommendedWorker;
+        const timeOff = rostered.updateRoster(roster => roster.addTimeOff(usual, { start: '2025-03-10', end: '2025-03-12', reason: 'leave' }));
+        const covering = rostered.predict({ machineId: 2, complexity: 3, job }, 'statistical');
+        assert.notStrictEqual(covering.recommendedWorker, usual, 'A worker on time off was recommended');
+        assert.ok(!covering.candidates.some(c => c.workerId === usual), 'A worker on time off is still a candidate');
+        const away = rostered.getWorkerAvailability(2, job).find(w => w.workerId === usual);
+        assert.ok(!away.available && away.reasons[0].startsWith('On time off'), 'Time off is not reported as the reason');
+        assert.ok(rostered.getWorkerAvailability(2, { date: '2025-03-13' }).find(w => w.workerId === usual).available,
+            'Time off covers days after its end');
+        rostered.updateRoster(roster => roster.removeTimeOff(usual, timeOff.id));
+        assert.strictEqual(rostered.predict({ machineId: 2, complexity: 3, job }, 'statistical').recommendedWorker, usual);
+        console.log(`✅ ${usual} on time off: ${covering.recommendedWorker} recommended instead`);
+
+        const roster = new WorkerRoster();
+        roster.upsert('raj', { currentLoad: 1, maxConcurrentJobs: 1, certifiedMachines: [1, 2], shifts: ['morning'] });
+        assert.deepStrictEqual(roster.checkAvailability('raj', { machineId: 3, shift: 'night' }).reasons, [
+            'Not certified for machine 3',
+            'Does not work the night shift',
+            'At capacity (1/1 jobs)'
+        ]);
+        roster.upsert('raj', { currentLoad: 0 });
+        assert.ok(roster.checkAvailability('raj', { machineId: 2, shift: 'morning' }).available);
+        assert.ok(roster.checkAvailability('nobody', { machineId: 5 }).available, 'Workers without an entry should be available');
+        assert.throws(() => roster.upsert('raj', { maxConcurrentJobs: 0 }), /maxConcurrentJobs must be a positive integer/);
+        const reloadedRoster = WorkerRoster.fromJSON(JSON.parse(JSON.stringify(roster.toJSON())));
+        assert.deepStrictEqual(reloadedRoster.get('raj'), roster.get('raj'));
+        console.log('✅ Certification, shifts and capacity checked; roster survives a JSON round trip');
+
+        // Test 14: Machine Registry
+        console.log('\n\nTest 14: Machine Registry');
+        console.log('-------------------------');
+        const machines = MachineRegistry.withDefaults();
+        assert.strictEqual(machines.describeIds(), '1-5');
+        machines.register({ id: 7, name: 'Lathe', maintenanceState: 'needs_maintenance' });
+        assert.strictEqual(machines.describeIds(), '1, 2, 3, 4, 5, 7');
+        assert.strictEqual(machines.get(7).name, 'Lathe');
+        assert.throws(() => machines.register({ id: 0 }), /Invalid machine ID/);
+        assert.throws(() => machines.register({ id: 8, maintenanceState: 'broken' }), /Invalid maintenance state/);
+        assert.deepStrictEqual(MachineRegistry.fromJSON(JSON.parse(JSON.stringify(machines.toJSON()))).list(), machines.list());
+
+        const extended = trainedSystem();
+        assert.throws(() => extended.predict({ machineId: 6 }), errors.UnknownMachineError);
+        extended.addHistoricalData(_.range(6).map(i => ({ workerId: 'raj', machineId: 6, timeMinutes: 30 + i, qualityScore: 8 })));
+        extended.train();
+        assert.ok(extended.machineRegistry.has(6) && extended.machines.includes(6), 'A machine seen in new records was not registered');
+        assert.strictEqual(extended.predict({ machineId: 6 }, 'statistical').recommendedWorker, 'raj');
+        extended.loadMachines([{ id: 1, name: 'Press' }]);
+        assert.deepStrictEqual(extended.machines, [1, 2, 3, 4, 5, 6], 'Machines seen in the records should survive a registry reload');
+        assert.strictEqual(extended.machineRegistry.get(1).name, 'Press');
+        console.log(`✅ Machine registry: ${extended.machineRegistry.describeIds()} after records for machine 6`);
+
+        // Test 15: Cold-Start Estimates
+        console.log('\n\nTest 15: Cold-Start Estimates');
+        console.log('-----------------------------');
+        // Peers take 1.5x as long and score 1 higher on machine 2 than on machine 1; nobody has used machine 3
+        const coldRecords = [
+            ...['p1', 'p2'].flatMap(workerId => [
+                { workerId, machineId: 1, timeMinutes: 20, qualityScore: 7 },
+                { workerId, machineId: 2, timeMinutes: 30, qualityScore: 8 }
+            ]),
+            { workerId: 'newcomer', machineId: 1, timeMinutes: 10, qualityScore: 8 },
+            { workerId: 'newcomer', machineId: 1, timeMinutes: 10, qualityScore: 8 }
+        ];
+        const coldMachines = new MachineRegistry([{ id: 1, complexity: 2 }, { id: 2, complexity: 2 }, { id: 3, complexity: 4 }]);
+        const coldIndex = new AggregateIndex();
+        coldIndex.add(coldRecords);
+        const coldStart = new ColdStartEstimator().fit(coldIndex, coldMachines);
+        assert.ok(coldStart.hasHistory('newcomer', 1) && !coldStart.hasHistory('newcomer', 2));
+
+        const transferred = coldStart.estimate('newcomer', 2);
+        assert.strictEqual(transferred.method, 'peer-transfer');
+        assert.ok(close(transferred.timeMinutes.estimate, 15) && close(transferred.qualityScore.estimate, 9),
+            'The peers\' time ratio and quality shift should apply to the worker\'s own averages');
+        assert.ok(transferred.timeMinutes.lower < 15 && transferred.timeMinutes.upper > 15);
+        assert.ok(close(transferred.confidence, 0.111), 'One source machine and two peers should give a low confidence');
+
+        const similar = coldStart.estimate('newcomer', 3);
+        assert.strictEqual(similar.method, 'machine-similarity');
+        assert.ok(close(similar.timeMinutes.estimate, 20), 'Time should scale with the machine complexity ratio');
+        const stranger = coldStart.estimate('stranger', 2);
+        assert.strictEqual(stranger.method, 'peer-average');
+        assert.ok(close(stranger.timeMinutes.estimate, 30) && stranger.confidence === 0);
+        console.log(`✅ Peer transfer ${transferred.timeMinutes.estimate}min, machine similarity ${similar.timeMinutes.estimate}min, peer average ${stranger.timeMinutes.estimate}min`);
+
+        const coldSystem = trainedSystem({ machines: _.range(1, 7) });
+        const newMachine = coldSystem.predictWorker(6);
+        assert.ok(newMachine.extrapolated, 'A machine with no history should get an extrapolated prediction');
+        assert.ok(newMachine.confidence <= 0.5, 'An extrapolation should never be more than 50% confident');
+        assert.ok(newMachine.timeInterval.lower <= newMachine.estimatedTime && newMachine.estimatedTime <= newMachine.timeInterval.upper);
+        console.log(`✅ Machine 6 with no history: ${newMachine.recommendedWorker} (${newMachine.extrapolation.method}, confidence ${newMachine.confidence})`);
+
+        // Test 16: Recency Weighting
+        console.log('\n\nTest 16: Recency Weighting');
+        console.log('--------------------------');
+        const datedRecords = [
+            { jobDate: '2024-12-31', timeMinutes: 10 },
+            { jobDate: '2024-12-01', timeMinutes: 40 },
+            { jobDate: '2024-10-02', timeMinutes: 70 },
+            { timeMinutes: 100 }
+        ].map(record => ({ workerId: 'a', machineId: 1, qualityScore: 8, ...record }));
+        const halfLife = new RecencyWeighting({ halfLifeDays: 30 }).update(datedRecords);
+        assert.strictEqual(halfLife.referenceDate, '2024-12-31', 'The reference date should be the latest jobDate');
+        assert.deepStrictEqual(datedRecords.map(r => halfLife.weight(r)), [1, 0.5, 0.125, 1], 'Weights should halve every 30 days; undated jobs count as current');
+        assert.strictEqual(halfLife.decay('2024-12-01', '2024-12-31'), 0.5);
+
+        // The newest job arrives last, so the weights already in the index must decay when the reference date moves
+        const halfLifeIndex = new AggregateIndex(new RecencyWeighting({ halfLifeDays: 30 }));
+        halfLifeIndex.add([datedRecords[1]]);
+        halfLifeIndex.add([datedRecords[0]]);
+        const decayedMean = halfLifeIndex.aggregate({ machineId: 1 });
+        assert.ok(close(decayedMean.timeMinutes.mean, 20) && close(decayedMean.weight, 1.5), 'Weighted mean: (10 + 0.5 * 40) / 1.5');
+        halfLifeIndex.add(datedRecords.slice(2));
+        assert.ok(close(halfLifeIndex.aggregate().weight, 2.625));
+
+        const sliding = new RecencyWeighting({ windowDays: 30, referenceDate: '2024-12-31' });
+        const slidingIndex = new AggregateIndex(sliding);
+        slidingIndex.add(datedRecords);
+        assert.strictEqual(slidingIndex.aggregate().count, 3, 'Jobs older than the window should be dropped');
+        assert.strictEqual(slidingIndex.aggregate({}, { weighted: false }).count, 4);
+        assert.ok(close(slidingIndex.aggregate().timeMinutes.mean, 50));
+        assert.deepStrictEqual(sliding.describe(), { mode: 'window', referenceDate: '2024-12-31', windowDays: 30, since: '2024-12-01' });
+        assert.deepStrictEqual(new RecencyWeighting().describe(), { mode: 'none' });
+        assert.throws(() => new RecencyWeighting({ halfLifeDays: 30, windowDays: 30 }), /not both/);
+        assert.throws(() => new RecencyWeighting({ windowDays: -1 }), /positive number of days/);
+        console.log('✅ Half-life weights, sliding window and undated jobs');
+
+        const rajOnMachineTwo = trainingRecords.filter(r => r.workerId === 'raj' && r.machineId === 2);
+        const windowed = trainedSystem({ recency: { windowDays: 180 } });
+        const since = windowed.recency.describe().since;
+        const recentRaj = rajOnMachineTwo.filter(r => r.jobDate >= since);
+        const windowedRaj = windowed.getWorkerStatistics(2).find(w => w.workerId === 'raj');
+        assert.strictEqual(windowedRaj.jobCount, recentRaj.length, 'Only jobs inside the window should count');
+        assert.ok(close(windowedRaj.avgTime, _.meanBy(recentRaj, 'timeMinutes')));
+        assert.deepStrictEqual(windowed.predictWorker(2).recency, windowed.recency.describe(), 'Predictions should report their weighting');
+
+        const decayed = trainedSystem({ recency: { halfLifeDays: 90 } });
+        const decayedRaj = decayed.getWorkerStatistics(2).find(w => w.workerId === 'raj');
+        const weights = rajOnMachineTwo.map(r => decayed.recency.weight(r));
+        assert.ok(close(decayedRaj.avgTime, _.sum(rajOnMachineTwo.map((r, i) => r.timeMinutes * weights[i])) / _.sum(weights)));
+        assert.ok(decayedRaj.effectiveJobs < rajOnMachineTwo.length);
+        console.log(`✅ raj on machine 2: ${recentRaj.length} jobs since ${since}; half-life 90 days leaves ${decayedRaj.effectiveJobs} effective jobs`);
+
+        // Test 17: Aggregate Index
+        console.log('\n\nTest 17: Aggregate Index');
+        console.log('------------------------');
+        const checkAgainstRecords = (index, records, filter) => {
+            const matching = _.filter(records, filter);
+            const summary = index.aggregate(filter, { weighted: false });
+            assert.strictEqual(summary.count, matching.length, `Count differs for ${JSON.stringify(filter)}`);
+            ['timeMinutes', 'qualityScore'].forEach(field => {
+                const values = matching.map(record => record[field]);
+                const mean = _.mean(values);
+                const std = Math.sqrt(_.mean(values.map(value => (value - mean) * (value - mean))));
+                assert.ok(close(summary[field].mean, mean), `${field} mean differs for ${JSON.stringify(filter)}`);
+                assert.ok(close(summary[field].std, std), `${field} std differs for ${JSON.stringify(filter)}`);
+                assert.strictEqual(summary[field].min, _.min(values));
+                assert.strictEqual(summary[field].max, _.max(values));
+            });
+        };
+        let filtersChecked = 0;
+        mlSystem.workers.forEach(workerId => {
+            checkAgainstRecords(mlSystem.aggregates, trainingRecords, { workerId });
+            mlSystem.machines.forEach(machineId => {
+                checkAgainstRecords(mlSystem.aggregates, trainingRecords, { workerId, machineId });
+                checkAgainstRecords(mlSystem.aggregates, trainingRecords, { workerId, machineId, shift: 'morning' });
+                filtersChecked += 2;
+            });
+            filtersChecked++;
+        });
+        ['setup', 'maintenance'].forEach(jobType => checkAgainstRecords(mlSystem.aggregates, trainingRecords, { jobType }));
+
+        // Adding the records in two batches must give the same index as adding them at once
+        const half = Math.floor(trainingRecords.length / 2);
+        const incremental = new AggregateIndex();
+        incremental.add(trainingRecords.slice(0, half));
+        incremental.add(trainingRecords.slice(half));
+        mlSystem.machines.forEach(machineId => checkAgainstRecords(incremental, trainingRecords, { machineId }));
+        const byShift = incremental.groupBy(['shift'], { weighted: false });
+        assert.strictEqual(_.sumBy(byShift, 'count'), trainingRecords.length);
+        console.log(`✅ ${filtersChecked + 2} filters match a full recompute over ${trainingRecords.length} records`);
+        console.log(`✅ Incremental batches match; ${byShift.length} shift groups, ${incremental.bucketCount} buckets`);
+
+        // The data hash is fed as records arrive, so it must match hashing everything at once
+        const hashed = new WorkerAssignmentML({ verbose: false, autoSave: false });
+        hashed.addHistoricalData(trainingRecords.slice(0, half));
+        const storedData = hashed.trainingData;
+        hashed.addHistoricalData(trainingRecords.slice(half));
+        assert.strictEqual(hashed.trainingData, storedData, 'addHistoricalData() should append in place');
+        assert.strictEqual(hashed.computeDataHash(), WorkerAssignmentML.hashData(trainingRecords));
+        assert.strictEqual(WorkerAssignmentML.hashData(trainingRecords),
+            crypto.createHash('sha256').update(JSON.stringify(trainingRecords)).digest('hex'));
+        console.log('✅ Incremental data hash matches a hash of all records');
+
+        // Test 18: Bayesian Shrinkage
+        console.log('\n\nTest 18: Bayesian Shrinkage');
+        console.log('---------------------------');
+        // One group: σ² = 2² · 4/3, τ² = σ², so the data and prior precisions are 0.75 and 0.1875
+        const single = new EmpiricalBayes().estimate([{ n: 4, count: 4, mean: 10, std: 2 }], { mean: 20, variance: 9 });
+        assert.ok(close(single.prior.withinVariance, 16 / 3));
+        assert.ok(close(single.posteriors[0].mean, 12) && close(single.posteriors[0].shrinkage, 0.2));
+        assert.ok(close(single.posteriors[0].upper - single.posteriors[0].mean, 1.96 / Math.sqrt(0.9375)));
+
+        const pooled = new EmpiricalBayes().estimate([
+            { n: 2, count: 2, mean: 10, std: 1 },
+            { n: 200, count: 200, mean: 20, std: 5 },
+            { n: 50, count: 50, mean: 25, std: 5 }
+        ], { mean: 20, variance: 25 });
+        const [lucky, veteran] = pooled.posteriors;
+        assert.ok(lucky.mean > 10 && lucky.mean < 20, 'Two jobs should be pulled toward the machine mean');
+        assert.ok(lucky.shrinkage > veteran.shrinkage, 'Fewer jobs should mean more shrinkage');
+        assert.ok(lucky.upper - lucky.lower > veteran.upper - veteran.lower, 'Fewer jobs should mean a wider interval');
+        assert.ok(EmpiricalBayes.intervalConfidence(veteran) > EmpiricalBayes.intervalConfidence(lucky));
+        mlSystem.getWorkerStatistics(2).forEach(worker => {
+            const { posteriorTime, shrinkage } = worker;
+            assert.ok(posteriorTime.lower <= posteriorTime.mean && posteriorTime.mean <= posteriorTime.upper);
+            assert.ok(shrinkage.time > 0 && shrinkage.time < 1, `Shrinkage for ${worker.workerId} is out of range`);
+        });
+        console.log(`✅ 2 jobs shrunk ${(lucky.shrinkage * 100).toFixed(0)}%, 200 jobs ${(veteran.shrinkage * 100).toFixed(0)}%`);
+
+        // Test 19: Explaining KNN Predictions
+        console.log('\n\nTest 19: Explaining KNN Predictions');
+        console.log('-----------------------------------');
+        const explanation = mlSystem.explainPrediction(3, 4, { shift: 'night' });
+        const { neighbours, votes } = explanation;
+        assert.strictEqual(neighbours.length, explanation.k);
+        assert.deepStrictEqual(neighbours.map(n => n.rank), _.range(1, explanation.k + 1));
+        assert.ok(neighbours.every((n, i) => i === 0 || n.distance >= neighbours[i - 1].distance), 'Neighbours should be nearest first');
+
+        // A brute-force scan of the scaled training profiles must find the same k distances
+        const knn = mlSystem.strategies.knn;
+        const distances = knn.scaledVectors.map(vector =>
+            Math.sqrt(_.sum(vector.map((value, j) => Math.pow(value - explanation.scaledQueryVector[j], 2)))));
+        _.sortBy(distances).slice(0, explanation.k).forEach((distance, i) => {
+            assert.ok(close(neighbours[i].distance, distance), `Neighbour ${i + 1} is not the ${i + 1}th nearest profile`);
+        });
+        neighbours.forEach(n => {
+            assert.ok(close(_.sumBy(n.contributions, 'share'), 1), 'Feature shares of a distance should add up to 1');
+            assert.strictEqual(n.features.machineId, n.machineId);
+        });
+        assert.ok(close(_.sumBy(explanation.featureContributions, 'share'), 1));
+
+        assert.strictEqual(_.sumBy(votes, 'votes'), explanation.k, 'Every neighbour should cast one vote');
+        const chosen = votes.filter(v => v.chosen);
+        assert.strictEqual(chosen.length, 1);
+        assert.strictEqual(chosen[0].workerId, explanation.predictedWorker);
+        assert.strictEqual(chosen[0].votes, _.maxBy(votes, 'votes').votes, 'The model should pick a worker with the most votes');
+        assert.strictEqual(votes[0].workerId, explanation.predictedWorker, 'The chosen worker should lead its tie');
+        assert.strictEqual(explanation.recommendedWorker, mlSystem.predictWorkerML(3, 4, false, { shift: 'night' }).recommendedWorker);
+        console.log(`✅ ${explanation.k} neighbours; votes ${votes.map(v => `${v.workerId} ${v.votes}`).join(', ')}; ` +
+            `top feature ${explanation.featureContributions[0].feature}`);
+
+        // Test 20: Scoring Policies
+        console.log('\n\nTest 20: Scoring Policies');
+        console.log('-------------------------');
+        const candidates = [
+            { workerId: 'fast', time: 10, quality: 6, timeStd: 5, jobs: 5 },
+            { workerId: 'careful', time: 20, quality: 9.5, timeStd: 1, jobs: 80 }
+        ];
+        const efficiency = new ScoringPolicy().rank(candidates);
+        assert.strictEqual(efficiency[0].workerId, 'fast', 'Efficiency should rank by quality per minute');
+        assert.ok(close(efficiency[1].score / efficiency[0].score, Math.sqrt((9.5 / 20) / (6 / 10))), 'Efficiency scores should compare as the square root of quality per minute');
+        assert.strictEqual(ScoringPolicy.from('customer-facing').rank(candidates)[0].workerId, 'careful');
+        const costly = new ScoringPolicy({ weights: { time: 0, quality: 0, cost: 1 }, hourlyRates: { fast: 120, careful: 30 } });
+        assert.strictEqual(costly.rank(candidates)[0].workerId, 'careful', 'Cost should weigh the hourly rates');
+        assert.throws(() => new ScoringPolicy({ preset: 'cheapest' }), /Unknown scoring preset/);
+        assert.throws(() => new ScoringPolicy({ weights: { cost: 1 } }).rank(candidates), /No hourly rate for worker/);
+        const rush = mlSystem.predict({ machineId: 3, complexity: 3, scoring: 'rush' }, 'statistical');
+        assert.strictEqual(rush.scoring.name, 'rush');
+        assert.ok(rush.candidates.every((c, i) => i === 0 || c.score <= rush.candidates[i - 1].score + rush.scoring.tieWindow));
+        assert.ok(rush.candidates.every(c => c.scoreBreakdown.time.weight === 3));
+        assert.throws(() => mlSystem.predict({ machineId: 3, scoring: 'rush' }, 'knn'), /does not rank by a scoring policy/);
+        console.log(`✅ Scoring presets rank as weighted; rush pick on machine 3: ${rush.recommendedWorker}`);
+
+        // Test 21: Outcome Probabilities
+        console.log('\n\nTest 21: Outcome Probabilities');
+        console.log('------------------------------');
+        assert.ok(close(OutcomeProbability.normalCdf(0), 0.5));
+        assert.ok(Math.abs(OutcomeProbability.normalCdf(1.96) - 0.975) < 1e-4);
+        // Log-normal with mean 30 and sd 6: half the jobs finish by the median exp(μ), more than half by the mean
+        const spread = { mean: 30, predictiveSd: 6 };
+        const sigmaSq = Math.log(1 + (6 * 6) / (30 * 30));
+        assert.ok(Math.abs(OutcomeProbability.timeWithin(spread, Math.exp(Math.log(30) - sigmaSq / 2)) - 0.5) < 1e-6);
+        assert.ok(OutcomeProbability.timeWithin(spread, 30) > 0.5, 'Time should be right-skewed');
+        assert.ok(OutcomeProbability.timeWithin(spread, 25) < OutcomeProbability.timeWithin(spread, 35), 'A longer limit should be likelier to be met');
+        assert.ok(close(OutcomeProbability.qualityAtLeast({ mean: 8, predictiveSd: 1 }, 8), 0.5));
+        assert.ok(Math.abs(OutcomeProbability.qualityAtLeast({ mean: 8, predictiveSd: 1 }, 6.04) - 0.975) < 1e-4);
+        assert.strictEqual(OutcomeProbability.timeWithin({ mean: 30, predictiveSd: 0 }, 29), 0);
+
+        const likely = mlSystem.explain({ machineId: 2, complexity: 3, maxTime: 30, minQuality: 5, minProbability: 0.9 }, 'statistical');
+        assert.strictEqual(likely.constraints.minProbability, 0.9);
+        likely.evaluations.forEach(e => {
+            const meets = e.probabilities.withinTime >= 0.9 && e.probabilities.meetsQuality >= 0.9;
+            assert.strictEqual(e.isEligible, meets, `${e.workerId} eligibility does not follow its probabilities`);
+        });
+        const eligibleIds = likely.evaluations.filter(e => e.isEligible).map(e => e.workerId);
+        const likelyPick = mlSystem.predictWorker(2, 30, 5, false, {}, null, 0.9);
+        assert.ok(eligibleIds.length > 0, 'Someone on machine 2 should be likely to meet these limits');
+        assert.deepStrictEqual(_.sortBy(likelyPick.candidates.map(c => c.workerId)), _.sortBy(eligibleIds));
+        assert.throws(() => mlSystem.predictWorker(2, 30, 5, false, {}, null, 1), /minProbability must be a number between 0 and 1/);
+        console.log(`✅ ${eligibleIds.length} of ${likely.evaluations.length} workers at least 90% likely to finish within 30min at quality 5+: ${likelyPick.recommendedWorker}`);
+
+        // Test 22: Constraint Relaxation
+        console.log('\n\nTest 22: Constraint Relaxation');
+        console.log('------------------------------');
+        const policy = new RelaxationPolicy();
+        const relaxed = policy.relax({ maxTime: 30, minQuality: 8, minProbability: null }, 3);
+        assert.deepStrictEqual(relaxed.limits, { maxTime: 33, minQuality: 7, minProbability: null });
+        assert.deepStrictEqual(relaxed.steps.map(step => step.constraint), ['minQuality', 'maxTime', 'minQuality']);
+        assert.deepStrictEqual(RelaxationPolicy.changes({ maxTime: 30, minQuality: 8 }, relaxed.limits),
+            { maxTime: { from: 30, to: 33, by: 3 }, minQuality: { from: 8, to: 7, by: -1 } });
+        assert.deepStrictEqual(policy.relax({ maxTime: null, minQuality: 0.4 }, 2).limits, { maxTime: null, minQuality: 0 }, 'Limits should stop at their bounds');
+        assert.throws(() => new RelaxationPolicy({ steps: [{ constraint: 'cost', by: 1 }] }), /Unknown relaxation constraint/);
+
+        const limited = mlSystem.predict({ machineId: 2, complexity: 3, maxTime: 40, minQuality: 8.5 }, 'statistical');
+        assert.strictEqual(limited.relaxation.outcome, 'relaxed');
+        assert.ok(limited.relaxation.changes.minQuality.to < 8.5, 'The quality limit should have been lowered');
+        const impossible = { machineId: 2, complexity: 3, maxTime: 1, minQuality: 9.9 };
+        assert.strictEqual(mlSystem.predict(impossible, 'statistical').relaxation.outcome, 'dropped');
+        const strict = mlSystem.predict({ ...impossible, relaxation: { strict: true } }, 'statistical');
+        assert.ok(strict.noEligibleWorker && strict.recommendedWorker === null, 'Strict relaxation should report no eligible worker');
+        assert.strictEqual(strict.evaluations.length, mlSystem.getWorkerStatistics(2).length);
+        console.log(`✅ ${limited.relaxation.steps.length} relaxation steps; impossible limits dropped, or refused in strict mode`);
+
+        // Test 23: Outcome Feedback
+        console.log('\n\nTest 23: Outcome Feedback');
+        console.log('-------------------------');
+        const learning = trainedSystem({ retraining: { retrainEvery: 3 } });
+        const logged = () => Object.keys(learning.predictionLog.predictions).length;
+        learning.explainPrediction(1, 3);
+        learning.predictWorkerComparison(1, 3);
+        assert.strictEqual(logged(), 0, 'Explanations and comparisons should not be logged as predictions');
+
+        const first = learning.predict({ machineId: 1, complexity: 3, job: { date: '2025-03-01' } }, 'statistical');
+        assert.ok(/^pred-[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/.test(first.predictionId), `Unexpected prediction ID ${first.predictionId}`);
+        const recordsBefore = learning.trainingData.length;
+        const outcome = learning.recordOutcome(first.predictionId, { workerId: first.recommendedWorker, timeMinutes: first.estimatedTime + 5, qualityScore: 8 });
+        assert.strictEqual(learning.trainingData.length, recordsBefore + 1, 'The outcome should be added to the training data');
+        assert.strictEqual(outcome.record.jobDate, '2025-03-01', 'The outcome should take the date of the predicted job');
+        assert.strictEqual(outcome.error.timeMinutes, 5);
+        assert.strictEqual(outcome.retrained, false);
+        assert.throws(() => learning.recordOutcome(first.predictionId, { workerId: 'raj', timeMinutes: 10, qualityScore: 8 }), errors.ConflictError);
+        assert.throws(() => learning.recordOutcome('pred-999', { workerId: 'raj', timeMinutes: 10, qualityScore: 8 }), errors.UnknownPredictionError);
+
+        // An undated outcome must not move the recency reference point to today
+        const undated = learning.predict({ machineId: 1, complexity: 3 }, 'knn');
+        assert.throws(() => learning.recordOutcome(undated.predictionId, { workerId: 'raj', timeMinutes: 0, qualityScore: 8 }), errors.InvalidArgumentError);
+        const latestBefore = learning.aggregates.latestDate;
+        const undatedOutcome = learning.recordOutcome(undated.predictionId, { workerId: 'raj', timeMinutes: 20, qualityScore: 8 });
+        assert.strictEqual(undatedOutcome.record.jobDate, latestBefore);
+        assert.strictEqual(learning.aggregates.latestDate, latestBefore);
+
+        const third = learning.predict({ machineId: 2, complexity: 3, job: { date: '2025-03-02' } }, 'statistical');
+        const retrained = learning.recordOutcome(third.predictionId, { workerId: 'raj', timeMinutes: 20, qualityScore: 8, jobDate: '2025-03-03' });
+        assert.strictEqual(retrained.record.jobDate, '2025-03-03', 'A reported date should win over the predicted one');
+        assert.ok(retrained.retrained, 'The third outcome should trigger a retrain with retrainEvery 3');
+        assert.strictEqual(learning.getOutcomeStatistics().sinceRetrain, 0);
+        console.log(`✅ Outcomes logged against ${first.predictionId} and 2 more; retrained: ${retrained.retrainReason}`);
+
+        // Logs in separate processes start from the same saved state and must still not collide
+        const saved = JSON.parse(JSON.stringify(learning.predictionLog.toJSON()));
+        const ids = [PredictionLog.fromJSON(saved), PredictionLog.fromJSON(saved)]
+            .map(log => log.record('statistical', { machineId: 1 }, first));
+        assert.notStrictEqual(ids[0], ids[1], 'Two processes issued the same prediction ID');
+        console.log('✅ Prediction IDs stay unique across processes sharing a saved log');
+
+        // Test 24: Audit Log
+        console.log('\n\nTest 24: Audit Log');
+        console.log('------------------');
+        const audit = new AuditService({ directory: path.join(tempDir, 'audit'), maxBytes: 16 * 1024 });
+        const audited = trainedSystem({ audit });
+        _.range(40).forEach(i => audited.predict({ machineId: 1 + i % 5, complexity: 3 }, 'statistical'));
+        audited.explainPrediction(1, 3);
+        const overridden = audited.predict({ machineId: 2, complexity: 3 }, 'statistical');
+        const substitute = overridden.candidates[1].workerId;
+        audited.recordOverride(overridden.predictionId, { workerId: substitute, reasonCode: 'workload', supervisor: 'lee' });
+        await audit.flush();
+        const rotated = await audit.rotatedFiles();
+        assert.ok(rotated.length > 0, 'The audit log should have rotated');
+        assert.strictEqual(new Set(rotated).size, rotated.length);
+
+        const newest = await audit.query({ limit: 5 });
+        assert.strictEqual(newest.entries.length, 5);
+        assert.ok(newest.more, 'More matches should be reported');
+        assert.strictEqual(newest.entries[0].predictionId, overridden.predictionId, 'Entries should come newest first');
+        assert.strictEqual(newest.entries[0].model.strategy, 'statistical');
+        assert.strictEqual(newest.entries[0].model.dataHash, audited.modelMetadata.dataHash);
+        assert.strictEqual(newest.entries[0].override.chosenWorker, substitute, 'The override should be attached to its prediction');
+        assert.strictEqual((await audit.query({ limit: 100 })).entries.length, 41, 'Unrecorded predictions should not be audited');
+        const onMachine = await audit.query({ machineId: 3, limit: 100 });
+        assert.strictEqual(onMachine.entries.length, 8);
+        assert.ok(!onMachine.more && onMachine.entries.every(entry => entry.inputs.machineId === 3));
+        assert.strictEqual((await audit.query({ workerId: substitute })).entries.filter(e => e.predictionId === overridden.predictionId).length, 1);
+        assert.strictEqual((await audit.query({ from: '2999-01-01' })).entries.length, 0);
+        assert.strictEqual((await audit.query({ to: '2000-01-01' })).entries.length, 0);
+        console.log(`✅ ${rotated.length} rotated files; queries by limit, machine, worker and date`);
+
+        // Only the newest rotated files are kept with maxFiles
+        const capped = new AuditService({ directory: path.join(tempDir, 'audit-capped'), maxBytes: 4 * 1024, maxFiles: 2 });
+        _.range(30).forEach(() => capped.recordPrediction(audited.auditEntry('statistical', { machineId: 1 }, overridden)));
+        await capped.flush();
+        assert.strictEqual((await capped.rotatedFiles()).length, 2, 'Rotated files beyond maxFiles should be deleted');
+        console.log('✅ Rotated files capped at maxFiles');
+
+        // Test 25: Supervisor Overrides
+        console.log('\n\nTest 25: Supervisor Overrides');
+        console.log('-----------------------------');
+        const supervised = trainedSystem({ overrideLearning: {} });
+        const overrideOn = machineId => {
+            const prediction = supervised.predict({ machineId, complexity: 3 }, 'statistical');
+            const chosen = prediction.candidates.find(c => c.workerId !== prediction.recommendedWorker).workerId;
+            return supervised.recordOverride(prediction.predictionId, { workerId: chosen, reasonCode: 'skill-gap', supervisor: 'lee' });
+        };
+        let lastOverride = null;
+        _.times(3, () => { lastOverride = overrideOn(3); });
+        const rejected = lastOverride.recommendedWorker;
+        assert.ok(lastOverride.rejection.learned && supervised.isRejected(rejected, 3), 'Three overrides in a row should exclude the worker');
+        assert.notStrictEqual(supervised.predict({ machineId: 3, complexity: 3 }, 'statistical', { record: false }).recommendedWorker, rejected);
+        const overrideReport = supervised.getOverrideReport();
+        assert.strictEqual(overrideReport.byReason['skill-gap'], 3);
+        assert.strictEqual(overrideReport.overrides, 3);
+        assert.strictEqual(overrideReport.recommendations, 3, 'Unrecorded predictions should not count as recommendations');
+        assert.throws(() => supervised.recordOverride(lastOverride.predictionId, { workerId: 'raj', reasonCode: 'other' }), errors.ConflictError);
+        const fresh = supervised.predict({ machineId: 1, complexity: 3 }, 'statistical');
+        assert.throws(() => supervised.recordOverride(fresh.predictionId, { workerId: fresh.recommendedWorker, reasonCode: 'other' }), errors.InvalidArgumentError);
+        assert.throws(() => supervised.recordOverride(fresh.predictionId, { workerId: 'raj', reasonCode: 'mood' }), errors.InvalidArgumentError);
+
+        supervised.predictionLog.overrides.forEach(entry => { entry.timestamp = '2020-01-01T00:00:00.000Z'; });
+        assert.ok(!supervised.isRejected(rejected, 3), 'Overrides older than the window should lapse');
+        supervised.predictionLog.overrides.forEach(entry => { entry.timestamp = new Date().toISOString(); });
+        assert.ok(supervised.isRejected(rejected, 3));
+        const reset = supervised.resetRejection(rejected, 3);
+        assert.strictEqual(reset.cleared.overridden, 3);
+        assert.ok(!supervised.isRejected(rejected, 3), 'A reset should lift the exclusion');
+        assert.strictEqual(supervised.predict({ machineId: 3, complexity: 3 }, 'statistical', { record: false }).recommendedWorker, rejected);
+        const restoredLog = PredictionLog.fromJSON(JSON.parse(JSON.stringify(supervised.predictionLog.toJSON())));
+        assert.strictEqual(restoredLog.rejection(rejected, 3).overridden, 0, 'A reset should survive saving the log');
+        assert.throws(() => supervised.resetRejection('nobody', 3), errors.UnknownWorkerError);
+        console.log(`✅ ${rejected} excluded on machine 3 after 3 overrides; lifted by the window and by a reset`);
+
+        // The MCP service reports the tools the server actually registers
+        const mcpService = new MCPService(new AppService());
+        await mcpService.initialize();
+        const capabilities = mcpService.getStatus().capabilities;
+        assert.deepStrictEqual(capabilities.tools, mcpService.mcpServer.tools.map(tool => tool.name));
+        assert.ok(['record_supervisor_override', 'reset_worker_rejection', 'get_override_report']
+            .every(name => capabilities.tools.includes(name)));
+        console.log(`✅ MCP service lists the server's ${capabilities.tools.length} tools`);
+
+        // Test 26: MCP Protocol over Streamable HTTP
+        console.log('\n\nTest 26: MCP Protocol over Streamable HTTP');
+        console.log('------------------------------------------');
+        const appService = new AppService();
+        appService.mlService.auditService = new AuditService({ directory: path.join(tempDir, 'mcp-audit') });
+        appService.mlService.mlSystem = trainedSystem({ audit: appService.mlService.auditService });
+        appService.mlService.isInitialized = true;
+        const mcpServer = new WorkerAssignmentMCPServer();
+        mcpServer.appService = appService;
+        mcpServer.tools = mcpServer.defineTools();
+        mcpServer.port = 0; // Any free port
+        await mcpServer.startServer();
+        const client = new Client({ name: 'worker-assignment-tests', version: '1.0.0' }, { capabilities: {} });
+        try {
+            await client.connect(new StreamableHTTPClientTransport(new URL(`http://127.0.0.1:${mcpServer.server.address().port}/mcp`)));
+            const { tools } = await client.listTools();
+            assert.deepStrictEqual(tools.map(tool => tool.name), mcpServer.tools.map(tool => tool.name));
+            const predictTool = tools.find(tool => tool.name === 'predict_worker_assignment');
+            assert.deepStrictEqual(predictTool.inputSchema.required, ['machineId', 'complexity']);
+
+            const called = await client.callTool({ name: 'predict_worker_assignment', arguments: { machineId: 2, complexity: 3 } });
+            assert.ok(!called.isError, 'The prediction should succeed');
+            assert.ok(called.content[0].text.includes('Worker Assignment Prediction'));
+            const failed = await client.callTool({ name: 'predict_worker_assignment', arguments: { machineId: 99, complexity: 3 } });
+            assert.ok(failed.isError && /machineId: must be at most 5/.test(failed.content[0].text), 'A failing tool should return an isError result');
+            await assert.rejects(client.callTool({ name: 'nonexistent_tool', arguments: {} }), error =>
+                error.code === -32601 && error.message === 'MCP error -32601: Unknown tool: nonexistent_tool');
+            console.log(`✅ tools/list returned ${tools.length} tools; tools/call ran predict_worker_assignment`);
+
+            const { resourceTemplates } = await client.listResourceTemplates();
+            assert.deepStrictEqual(resourceTemplates.map(template => template.uriTemplate), mcpServer.resourceTemplates.map(template => template.uriTemplate));
+            const read = await client.readResource({ uri: 'worker-assignment://workers/raj/history?limit=1' });
+            assert.strictEqual(JSON.parse(read.contents[0].text).jobs.length, 1);
+            console.log(`✅ resources/templates/list returned ${resourceTemplates.length} templates; resources/read filled one in`);
+        } finally {
+            await client.close();
+            await mcpServer.stopServer();
+        }
+
+        // Test 27: Tool Argument Validation
+        console.log('\n\nTest 27: Tool Argument Validation');
+        console.log('---------------------------------');
+        const toolServer = new WorkerAssignmentMCPServer();
+        const schema = name => toolServer.tools.find(tool => tool.name === name).parameters;
+        assert.deepStrictEqual(SchemaValidator.validate(schema('predict_worker_assignment'), { machineId: 2, complexity: 3 }), []);
+        const violations = SchemaValidator.validate(schema('predict_worker_assignment'), { machineId: 9, complexity: 'hard' });
+        assert.deepStrictEqual(violations.map(v => v.field).sort(), ['complexity', 'machineId']);
+        assert.strictEqual(SchemaValidator.validate(schema('predict_worker_assignment'), { machineId: 1.5, complexity: 3 })[0].message, 'must be integer, got number');
+        const outcomeViolations = SchemaValidator.validate(schema('record_assignment_outcome'), { predictionId: 'pred-1', workerId: 'raj', timeMinutes: 0 });
+        assert.deepStrictEqual(outcomeViolations.map(v => `${v.field} ${v.message}`), ['qualityScore is required', 'timeMinutes must be greater than 0']);
+        const dataViolations = SchemaValidator.validate(schema('add_training_data'), {
+            data: [{ workerId: 'raj', machineId: 1, timeMinutes: 20, qualityScore: 8 }, { workerId: 'raj', machineId: 1, timeMinutes: 20, qualityScore: 101 }]
+        });
+        assert.deepStrictEqual(dataViolations.map(v => `${v.field} ${v.message}`), ['data[1].qualityScore must be at most 100']);
+        assert.deepStrictEqual(SchemaValidator.validate({ type: 'array', items: { type: 'integer' } }, [1, 2.5], 'ids').map(v => v.field), ['ids[1]']);
+        console.log(`✅ ${violations.length + outcomeViolations.length + dataViolations.length} violations reported by field`);
+
+        // Every transport goes through callTool(), which validates before running the tool
+        const toolSystem = trainedSystem();
+        toolServer.appService = { mlService: { getMLSystem: () => toolSystem, isInitialized: true } };
+        toolServer.tools = toolServer.defineTools();
+        await assert.rejects(toolServer.callTool('predict_worker_assignment', { machineId: 9, complexity: 3 }), error =>
+            error instanceof errors.ToolArgumentsError && error.status === 400 && error.violations[0].field === 'machineId');
+        await toolServer.callTool('add_training_data', {
+            data: [{ workerId: 'raj', machineId: 9, timeMinutes: 30, qualityScore: 8, jobDate: '2025-03-01' }],
+            retrain: false
+        });
+        assert.strictEqual(schema('predict_worker_assignment').properties.machineId.maximum, 9, 'New machines should widen the tool schemas');
+        assert.deepStrictEqual(SchemaValidator.validate(schema('predict_worker_assignment'), { machineId: 9, complexity: 3 }), []);
+        console.log('✅ Tool calls validated against schemas that follow the machine registry');
+
+        // Test 28: Typed Errors
+        console.log('\n\nTest 28: Typed Errors');
+        console.log('---------------------');
+        await assert.rejects(toolServer.callTool('no_such_tool', {}), errors.UnknownToolError);
+        const unknownMachine = new errors.UnknownMachineError('Invalid machine ID', { machineId: 9 });
+        assert.ok(unknownMachine instanceof errors.NotFoundError && unknownMachine instanceof errors.WorkerAssignmentError);
+        assert.deepStrictEqual([unknownMachine.code, unknownMachine.status, unknownMachine.rpcCode], ['UNKNOWN_MACHINE', 404, -32002]);
+        assert.deepStrictEqual(unknownMachine.toRpcError(), {
+            code: -32002,
+            message: 'Invalid machine ID',
+            data: { code: 'UNKNOWN_MACHINE', status: 404, machineId: 9 }
+        });
+        const internal = errors.WorkerAssignmentError.from(new Error('disk full'));
+        assert.deepStrictEqual([internal.code, internal.status, internal.message], ['INTERNAL_ERROR', 500, 'disk full']);
+        assert.strictEqual(errors.WorkerAssignmentError.from(unknownMachine), unknownMachine, 'Typed errors should pass through unchanged');
+        assert.deepStrictEqual([new errors.NoEligibleWorkerError('x').status, new errors.ModelNotTrainedError().status], [409, 503]);
+        const protocolError = toolServer.toMcpError(unknownMachine);
+        assert.deepStrictEqual([protocolError.code, protocolError.message], [-32002, 'Invalid machine ID']);
+        assert.throws(() => trainedSystem().predictWorkerML(9, 3), error => error.code === 'UNKNOWN_MACHINE' && error.details.machineId === 9);
+        console.log('✅ Typed errors map to codes, HTTP statuses and JSON-RPC errors');
+
+        // Test 29: Resource Templates
+        console.log('\n\nTest 29: Resource Templates');
+        console.log('---------------------------');
+        const router = new ResourceRouter()
+            .add('worker-assignment://workers/{workerId}/history{?from,to,limit}', () => 'history')
+            .add('worker-assignment://workers/{workerId}', () => 'profile');
+        const history = router.resolve('worker-assignment://workers/raj%20k/history?to=2025-03-31&from=2025-03-01&other=1');
+        assert.strictEqual(history.route.uriTemplate, 'worker-assignment://workers/{workerId}/history{?from,to,limit}');
+        assert.deepStrictEqual(history.params, { workerId: 'raj k', from: '2025-03-01', to: '2025-03-31' });
+        assert.deepStrictEqual(router.resolve('worker-assignment://workers/raj').params, { workerId: 'raj' });
+        assert.strictEqual(router.resolve('worker-assignment://workers/raj/jobs'), null);
+        console.log('✅ URI templates resolve path and query variables');
+
+        const profile = await toolServer.getResource('worker-assignment://workers/raj');
+        assert.strictEqual(profile.content.workerId, 'raj');
+        const rajJobs = toolSystem.trainingData.filter(record => record.workerId === 'raj');
+        const recent = await toolServer.getResource('worker-assignment://workers/raj/history?limit=2');
+        assert.strictEqual(recent.content.total, rajJobs.length);
+        assert.strictEqual(recent.content.jobs.length, 2);
+        const dated = rajJobs.filter(record => record.jobDate).map(record => record.jobDate.slice(0, 10)).sort();
+        const inRange = await toolServer.getResource(`worker-assignment://workers/raj/history?from=${dated[0]}&to=${dated[0]}`);
+        assert.strictEqual(inRange.content.total, dated.filter(date => date === dated[0]).length, 'from and to should both be inclusive');
+        const machineProfile = await toolServer.getResource('worker-assignment://machines/2');
+        assert.strictEqual(machineProfile.content.machine.id, 2);
+        await assert.rejects(toolServer.getResource('worker-assignment://workers/nobody'), errors.UnknownWorkerError);
+        await assert.rejects(toolServer.getResource('worker-assignment://machines/two'), errors.UnknownMachineError);
+        await assert.rejects(toolServer.getResource('worker-assignment://workers/raj/history?limit=-1'), errors.InvalidArgumentError);
+        await assert.rejects(toolServer.getResource('worker-assignment://nothing'), errors.UnknownResourceError);
+        assert.deepStrictEqual(new MCPService(new AppService()).getStatus().capabilities.resourceTemplates, []);
+        console.log(`✅ Worker, history and machine resources read through ${toolServer.resourceTemplates.length} templates`);
+
+        // Test 30: Resource Subscriptions
+        console.log('\n\nTest 30: Resource Subscriptions');
+        console.log('-------------------------------');
+        const nextTick = () => new Promise(resolve => setImmediate(resolve));
+        const subscribed = trainedSystem({ overrideLearning: {} });
+        const watcher = new WorkerAssignmentMCPServer();
+        watcher.appService = { mlService: { getMLSystem: () => subscribed, isInitialized: true } };
+        watcher.tools = watcher.defineTools();
+        const notifications = [];
+        const subscriber = (uri, reasons) => notifications.push({ uri, reasons });
+        const received = async () => {
+            await nextTick();
+            const sorted = _.sortBy(notifications, 'uri');
+            notifications.length = 0;
+            return sorted;
+        };
+        watcher.subscriptions.subscribe(subscriber, 'worker-assignment://workers/raj');
+        watcher.subscriptions.subscribe(subscriber, 'worker-assignment://workers/john/history?limit=5');
+        watcher.subscriptions.subscribe(subscriber, 'worker-assignment://machines/2');
+        watcher.subscriptions.subscribe(subscriber, 'worker-assignment://model/status');
+        assert.throws(() => watcher.subscriptions.subscribe(subscriber, 'worker-assignment://nothing'), errors.UnknownResourceError);
+        watcher.watchModelChanges();
+
+        subscribed.addHistoricalData([{ workerId: 'raj', machineId: 1, timeMinutes: 20, qualityScore: 8 }]);
+        subscribed.train();
+        assert.deepStrictEqual(await received(), [
+            { uri: 'worker-assignment://model/status', reasons: ['training-data', 'trained'] },
+            { uri: 'worker-assignment://workers/raj', reasons: ['training-data'] }
+        ]);
+        assert.ok(ResourceSubscriptions.matches(
+            { uriTemplate: 'worker-assignment://workers/{workerId}', params: { workerId: 'raj' } },
+            { uriTemplate: 'worker-assignment://workers/{workerId}' }
+        ), 'A change to every worker should match a subscription to one');
+
+        // A roster edit only touches the workers whose entries changed
+        subscribed.updateRoster(roster => roster.upsert('john', { shifts: ['night'] }));
+        assert.deepStrictEqual(await received(), []);
+        subscribed.updateRoster(roster => roster.upsert('raj', { shifts: ['night'] }));
+        assert.deepStrictEqual(await received(), [{ uri: 'worker-assignment://workers/raj', reasons: ['roster'] }]);
+
+        // An outcome adds a training record: a job in the worker's history and the machine's
+        const predicted = subscribed.predict({ machineId: 2, complexity: 3 }, 'statistical');
+        await received();
+        subscribed.recordOutcome(predicted.predictionId, { workerId: 'john', timeMinutes: 25, qualityScore: 8 });
+        assert.deepStrictEqual(await received(), [
+            { uri: 'worker-assignment://machines/2', reasons: ['training-data', 'outcome'] },
+            { uri: 'worker-assignment://model/status', reasons: ['training-data'] },
+            { uri: 'worker-assignment://workers/john/history?limit=5', reasons: ['training-data', 'outcome'] }
+        ]);
+
+        subscribed.resetRejection('raj', 3);
+        assert.deepStrictEqual(await received(), [{ uri: 'worker-assignment://workers/raj', reasons: ['rejection-reset'] }]);
+
+        watcher.subscriptions.remove(subscriber);
+        watcher.unwatchModelChanges();
+        subscribed.train();
+        assert.deepStrictEqual(await received(), [], 'Removed subscribers should not be notified');
+        console.log('✅ Data, roster, outcome and reset changes notify the subscribed URIs they affect, once per tick');
+
         console.log('\n✅ All tests completed successfully!');
         
         // Performance Summary
@@ -106,11 +1032,37 @@ async function runTests() {
         console.log('✅ Batch processing: PASSED');
         console.log('✅ Performance insights: PASSED');
         console.log('✅ Edge cases: PASSED');
+        console.log('✅ Saved models: PASSED');
+        console.log('✅ Job features: PASSED');
+        console.log('✅ Feature preprocessing: PASSED');
+        console.log('✅ Regression estimates: PASSED');
+        console.log('✅ Offline evaluation: PASSED');
+        console.log('✅ Model strategies: PASSED');
+        console.log('✅ Worker roster: PASSED');
+        console.log('✅ Machine registry: PASSED');
+        console.log('✅ Cold-start estimates: PASSED');
+        console.log('✅ Recency weighting: PASSED');
+        console.log('✅ Aggregate index: PASSED');
+        console.log('✅ Bayesian shrinkage: PASSED');
+        console.log('✅ KNN explanations: PASSED');
+        console.log('✅ Scoring policies: PASSED');
+        console.log('✅ Outcome probabilities: PASSED');
+        console.log('✅ Constraint relaxation: PASSED');
+        console.log('✅ Outcome feedback: PASSED');
+        console.log('✅ Audit log: PASSED');
+        console.log('✅ Supervisor overrides: PASSED');
+        console.log('✅ MCP protocol: PASSED');
+        console.log('✅ Tool argument validation: PASSED');
+        console.log('✅ Typed errors: PASSED');
+        console.log('✅ Resource templates: PASSED');
+        console.log('✅ Resource subscriptions: PASSED');
 
     } catch (error) {
         console.error('❌ Test failed:', error.message);
         console.error(error.stack);
-        process.exit(1);
+        process.exitCode = 1;
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
     }
 }
 